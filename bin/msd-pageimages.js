@@ -0,0 +1,263 @@
+#!/usr/bin/env node
+/**
+ * Command-line interface for SEO Image Optimization Checker
+ *
+ * @author MySmartDigital
+ * @description Runs a site audit from a terminal or CI job: a live site, a list of URLs from a
+ * file or stdin, or the HTML files of a static build directory (read from disk, no network).
+ * The report is written as JSON or one of the export formats to a file or stdout; progress logs
+ * go to stderr. Exits with 2 when --fail-on-thresholds is set and the scoring rules are breached.
+ */
+
+const fs = require('fs');
+const util = require('util');
+const { SiteAudit } = require('../src/site-audit');
+const { ReportExporter } = require('../src/report-exporter');
+const { LocalFileReader } = require('../src/local-file-reader');
+
+const EXIT_ERROR = 1;
+const EXIT_THRESHOLDS_BREACHED = 2;
+
+// "csv" is the images CSV, the most detailed export
+const FORMAT_ALIASES = { csv: 'images_csv', md: 'markdown' };
+
+const USAGE = `Usage: msd-pageimages audit <url | file | directory | -> [options]
+
+Targets:
+  <url>                      Audit a live site, starting at this URL
+  <file | directory>         Audit the HTML files of a static build, read from disk
+  -                          Audit the URLs read from stdin, one per line
+
+Options:
+  --url-list <file | ->      Audit the URLs listed in a file, or stdin with "-"
+  --max-pages <n>            Maximum pages to analyze (default 5, or every listed URL/file)
+  --crawl                    Follow internal links from the start URL
+  --discovery-mode <mode>    links or sitemap (default links)
+  --render-mode <mode>       static or browser (default static)
+  --max-images-per-page <n>  Maximum images analyzed per page (default all)
+  --max-concurrency <n>      Pages analyzed in parallel (default 5)
+  --max-requests-per-second <n>  Request rate per host (default 10)
+  --ignore-robots-txt        Do not honor robots.txt
+  --user-agent <string>      User agent for page and image requests
+  --intrinsic-dimensions     Download images to compare intrinsic and displayed size
+  --format-savings           Estimate WebP/AVIF savings (downloads images)
+  --compression-audit        Inspect image bytes for metadata and compression
+  --duplicate-detection      Find identical and near-identical images (downloads images)
+  --image-sitemap            Compare page images with the site's image sitemap
+  --format <format>          json, ${ReportExporter.formats.join(', ')}, csv or md (default json)
+  --out <file>               Write the report to a file instead of stdout
+  --previous <file>          Compare with a previous JSON report
+  --rules <file>             JSON file with image SEO scoring rules
+  --fail-on-thresholds       Exit with code ${EXIT_THRESHOLDS_BREACHED} when a scoring rule is breached
+  --quiet                    Do not print progress logs
+  -h, --help                 Show this help
+`;
+
+const OPTIONS = {
+    'url-list': { type: 'string' },
+    'max-pages': { type: 'string' },
+    'crawl': { type: 'boolean', default: false },
+    'discovery-mode': { type: 'string', default: 'links' },
+    'render-mode': { type: 'string', default: 'static' },
+    'max-images-per-page': { type: 'string' },
+    'max-concurrency': { type: 'string' },
+    'max-requests-per-second': { type: 'string' },
+    'ignore-robots-txt': { type: 'boolean', default: false },
+    'user-agent': { type: 'string' },
+    'intrinsic-dimensions': { type: 'boolean', default: false },
+    'format-savings': { type: 'boolean', default: false },
+    'compression-audit': { type: 'boolean', default: false },
+    'duplicate-detection': { type: 'boolean', default: false },
+    'image-sitemap': { type: 'boolean', default: false },
+    'format': { type: 'string', default: 'json' },
+    'out': { type: 'string' },
+    'previous': { type: 'string' },
+    'rules': { type: 'string' },
+    'fail-on-thresholds': { type: 'boolean', default: false },
+    'quiet': { type: 'boolean', default: false },
+    'help': { type: 'boolean', short: 'h', default: false }
+};
+
+class UsageError extends Error {}
+
+function parseNumber(values, name) {
+    if (values[name] === undefined) return undefined;
+
+    const value = Number(values[name]);
+    if (!Number.isFinite(value)) {
+        throw new UsageError(`--${name} must be a number`);
+    }
+    return value;
+}
+
+function readJsonFile(filePath, name) {
+    try {
+        return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+        throw new UsageError(`Could not read ${name} file ${filePath}: ${error.message}`);
+    }
+}
+
+async function readUrlList(source) {
+    let text;
+    if (source === '-') {
+        const chunks = [];
+        for await (const chunk of process.stdin) chunks.push(chunk);
+        text = Buffer.concat(chunks).toString('utf8');
+    } else {
+        try {
+            text = fs.readFileSync(source, 'utf8');
+        } catch (error) {
+            throw new UsageError(`Could not read URL list ${source}: ${error.message}`);
+        }
+    }
+
+    const urls = text.split(/\r?\n/).map(line => line.trim()).filter(line => line && !line.startsWith('#'));
+    if (urls.length === 0) {
+        throw new UsageError('The URL list is empty');
+    }
+    return urls;
+}
+
+/**
+ * Turn the audit target into the start URL, seed URLs and local build directory
+ * @param {string|undefined} target - URL, file, directory or "-"
+ * @param {string|undefined} urlListSource - --url-list value
+ * @returns {Promise<{startUrl: string, urlList: string[], localRoot: string|null}>}
+ */
+async function resolveTarget(target, urlListSource) {
+    if (urlListSource || target === '-') {
+        if (urlListSource && target) {
+            throw new UsageError('Pass either a target or --url-list, not both');
+        }
+        const urls = await readUrlList(urlListSource || '-');
+        return { startUrl: urls[0], urlList: urls.slice(1), localRoot: null };
+    }
+
+    if (!target) {
+        throw new UsageError('Missing audit target');
+    }
+
+    if (/^https?:\/\//i.test(target)) {
+        return { startUrl: target, urlList: [], localRoot: null };
+    }
+
+    if (!fs.existsSync(target)) {
+        throw new UsageError(`${target} is neither an http(s) URL nor an existing file or directory`);
+    }
+
+    const { rootDir, urls } = await LocalFileReader.findPages(target);
+    if (urls.length === 0) {
+        throw new UsageError(`No HTML files found in ${target}`);
+    }
+    return { startUrl: urls[0], urlList: urls.slice(1), localRoot: rootDir };
+}
+
+async function audit(values, target) {
+    const format = FORMAT_ALIASES[values.format] || values.format;
+    if (format !== 'json' && !ReportExporter.getFormat(format)) {
+        throw new UsageError(`Invalid format "${values.format}". Use json, ${ReportExporter.formats.join(', ')}, csv or md.`);
+    }
+
+    const { startUrl, urlList, localRoot } = await resolveTarget(target, values['url-list']);
+    const isList = urlList.length > 0 || !!localRoot || !!values['url-list'] || target === '-';
+
+    const options = {
+        startUrl,
+        // Lists and local builds are audited page by page; their length is the default page limit
+        discoveryMode: isList ? 'urlList' : values['discovery-mode'],
+        urlList,
+        crawlUrls: isList ? false : values.crawl,
+        maxPages: parseNumber(values, 'max-pages') ?? (isList ? urlList.length + 1 : undefined),
+        maxImagesPerPage: parseNumber(values, 'max-images-per-page'),
+        renderMode: values['render-mode'],
+        respectRobotsTxt: !values['ignore-robots-txt'] && !localRoot,
+        userAgent: values['user-agent'],
+        includeIntrinsicDimensions: values['intrinsic-dimensions'],
+        includeFormatSavingsEstimate: values['format-savings'],
+        includeCompressionAudit: values['compression-audit'],
+        includeDuplicateDetection: values['duplicate-detection'],
+        checkImageSitemap: values['image-sitemap'],
+        maxConcurrency: parseNumber(values, 'max-concurrency'),
+        maxRequestsPerSecond: parseNumber(values, 'max-requests-per-second'),
+        previousReport: values.previous ? readJsonFile(values.previous, 'previous report') : undefined,
+        scoringRules: values.rules ? readJsonFile(values.rules, 'rules') : undefined,
+        localRoot
+    };
+
+    const validationError = SiteAudit.validate({ ...options, scoringRules: options.scoringRules || {} });
+    if (validationError) {
+        throw new UsageError(validationError.message);
+    }
+
+    const report = await new SiteAudit(options).run();
+
+    const body = format === 'json'
+        ? JSON.stringify(report, null, 2)
+        : new ReportExporter().export(report, format).body;
+
+    if (values.out) {
+        fs.writeFileSync(values.out, body);
+        console.log(`Report written to ${values.out}`);
+    } else {
+        process.stdout.write(body.endsWith('\n') ? body : `${body}\n`);
+    }
+
+    const imageSeoScore = report.domain.image_seo_score;
+    if (values['fail-on-thresholds'] && !imageSeoScore.passed) {
+        process.stderr.write(`Image SEO thresholds breached (score ${imageSeoScore.score}): ${imageSeoScore.violations.map(v => v.rule).join(', ')}\n`);
+        return EXIT_THRESHOLDS_BREACHED;
+    }
+    return 0;
+}
+
+async function main(argv) {
+    let parsed;
+    try {
+        parsed = util.parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+    } catch (error) {
+        process.stderr.write(`${error.message}\n\n${USAGE}`);
+        return EXIT_ERROR;
+    }
+
+    const { values, positionals } = parsed;
+    const [command, target, ...extra] = positionals;
+
+    if (values.help) {
+        process.stdout.write(USAGE);
+        return 0;
+    }
+
+    if (!command) {
+        process.stderr.write(USAGE);
+        return EXIT_ERROR;
+    }
+
+    if (command !== 'audit') {
+        process.stderr.write(`Unknown command "${command}"\n\n${USAGE}`);
+        return EXIT_ERROR;
+    }
+
+    if (extra.length > 0) {
+        process.stderr.write(`Unexpected arguments: ${extra.join(' ')}\n\n${USAGE}`);
+        return EXIT_ERROR;
+    }
+
+    // Progress logs go to stderr so the report can be piped from stdout
+    const log = values.quiet ? () => {} : (...args) => process.stderr.write(`${util.format(...args)}\n`);
+    console.log = log;
+    console.info = log;
+    console.warn = log;
+    console.error = log;
+
+    try {
+        return await audit(values, target);
+    } catch (error) {
+        process.stderr.write(error instanceof UsageError ? `${error.message}\n\n${USAGE}` : `Audit failed: ${error.message}\n`);
+        return EXIT_ERROR;
+    }
+}
+
+main(process.argv.slice(2)).then(exitCode => {
+    process.exitCode = exitCode;
+});
@@ -1,21 +1,25 @@
+const fs = require('fs').promises;
+const path = require('path');
 const express = require('express');
 const cors = require('cors');
-const { PageImagesAnalyzer } = require('./src/page-images-analyzer.js');
-const { URLNormalizer } = require('./src/url-normalizer.js');
-const axios = require('axios');
+const { SiteAudit } = require('./src/site-audit.js');
+const { ImageInfoCache } = require('./src/image-info-cache.js');
+const { JobManager } = require('./src/job-manager.js');
+const { ReportExporter } = require('./src/report-exporter.js');
+const { ImageSitemapGenerator } = require('./src/image-sitemap-generator.js');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
+const IMAGE_INFO_CACHE_FILE = process.env.IMAGE_INFO_CACHE_FILE || 'image-info-cache.json';
+// previousReportFile paths are resolved inside this directory; nothing outside it is read
+const REPORTS_DIR = path.resolve(process.env.REPORTS_DIR || 'reports');
+const jobManager = new JobManager();
 
 // Middleware
 app.use(cors());
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
-// Initialize analyzers
-const pageImagesAnalyzer = new PageImagesAnalyzer();
-const urlNormalizer = new URLNormalizer();
-
 // Health check endpoint
 app.get('/health', (req, res) => {
     res.json({ 
@@ -27,13 +31,28 @@ app.get('/health', (req, res) => {
 
 // Single page analysis endpoint
 app.post('/analyze', async (req, res) => {
+    let siteAudit = null;
+
     try {
         const { 
             url, 
-            maxImagesPerPage = -1,
-            includeImageSizeAnalysis = true,
-            includeAltTextAnalysis = true,
-            userAgent = 'Mozilla/5.0 (compatible; SEO-Image-Optimization-Checker/1.0)'
+            maxImagesPerPage,
+            includeImageSizeAnalysis,
+            includeAltTextAnalysis,
+            userAgent,
+            renderMode,
+            waitForPageLoad,
+            includeIntrinsicDimensions,
+            oversizedImageThreshold,
+            includeAllImageSources,
+            includeFormatSavingsEstimate,
+            conversionQuality,
+            includeCompressionAudit,
+            includeDuplicateDetection,
+            maxConcurrencyPerHost,
+            maxRequestsPerSecond,
+            scoringRules,
+            failOnThresholds = false
         } = req.body;
 
         if (!url) {
@@ -43,46 +62,38 @@ app.post('/analyze', async (req, res) => {
             });
         }
 
-        console.log(`Analyzing images for URL: ${url}`);
-
-        // Fetch page content
-        const response = await axios.get(url, {
-            headers: {
-                'User-Agent': userAgent,
-                'Accept-Language': 'en-US,en;q=0.9',
-                'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/webp,*/*;q=0.8'
-            },
-            timeout: 30000,
-            maxRedirects: 5,
-            validateStatus: function (status) {
-                return status < 500;
-            }
-        });
-
-        const html = response.data;
-        const statusCode = response.status;
+        // The page URL stands in for startUrl so every other option is checked as for a crawl
+        const validationError = SiteAudit.validate({ ...req.body, startUrl: url });
+        if (validationError) {
+            return res.status(400).json(validationError);
+        }
 
-        // Normalize URL
-        const normalizedUrl = urlNormalizer.normalize(url);
+        console.log(`Analyzing images for URL: ${url}`);
 
-        // Perform image analysis
-        const imageData = await pageImagesAnalyzer.analyzePage({
-            url: normalizedUrl,
-            html,
+        siteAudit = new SiteAudit({
             maxImagesPerPage,
             includeImageSizeAnalysis,
             includeAltTextAnalysis,
-            userAgent
+            userAgent,
+            renderMode,
+            waitForPageLoad,
+            includeIntrinsicDimensions,
+            oversizedImageThreshold,
+            includeAllImageSources,
+            includeFormatSavingsEstimate,
+            conversionQuality,
+            includeCompressionAudit,
+            includeDuplicateDetection,
+            maxConcurrencyPerHost,
+            maxRequestsPerSecond,
+            scoringRules
         });
 
-        const result = {
-            ...imageData,
-            statusCode: statusCode,
-            analysis_date: new Date().toISOString(),
-            data_source: 'msd_page_images'
-        };
+        const result = await siteAudit.analyzeUrl(url);
 
-        res.json(result);
+        // 422 lets CI pipelines gate on the scoring rules
+        const thresholdsBreached = failOnThresholds && result.seoScore.violations.length > 0;
+        res.status(thresholdsBreached ? 422 : 200).json(result);
 
     } catch (error) {
         console.error('Error in /analyze endpoint:', error);
@@ -99,157 +110,151 @@ app.post('/analyze', async (req, res) => {
             analysis_date: new Date().toISOString(),
             data_source: 'msd_page_images'
         });
+    } finally {
+        if (siteAudit) {
+            await siteAudit.close();
+        }
     }
 });
 
-// Multi-page analysis endpoint
+/**
+ * Map a multi-page request body to SiteAudit options
+ * @param {Object} body - Request body
+ * @returns {Object}
+ */
+function buildSiteAuditOptions(body) {
+    const { 
+        startUrl,
+        maxPages,
+        maxImagesPerPage,
+        includeImageSizeAnalysis,
+        includeAltTextAnalysis,
+        crawlInternalLinks = true,
+        userAgent,
+        renderMode,
+        waitForPageLoad,
+        respectRobotsTxt,
+        discoveryMode,
+        urlList,
+        includeIntrinsicDimensions,
+        oversizedImageThreshold,
+        includeAllImageSources,
+        includeFormatSavingsEstimate,
+        conversionQuality,
+        includeCompressionAudit,
+        includeDuplicateDetection,
+        checkImageSitemap,
+        maxConcurrency,
+        maxConcurrencyPerHost,
+        maxRequestsPerSecond,
+        persistImageInfoCache = false,
+        previousReport,
+        sizeRegressionThreshold,
+        scoringRules
+    } = body;
+
+    return {
+        startUrl,
+        crawlUrls: crawlInternalLinks,
+        maxPages,
+        maxImagesPerPage,
+        includeImageSizeAnalysis,
+        includeAltTextAnalysis,
+        userAgent,
+        renderMode,
+        waitForPageLoad,
+        respectRobotsTxt,
+        discoveryMode,
+        urlList,
+        includeIntrinsicDimensions,
+        oversizedImageThreshold,
+        includeAllImageSources,
+        includeFormatSavingsEstimate,
+        conversionQuality,
+        includeCompressionAudit,
+        includeDuplicateDetection,
+        checkImageSitemap,
+        maxConcurrency,
+        maxConcurrencyPerHost,
+        maxRequestsPerSecond,
+        imageInfoCache: persistImageInfoCache ? new ImageInfoCache({ filePath: IMAGE_INFO_CACHE_FILE }) : null,
+        persistImageInfoCache,
+        previousReport,
+        sizeRegressionThreshold,
+        scoringRules
+    };
+}
+
+/**
+ * Load the previous report to compare against from previousReportFile, when given
+ * The path is relative to REPORTS_DIR; paths that resolve outside it (also through symlinks) are
+ * refused. Errors do not echo the file or its contents, since any origin may call the API.
+ * @param {Object} body - Request body
+ * @param {Object} options - SiteAudit options, updated in place
+ * @returns {Promise<{error: string, message: string}|null>} - Failure, or null when loaded or not requested
+ */
+async function loadPreviousReportFile(body, options) {
+    if (!body.previousReportFile || options.previousReport) return null;
+
+    const failure = { error: 'Invalid previousReportFile', message: 'previousReportFile must name a JSON report in the reports directory' };
+    if (typeof body.previousReportFile !== 'string') return failure;
+
+    try {
+        const reportsDir = await fs.realpath(REPORTS_DIR);
+        const filePath = await fs.realpath(path.resolve(reportsDir, body.previousReportFile));
+        const relativePath = path.relative(reportsDir, filePath);
+        if (!relativePath || relativePath.startsWith('..') || path.isAbsolute(relativePath)) return failure;
+
+        options.previousReport = JSON.parse(await fs.readFile(filePath, 'utf8'));
+        return null;
+    } catch (error) {
+        console.warn(`Could not load previousReportFile: ${error.message}`);
+        return failure;
+    }
+}
+
+/**
+ * Send a report in an export format as a file download
+ * @param {Object} res - Express response
+ * @param {Object} report - SiteAudit report
+ * @param {string} format - Export format
+ */
+function sendExport(res, report, format) {
+    const { contentType, fileName, body } = new ReportExporter().export(report, format);
+
+    res.set({
+        'Content-Type': contentType,
+        'Content-Disposition': `attachment; filename="${fileName}"`
+    });
+    res.send(body);
+}
+
+// Multi-page analysis endpoint; ?format=images_csv|pages_csv|html|markdown returns an export instead of JSON
 app.post('/analyze-multi', async (req, res) => {
     try {
-        const { 
-            startUrl,
-            maxPages = 5,
-            maxImagesPerPage = -1,
-            includeImageSizeAnalysis = true,
-            includeAltTextAnalysis = true,
-            crawlInternalLinks = true,
-            userAgent = 'Mozilla/5.0 (compatible; SEO-Image-Optimization-Checker/1.0)'
-        } = req.body;
+        const options = buildSiteAuditOptions(req.body);
+        const { format } = req.query;
 
-        if (!startUrl) {
-            return res.status(400).json({ 
-                error: 'startUrl is required',
-                message: 'Please provide a valid startUrl in the request body'
-            });
+        const validationError = SiteAudit.validate({ ...options, exportFormats: format ? [format] : [] })
+            || await loadPreviousReportFile(req.body, options);
+        if (validationError) {
+            return res.status(400).json(validationError);
         }
 
-        console.log(`Starting multi-page analysis from: ${startUrl}`);
+        console.log(`Starting multi-page analysis from: ${options.startUrl}`);
 
-        // Extract domain from start URL
-        const domain = new URL(startUrl).hostname;
+        const siteAudit = new SiteAudit(options);
 
-        const results = [];
-        const visitedUrls = new Set();
-        // Normalize start URL before adding to processing queue
-        const normalizedStartUrl = urlNormalizer.normalize(startUrl);
-        const urlsToProcess = [normalizedStartUrl];
-        let processedCount = 0;
-        
-        while (urlsToProcess.length > 0 && processedCount < maxPages) {
-            const currentUrl = urlsToProcess.shift();
-            
-            // Check if already visited (currentUrl is already normalized)
-            if (visitedUrls.has(currentUrl)) {
-                console.log(`Skipping already processed URL: ${currentUrl}`);
-                continue;
-            }
-            visitedUrls.add(currentUrl);
-            
-            console.log(`Processing: ${currentUrl} (${processedCount + 1}/${maxPages})`);
-            
-            try {
-                // Fetch page content
-                const response = await axios.get(currentUrl, {
-                    headers: {
-                        'User-Agent': userAgent,
-                        'Accept-Language': 'en-US,en;q=0.9',
-                        'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/webp,*/*;q=0.8'
-                    },
-                    timeout: 30000,
-                    maxRedirects: 5,
-                    validateStatus: function (status) {
-                        return status < 500;
-                    }
-                });
-
-                const html = response.data;
-                const statusCode = response.status;
-                
-                // Use normalized URL (currentUrl is already normalized)
-                const normalizedUrl = currentUrl;
-                
-                // Perform image analysis
-                const imageData = await pageImagesAnalyzer.analyzePage({
-                    url: normalizedUrl,
-                    html,
-                    maxImagesPerPage,
-                    includeImageSizeAnalysis,
-                    includeAltTextAnalysis,
-                    userAgent
-                });
-                
-                const result = {
-                    ...imageData,
-                    statusCode: statusCode,
-                    analysis_date: new Date().toISOString(),
-                    data_source: 'msd_page_images'
-                };
-
-                results.push(result);
-                
-                console.log(`Completed: ${normalizedUrl} - Images: ${imageData.totalImagesFound}, Without alt: ${imageData.imagesWithoutAltCount}`);
-                
-                // If crawling is enabled, extract internal links
-                if (crawlInternalLinks && imageData._internalLinks && imageData._internalLinks.length > 0) {
-                    const baseDomain = new URL(normalizedUrl).origin;
-                    
-                    for (const linkObj of imageData._internalLinks) {
-                        try {
-                            const link = linkObj.url || linkObj;
-                            let fullUrl;
-                            if (link.startsWith('http')) {
-                                fullUrl = link;
-                            } else if (link.startsWith('/')) {
-                                fullUrl = baseDomain + link;
-                            } else {
-                                fullUrl = new URL(link, normalizedUrl).href;
-                            }
-                            
-                            const normalizedLink = urlNormalizer.normalize(fullUrl);
-                            
-                            if (normalizedLink.startsWith(baseDomain) && 
-                                !visitedUrls.has(normalizedLink) && 
-                                !urlsToProcess.includes(normalizedLink)) {
-                                urlsToProcess.push(normalizedLink);
-                            }
-                        } catch (e) {
-                            continue;
-                        }
-                    }
-                }
-                
-                processedCount++;
-                
-            } catch (error) {
-                console.error(`Error analyzing ${currentUrl}:`, error.message);
-
-                let statusCode = 500;
-                if (error.response) {
-                    statusCode = error.response.status;
-                }
-
-                results.push({
-                    url: currentUrl,
-                    error: error.message,
-                    statusCode: statusCode,
-                    analysis_date: new Date().toISOString(),
-                    data_source: 'msd_page_images'
-                });
-            }
+        const finalOutput = await siteAudit.run();
+
+        // 422 lets CI pipelines gate on the scoring rules
+        if (req.body.failOnThresholds && !finalOutput.domain.image_seo_score.passed) {
+            res.status(422);
+        }
+
+        if (format) {
+            return sendExport(res, finalOutput, format);
         }
-        
-        // Calculate domain-level analysis
-        const domainAnalysis = calculateDomainAnalysis(results);
-
-        const finalOutput = {
-            domain: domainAnalysis,
-            pages: results,
-            analysis: {
-                total_pages_processed: results.length,
-                analysis_completed_at: new Date().toISOString(),
-                images_engine_version: '1.0.0',
-                data_format_version: '1.0'
-            }
-        };
 
         res.json(finalOutput);
 
@@ -264,60 +269,158 @@ app.post('/analyze-multi', async (req, res) => {
     }
 });
 
-// Domain analysis calculation function
-function calculateDomainAnalysis(results) {
-    const firstUrl = results[0]?.url || '';
-    const domain = firstUrl ? new URL(firstUrl).hostname : '';
-
-    const totalPages = results.length;
-    const successfulPages = results.filter(r => !r.error && r.statusCode >= 200 && r.statusCode < 300).length;
-    const errorPages = results.filter(r => r.error || r.statusCode >= 400).length;
-
-    const totalImagesFound = results.reduce((sum, r) => sum + (r.totalImagesFound || 0), 0);
-    const totalImagesAnalyzed = results.reduce((sum, r) => sum + (r.imagesAnalyzed || 0), 0);
-    const totalImagesWithoutAlt = results.reduce((sum, r) => sum + (r.imagesWithoutAltCount || 0), 0);
-    const totalImageSize = results.reduce((sum, r) => sum + (r.totalImageSize || 0), 0);
-
-    const imageTypes = {};
-    results.forEach(r => {
-        if (r.imageTypes) {
-            Object.entries(r.imageTypes).forEach(([type, count]) => {
-                imageTypes[type] = (imageTypes[type] || 0) + count;
-            });
+// Start a multi-page analysis in the background
+app.post('/jobs', async (req, res) => {
+    const options = buildSiteAuditOptions(req.body);
+
+    const validationError = SiteAudit.validate(options) || await loadPreviousReportFile(req.body, options);
+    if (validationError) {
+        return res.status(400).json(validationError);
+    }
+
+    const job = jobManager.create(options);
+    console.log(`Started job ${job.id} for: ${options.startUrl}`);
+
+    res.status(202).json({
+        job_id: job.id,
+        status: job.status,
+        links: {
+            status: `/jobs/${job.id}`,
+            results: `/jobs/${job.id}/results`
         }
     });
+});
 
-    const averageImagesPerPage = totalPages > 0 ? Math.round((totalImagesFound / totalPages) * 100) / 100 : 0;
-    const averageImageSize = totalImagesAnalyzed > 0 ? Math.round(totalImageSize / totalImagesAnalyzed) : 0;
-    const imagesWithoutAltPercentage = totalImagesAnalyzed > 0 ? Math.round((totalImagesWithoutAlt / totalImagesAnalyzed) * 100) : 0;
+// Job status and progress
+app.get('/jobs/:id', (req, res) => {
+    const job = jobManager.get(req.params.id);
+    if (!job) {
+        return res.status(404).json({ error: 'Job not found', message: `No job with ID ${req.params.id}` });
+    }
 
-    return {
-        domain_name: domain,
-        total_pages_analyzed: totalPages,
-        pages_with_successful_status: successfulPages,
-        pages_with_successful_status_percentage: Math.round((successfulPages / totalPages) * 100),
-        pages_with_error_status: errorPages,
-        pages_with_error_status_percentage: Math.round((errorPages / totalPages) * 100),
-        total_images_found: totalImagesFound,
-        total_images_analyzed: totalImagesAnalyzed,
-        total_images_without_alt: totalImagesWithoutAlt,
-        total_images_without_alt_percentage: imagesWithoutAltPercentage,
-        total_image_size_bytes: totalImageSize,
-        total_image_size_kb: Math.round((totalImageSize / 1000) * 100) / 100,
-        average_images_per_page: averageImagesPerPage,
-        average_image_size_bytes: averageImageSize,
-        average_image_size_kb: Math.round((averageImageSize / 1000) * 100) / 100,
-        image_types: imageTypes,
-        most_common_image_type: Object.keys(imageTypes).reduce((a, b) => imageTypes[a] > imageTypes[b] ? a : b, 'unknown'),
-        optimization_recommendations: {
-            images_without_alt: totalImagesWithoutAlt,
-            images_without_alt_percentage: imagesWithoutAltPercentage,
-            needs_alt_text_optimization: totalImagesWithoutAlt > 0,
-            total_size_kb: Math.round((totalImageSize / 1000) * 100) / 100,
-            average_size_kb: Math.round((averageImageSize / 1000) * 100) / 100
+    res.json(jobManager.describe(job));
+});
+
+// Stream job pages as NDJSON (default) or Server-Sent Events as they complete
+app.get('/jobs/:id/results', (req, res) => {
+    const job = jobManager.get(req.params.id);
+    if (!job) {
+        return res.status(404).json({ error: 'Job not found', message: `No job with ID ${req.params.id}` });
+    }
+
+    const useSse = req.query.format === 'sse' || (req.get('Accept') || '').includes('text/event-stream');
+
+    res.status(200);
+    res.set({
+        'Content-Type': useSse ? 'text/event-stream' : 'application/x-ndjson',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive'
+    });
+    res.flushHeaders();
+
+    const send = (type, data) => {
+        if (useSse) {
+            res.write(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+        } else {
+            res.write(`${JSON.stringify({ type, ...data })}\n`);
         }
     };
-}
+
+    const onPage = (page) => send('page', { page });
+    const onEnd = () => {
+        send('summary', {
+            ...jobManager.describe(job),
+            skipped_urls: job.report ? job.report.skipped_urls : [],
+            analysis: job.report ? job.report.analysis : null
+        });
+        cleanup();
+        res.end();
+    };
+    const cleanup = () => {
+        job.events.off('page', onPage);
+        job.events.off('end', onEnd);
+    };
+
+    // Replay pages completed before the client connected, then follow the job
+    job.pages.forEach(onPage);
+
+    if (jobManager.isFinished(job)) {
+        onEnd();
+        return;
+    }
+
+    job.events.on('page', onPage);
+    job.events.on('end', onEnd);
+    res.on('close', cleanup);
+});
+
+// Download a finished job's report in an export format
+app.get('/jobs/:id/export/:format', (req, res) => {
+    const job = jobManager.get(req.params.id);
+    if (!job) {
+        return res.status(404).json({ error: 'Job not found', message: `No job with ID ${req.params.id}` });
+    }
+
+    const validationError = SiteAudit.validate({ startUrl: job.startUrl, exportFormats: [req.params.format] });
+    if (validationError) {
+        return res.status(400).json(validationError);
+    }
+
+    if (!job.report) {
+        return res.status(409).json({ error: 'Report not available', message: `Job ${job.id} is ${job.status}`, status: job.status });
+    }
+
+    sendExport(res, job.report, req.params.format);
+});
+
+// Download a finished job's image sitemap: the sitemap (or sitemap index) itself, or one file of a split sitemap
+// ?baseUrl= sets where the files are published; ?excludeBroken=false / ?excludeDecorative=false keep those images
+app.get('/jobs/:id/image-sitemap{/:file}', (req, res) => {
+    const job = jobManager.get(req.params.id);
+    if (!job) {
+        return res.status(404).json({ error: 'Job not found', message: `No job with ID ${req.params.id}` });
+    }
+
+    const { baseUrl = null, excludeBroken, excludeDecorative } = req.query;
+    const validationError = SiteAudit.validate({ startUrl: job.startUrl, imageSitemapBaseUrl: baseUrl });
+    if (validationError) {
+        return res.status(400).json(validationError);
+    }
+
+    if (!job.report) {
+        return res.status(409).json({ error: 'Report not available', message: `Job ${job.id} is ${job.status}`, status: job.status });
+    }
+
+    const imageSitemapGenerator = new ImageSitemapGenerator({
+        excludeBrokenImages: excludeBroken !== 'false',
+        excludeDecorativeImages: excludeDecorative !== 'false'
+    });
+    const { files } = imageSitemapGenerator.generate(job.report, { baseUrl });
+    const file = req.params.file ? files.find(f => f.fileName === req.params.file) : files[0];
+    if (!file) {
+        return res.status(404).json({ error: 'Sitemap file not found', message: `Available files: ${files.map(f => f.fileName).join(', ')}` });
+    }
+
+    res.set('Content-Type', file.contentType);
+    res.send(file.body);
+});
+
+// Cancel a running job
+app.delete('/jobs/:id', (req, res) => {
+    const job = jobManager.get(req.params.id);
+    if (!job) {
+        return res.status(404).json({ error: 'Job not found', message: `No job with ID ${req.params.id}` });
+    }
+
+    if (jobManager.isFinished(job)) {
+        return res.status(409).json({ error: 'Job already finished', message: `Job ${job.id} is ${job.status}`, status: job.status });
+    }
+
+    jobManager.cancel(job.id);
+    console.log(`Cancelling job ${job.id}`);
+
+    res.status(202).json(jobManager.describe(job));
+});
 
 // Start server
 app.listen(PORT, () => {
@@ -325,4 +428,5 @@ app.listen(PORT, () => {
     console.log(`Health check: http://localhost:${PORT}/health`);
     console.log(`Single page analysis: POST http://localhost:${PORT}/analyze`);
     console.log(`Multi-page analysis: POST http://localhost:${PORT}/analyze-multi`);
+    console.log(`Background jobs: POST http://localhost:${PORT}/jobs, GET /jobs/:id, GET /jobs/:id/results, GET /jobs/:id/export/:format, GET /jobs/:id/image-sitemap, DELETE /jobs/:id`);
 });
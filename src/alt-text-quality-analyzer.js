@@ -0,0 +1,187 @@
+/**
+ * Alt Text Quality Analyzer for SEO Image Optimization Checker
+ *
+ * @author MySmartDigital
+ * @description Scores alt text beyond present/missing: detects filename-like and generic
+ * placeholder alts, overly long or keyword-stuffed alts, alts duplicated across the page
+ * and alts that merely repeat the surrounding caption or title.
+ */
+
+const GENERIC_ALT_TEXTS = new Set([
+    'image', 'img', 'picture', 'pic', 'photo', 'photograph', 'graphic', 'icon', 'logo',
+    'banner', 'placeholder', 'spacer', 'thumbnail', 'untitled', 'default', 'alt', 'alt text',
+    'image description', 'no description', 'blank', 'null', 'undefined', 'screenshot'
+]);
+
+const IMAGE_EXTENSION = /\.(jpe?g|png|gif|webp|avif|svg|bmp|ico|tiff?)$/i;
+const CAMERA_FILENAME = /^(img|dsc|dscn|dcim|pxl|image|photo|screenshot|screen shot)[\s_-]*\d+/i;
+
+// Score deductions per issue; the remaining score is floored at 0
+const ISSUE_PENALTIES = {
+    filename_like: 70,
+    generic_placeholder: 70,
+    keyword_stuffed: 50,
+    too_long: 30,
+    duplicate_on_page: 20,
+    duplicates_caption_or_title: 20
+};
+
+class AltTextQualityAnalyzer {
+    constructor({ maxAltLength = 125 } = {}) {
+        this.maxAltLength = maxAltLength;
+    }
+
+    normalize(text) {
+        return String(text || '').toLowerCase().replace(/\s+/g, ' ').trim();
+    }
+
+    /**
+     * Assess the alt text of every image on a page
+     * @param {Array<{alt: string|undefined, imageUrl: string, title: string, caption: string, isDecorative: boolean}>} entries -
+     *   One entry per image; alt is undefined when the attribute is missing
+     * @returns {Array<{category: string, score: number|null, issues: string[]}>} - One assessment per entry
+     */
+    assessPage(entries) {
+        // Count distinct images per alt so the same image repeated is not a duplicate
+        const altUsage = new Map();
+        entries.forEach(({ alt, imageUrl }) => {
+            const normalizedAlt = this.normalize(alt);
+            if (!normalizedAlt) return;
+            if (!altUsage.has(normalizedAlt)) altUsage.set(normalizedAlt, new Set());
+            altUsage.get(normalizedAlt).add(imageUrl);
+        });
+
+        return entries.map(entry => this.assess(entry, altUsage));
+    }
+
+    assess({ alt, imageUrl, title, caption, isDecorative = false }, altUsage = new Map()) {
+        const normalizedAlt = this.normalize(alt);
+
+        // alt="" (or role="presentation"/aria-hidden) marks the image as decorative;
+        // it cannot be scored as descriptive text
+        if (!normalizedAlt && (isDecorative || (alt !== undefined && alt !== null))) {
+            return { category: 'empty_decorative', score: null, issues: [] };
+        }
+
+        if (!normalizedAlt) {
+            return { category: 'missing', score: 0, issues: ['missing'] };
+        }
+
+        const issues = [];
+
+        if (this.isFilenameLike(normalizedAlt, imageUrl)) {
+            issues.push('filename_like');
+        } else if (GENERIC_ALT_TEXTS.has(normalizedAlt.replace(/[^a-z ]/g, '').trim())) {
+            issues.push('generic_placeholder');
+        }
+
+        if (this.isKeywordStuffed(normalizedAlt)) {
+            issues.push('keyword_stuffed');
+        }
+
+        if (normalizedAlt.length > this.maxAltLength) {
+            issues.push('too_long');
+        }
+
+        if ((altUsage.get(normalizedAlt) || new Set()).size > 1) {
+            issues.push('duplicate_on_page');
+        }
+
+        if ([title, caption].some(text => text && this.normalize(text) === normalizedAlt)) {
+            issues.push('duplicates_caption_or_title');
+        }
+
+        const score = Math.max(0, issues.reduce((total, issue) => total - ISSUE_PENALTIES[issue], 100));
+
+        return {
+            category: issues[0] || 'good',
+            score,
+            issues
+        };
+    }
+
+    isFilenameLike(normalizedAlt, imageUrl) {
+        if (IMAGE_EXTENSION.test(normalizedAlt) || CAMERA_FILENAME.test(normalizedAlt)) {
+            return true;
+        }
+
+        // Long hex/hash-like tokens (e.g. "a3f9c0e1b2d4")
+        if (/^[0-9a-f_-]{12,}$/i.test(normalizedAlt.replace(/\s/g, ''))) {
+            return true;
+        }
+
+        try {
+            const filename = decodeURIComponent(new URL(imageUrl).pathname.split('/').pop() || '');
+            const basename = this.normalize(filename.replace(IMAGE_EXTENSION, '').replace(/[-_+.]+/g, ' '));
+            return !!basename && basename === normalizedAlt.replace(/[-_+.]+/g, ' ').trim();
+        } catch (e) {
+            return false;
+        }
+    }
+
+    isKeywordStuffed(normalizedAlt) {
+        const words = normalizedAlt.split(/[\s,|;]+/).filter(word => word.length > 2);
+        const wordCounts = {};
+        words.forEach(word => {
+            wordCounts[word] = (wordCounts[word] || 0) + 1;
+        });
+
+        const maxRepeat = Math.max(0, ...Object.values(wordCounts));
+        const separatedTerms = normalizedAlt.split(/[,|;]/).filter(term => term.trim()).length;
+
+        return maxRepeat >= 3 || separatedTerms >= 5;
+    }
+
+    /**
+     * Count categories and issues and average the scores of a list of images
+     * @param {Array} images - Image records carrying an altQuality assessment
+     * @returns {{averageScore: number|null, categories: Object, issues: Object}}
+     */
+    aggregate(images) {
+        const categories = {};
+        const issues = {};
+        let scoreTotal = 0;
+        let scoredImages = 0;
+
+        images.forEach(image => {
+            if (!image.altQuality) return;
+
+            const { category, score, issues: imageIssues } = image.altQuality;
+            categories[category] = (categories[category] || 0) + 1;
+            imageIssues.forEach(issue => {
+                issues[issue] = (issues[issue] || 0) + 1;
+            });
+
+            if (score !== null) {
+                scoreTotal += score;
+                scoredImages++;
+            }
+        });
+
+        return {
+            averageScore: scoredImages > 0 ? Math.round(scoreTotal / scoredImages) : null,
+            categories,
+            issues
+        };
+    }
+
+    /**
+     * Aggregate alt text quality across page results
+     * @param {Array} results - Page results
+     * @returns {Object} - Domain-level alt text quality summary
+     */
+    summarize(results) {
+        const { averageScore, categories, issues } = this.aggregate(results.flatMap(r => r.images || []));
+
+        return {
+            average_alt_text_score: averageScore,
+            categories,
+            issues,
+            images_with_low_quality_alt: Object.entries(categories)
+                .filter(([category]) => !['good', 'missing', 'empty_decorative'].includes(category))
+                .reduce((sum, [, count]) => sum + count, 0)
+        };
+    }
+}
+
+module.exports = { AltTextQualityAnalyzer };
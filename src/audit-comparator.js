@@ -0,0 +1,232 @@
+/**
+ * Audit Comparator for SEO Image Optimization Checker
+ *
+ * @author MySmartDigital
+ * @description Compares a report with the report of a previous run: pages and images that
+ * appeared or disappeared, images that gained or lost alt text, images that grew in size,
+ * images that broke or were fixed, and the change of the main domain metrics.
+ */
+
+const { ImageSourceDiscovery } = require('./image-source-discovery');
+
+// Domain metrics reported with their previous value, current value and change
+const DELTA_METRICS = {
+    total_pages_analyzed: domain => domain.total_pages_analyzed,
+    pages_with_error_status: domain => domain.pages_with_error_status,
+    total_images_found: domain => domain.total_images_found,
+    total_images_analyzed: domain => domain.total_images_analyzed,
+    total_images_without_alt: domain => domain.total_images_without_alt,
+    total_images_without_alt_percentage: domain => domain.total_images_without_alt_percentage,
+    average_alt_text_score: domain => domain.alt_text_quality?.average_alt_text_score,
+    wcag_1_1_1_failures: domain => domain.accessibility?.wcag_1_1_1_failures,
+    total_image_size_kb: domain => domain.total_image_size_kb,
+    average_image_size_kb: domain => domain.average_image_size_kb,
+    images_without_responsive_variants: domain => domain.responsive_images?.images_without_responsive_variants,
+    oversized_images: domain => domain.oversized_images?.oversized_images,
+    broken_images_count: domain => domain.broken_images?.broken_images_count,
+    mixed_content_images_count: domain => domain.broken_images?.mixed_content_images_count
+};
+
+// Growth below this many bytes is ignored, whatever the percentage
+const MIN_SIZE_REGRESSION_BYTES = 1024;
+
+class AuditComparator {
+    /**
+     * @param {Object} options
+     * @param {number} options.sizeRegressionThreshold - Minimum size increase, in percent, reported as a regression
+     */
+    constructor({ sizeRegressionThreshold = 10 } = {}) {
+        this.sizeRegressionThreshold = sizeRegressionThreshold;
+    }
+
+    /**
+     * Compare the current report with a previous one
+     * @param {Object} previous - Previous report ({domain, pages, analysis})
+     * @param {Object} current - Current report
+     * @returns {Object} - Comparison report
+     */
+    compare(previous, current) {
+        const previousImages = this.indexImages(previous.pages);
+        const currentImages = this.indexImages(current.pages);
+        const previousPageUrls = new Set((previous.pages || []).map(p => p.url));
+        const currentPageUrls = new Set((current.pages || []).map(p => p.url));
+
+        // Reports from the per-item output modes keep pages in the dataset only
+        const pagesAvailable = Array.isArray(previous.pages);
+
+        const newImages = [];
+        const removedImages = [];
+        const sizeRegressions = [];
+        const newlyBrokenImages = [];
+        const fixedBrokenImages = [];
+
+        currentImages.forEach((image, imageUrl) => {
+            const before = previousImages.get(imageUrl);
+            if (!before) {
+                newImages.push({ image_url: imageUrl, pages: image.pages });
+                if (image.isBroken) {
+                    newlyBrokenImages.push(this.describeBrokenImage(imageUrl, image));
+                }
+                return;
+            }
+
+            if (image.isBroken && !before.isBroken) {
+                newlyBrokenImages.push(this.describeBrokenImage(imageUrl, image));
+            } else if (!image.isBroken && before.isBroken) {
+                fixedBrokenImages.push({ image_url: imageUrl, previous_status_code: before.statusCode, pages: image.pages });
+            }
+
+            const increaseBytes = image.sizeInBytes - before.sizeInBytes;
+            if (before.sizeInBytes > 0 && image.sizeInBytes > 0 && increaseBytes >= MIN_SIZE_REGRESSION_BYTES) {
+                const increasePercentage = Math.round((increaseBytes / before.sizeInBytes) * 100);
+                if (increasePercentage >= this.sizeRegressionThreshold) {
+                    sizeRegressions.push({
+                        image_url: imageUrl,
+                        previous_size_kb: this.toKb(before.sizeInBytes),
+                        current_size_kb: this.toKb(image.sizeInBytes),
+                        increase_kb: this.toKb(increaseBytes),
+                        increase_percentage: increasePercentage,
+                        pages: image.pages
+                    });
+                }
+            }
+        });
+
+        previousImages.forEach((image, imageUrl) => {
+            if (!currentImages.has(imageUrl)) {
+                removedImages.push({ image_url: imageUrl, pages: image.pages });
+            }
+        });
+
+        const { gained, lost } = this.compareAltText(previous.pages, current.pages);
+
+        sizeRegressions.sort((a, b) => b.increase_kb - a.increase_kb);
+
+        return {
+            previous_analysis_completed_at: previous.analysis?.analysis_completed_at || null,
+            current_analysis_completed_at: current.analysis?.analysis_completed_at || null,
+            pages_available: pagesAvailable,
+            pages_added: pagesAvailable ? [...currentPageUrls].filter(url => !previousPageUrls.has(url)) : [],
+            pages_removed: pagesAvailable ? [...previousPageUrls].filter(url => !currentPageUrls.has(url)) : [],
+            new_images_count: pagesAvailable ? newImages.length : 0,
+            removed_images_count: pagesAvailable ? removedImages.length : 0,
+            images_gained_alt_count: gained.length,
+            images_lost_alt_count: lost.length,
+            size_regressions_count: sizeRegressions.length,
+            newly_broken_images_count: pagesAvailable ? newlyBrokenImages.length : 0,
+            fixed_broken_images_count: fixedBrokenImages.length,
+            domain_deltas: this.compareDomains(previous.domain || {}, current.domain || {}),
+            new_images: pagesAvailable ? newImages : [],
+            removed_images: pagesAvailable ? removedImages : [],
+            images_gained_alt: gained,
+            images_lost_alt: lost,
+            size_regressions: sizeRegressions,
+            newly_broken_images: pagesAvailable ? newlyBrokenImages : [],
+            fixed_broken_images: fixedBrokenImages
+        };
+    }
+
+    /**
+     * Collect every image of a report by URL, with the pages using it
+     * @param {Array} pages - Page results
+     * @returns {Map<string, Object>}
+     */
+    indexImages(pages) {
+        const images = new Map();
+
+        (pages || []).forEach(page => {
+            (page.images || []).forEach(image => {
+                if (!images.has(image.imageUrl)) {
+                    images.set(image.imageUrl, {
+                        sizeInBytes: image.sizeInBytes || 0,
+                        statusCode: image.statusCode,
+                        errorType: image.errorType || null,
+                        isBroken: false,
+                        pages: []
+                    });
+                }
+                const entry = images.get(image.imageUrl);
+                // Failing meta images are og:image issues, not broken images (as in the broken images report)
+                const isSubresource = !image.sourceKind || ImageSourceDiscovery.isSubresource(image.sourceKind);
+                if (isSubresource && (image.statusCode >= 400 || image.errorType)) entry.isBroken = true;
+                if (!entry.pages.includes(page.url)) entry.pages.push(page.url);
+            });
+        });
+
+        return images;
+    }
+
+    /**
+     * Alt text changes of images present on the same page in both reports
+     * Only image kinds that can carry alt text are compared.
+     * @param {Array} previousPages - Previous page results
+     * @param {Array} currentPages - Current page results
+     * @returns {{gained: Array, lost: Array}}
+     */
+    compareAltText(previousPages, currentPages) {
+        const previousAlt = new Map();
+        (previousPages || []).forEach(page => {
+            (page.images || []).forEach(image => {
+                if (this.supportsAlt(image)) {
+                    previousAlt.set(`${page.url} ${image.imageUrl}`, image);
+                }
+            });
+        });
+
+        const gained = [];
+        const lost = [];
+
+        (currentPages || []).forEach(page => {
+            (page.images || []).forEach(image => {
+                const before = previousAlt.get(`${page.url} ${image.imageUrl}`);
+                if (!before || !this.supportsAlt(image)) return;
+
+                if (image.hasAlt && !before.hasAlt) {
+                    gained.push({ page_url: page.url, image_url: image.imageUrl, alt: image.alt });
+                } else if (!image.hasAlt && before.hasAlt) {
+                    lost.push({ page_url: page.url, image_url: image.imageUrl, previous_alt: before.alt });
+                }
+            });
+        });
+
+        return { gained, lost };
+    }
+
+    supportsAlt(image) {
+        // Reports from before image sources were tracked only contain <img> elements
+        return !image.sourceKind || ImageSourceDiscovery.supportsAlt(image.sourceKind);
+    }
+
+    compareDomains(previousDomain, currentDomain) {
+        const deltas = {};
+
+        Object.entries(DELTA_METRICS).forEach(([metric, getValue]) => {
+            const previousValue = getValue(previousDomain);
+            const currentValue = getValue(currentDomain);
+            if (typeof previousValue !== 'number' || typeof currentValue !== 'number') return;
+
+            deltas[metric] = {
+                previous: previousValue,
+                current: currentValue,
+                change: Math.round((currentValue - previousValue) * 100) / 100
+            };
+        });
+
+        return deltas;
+    }
+
+    describeBrokenImage(imageUrl, image) {
+        return {
+            image_url: imageUrl,
+            status_code: image.statusCode,
+            error_type: image.errorType,
+            pages: image.pages
+        };
+    }
+
+    toKb(bytes) {
+        return Math.round((bytes / 1000) * 100) / 100;
+    }
+}
+
+module.exports = { AuditComparator };
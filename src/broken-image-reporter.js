@@ -0,0 +1,90 @@
+/**
+ * Broken Image Reporter for SEO Image Optimization Checker
+ *
+ * @author MySmartDigital
+ * @description Aggregates image delivery failures across a crawl: 4xx/5xx responses, timeouts
+ * and other network errors, redirect chains, mixed-content http images on https pages and
+ * non-image content served at image URLs (images a local build audit did not request are
+ * listed as unchecked, never as broken; failing og:image / twitter:image URLs are reported
+ * with the image SEO signals). Every finding is grouped by image URL and lists all pages that
+ * reference the image.
+ */
+
+const { ImageSourceDiscovery } = require('./image-source-discovery');
+
+class BrokenImageReporter {
+    /**
+     * Aggregate broken and redirected images across page results
+     * @param {Array} results - Page results
+     * @returns {Object} - Domain-level broken images report
+     */
+    summarize(results) {
+        const broken = new Map();
+        const redirected = new Map();
+        const mixedContent = new Map();
+        const contentTypeMismatches = new Map();
+        const unchecked = new Map();
+
+        const track = (map, imageUrl, pageUrl, details) => {
+            if (!map.has(imageUrl)) map.set(imageUrl, { image_url: imageUrl, ...details, pages: [] });
+            const entry = map.get(imageUrl);
+            if (!entry.pages.includes(pageUrl)) entry.pages.push(pageUrl);
+        };
+
+        results.forEach(r => {
+            (r.images || []).forEach(image => {
+                // Broken meta images are og_image_issues, not page load failures
+                const isSubresource = !image.sourceKind || ImageSourceDiscovery.isSubresource(image.sourceKind);
+                if (isSubresource && (image.statusCode >= 400 || image.errorType)) {
+                    track(broken, image.imageUrl, r.url, {
+                        status_code: image.statusCode,
+                        error_type: image.errorType || null
+                    });
+                }
+
+                if (image.redirectCount > 0) {
+                    track(redirected, image.imageUrl, r.url, {
+                        hops: image.redirectCount,
+                        final_url: image.finalUrl,
+                        final_status_code: image.statusCode,
+                        redirect_chain: image.redirectChain
+                    });
+                }
+
+                if (image.isMixedContent) {
+                    track(mixedContent, image.imageUrl, r.url, {});
+                }
+
+                // Remote images of a local build audit were not requested
+                if (image.unchecked) {
+                    track(unchecked, image.imageUrl, r.url, {});
+                }
+
+                if (image.contentTypeMismatch) {
+                    track(contentTypeMismatches, image.imageUrl, r.url, { content_type: image.contentType });
+                }
+            });
+        });
+
+        const brokenImages = Array.from(broken.values());
+
+        return {
+            broken_images_count: brokenImages.length,
+            client_error_images: brokenImages.filter(i => i.status_code >= 400 && i.status_code < 500 && !i.error_type).length,
+            server_error_images: brokenImages.filter(i => i.status_code >= 500 && !i.error_type).length,
+            timed_out_images: brokenImages.filter(i => i.error_type === 'timeout').length,
+            request_error_images: brokenImages.filter(i => i.error_type && i.error_type !== 'timeout').length,
+            redirected_images_count: redirected.size,
+            mixed_content_images_count: mixedContent.size,
+            content_type_mismatches_count: contentTypeMismatches.size,
+            unchecked_images_count: unchecked.size,
+            broken_images: brokenImages,
+            redirected_images: Array.from(redirected.values()),
+            mixed_content_images: Array.from(mixedContent.values()),
+            content_type_mismatches: Array.from(contentTypeMismatches.values()),
+            unchecked_images: Array.from(unchecked.values())
+        };
+    }
+}
+
+module.exports = { BrokenImageReporter };
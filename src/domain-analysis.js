@@ -0,0 +1,236 @@
+/**
+ * Domain Analysis for SEO Image Optimization Checker
+ *
+ * @author MySmartDigital
+ * @description Rolls page results up into the domain-level report shared by the Actor and the
+ * local API server: image statistics, the per-feature summaries of every analyzer and the
+ * optimization recommendations.
+ */
+
+const path = require('path');
+const { ResponsiveImageAnalyzer } = require('./responsive-image-analyzer');
+const { ImageDimensionAnalyzer } = require('./image-dimension-analyzer');
+const { AltTextQualityAnalyzer } = require('./alt-text-quality-analyzer');
+const { ImageAccessibilityAnalyzer } = require('./image-accessibility-analyzer');
+const { ImageSourceDiscovery } = require('./image-source-discovery');
+const { FormatSavingsEstimator } = require('./format-savings-estimator');
+const { ImageByteInspector } = require('./image-byte-inspector');
+const { ImageInfoCache } = require('./image-info-cache');
+const { BrokenImageReporter } = require('./broken-image-reporter');
+const { ImageSeoScorer } = require('./image-seo-scorer');
+const { ImagePerformanceAnalyzer } = require('./image-performance-analyzer');
+const { ImageDeliveryAnalyzer } = require('./image-delivery-analyzer');
+const { ImageSeoSignalAnalyzer } = require('./image-seo-signal-analyzer');
+const { ImageDuplicateDetector } = require('./image-duplicate-detector');
+
+/**
+ * Domain-level analysis calculation
+ * @param {Array} results - Page results, including error results
+ * @param {Object} options
+ * @param {ImageSeoScorer} options.imageSeoScorer - Scorer holding the configured rules
+ * @param {Array} options.skippedUrls - URLs skipped by robots.txt, which fail the score gate
+ * @param {string|null} options.localRoot - Build directory of a local audit, which names the domain
+ * @returns {Object} - Domain analysis
+ */
+function calculateDomainAnalysis(results, { imageSeoScorer = new ImageSeoScorer(), skippedUrls = [], localRoot = null } = {}) {
+    console.log('Calculating domain-level analysis...');
+
+    // Extract domain from first result; file:// pages have no host, so local builds use the directory name
+    const firstUrl = results[0]?.url || '';
+    const domain = localRoot ? path.basename(path.resolve(localRoot)) : (firstUrl ? new URL(firstUrl).hostname : '');
+
+    // Calculate domain-level metrics
+    const totalPages = results.length;
+    const successfulPages = results.filter(r => !r.error && r.statusCode >= 200 && r.statusCode < 300).length;
+    const errorPages = results.filter(r => r.error || r.statusCode >= 400).length;
+
+    // Image statistics
+    const totalImagesFound = results.reduce((sum, r) => sum + (r.totalImagesFound || 0), 0);
+    const totalImagesAnalyzed = results.reduce((sum, r) => sum + (r.imagesAnalyzed || 0), 0);
+    const totalImagesWithoutAlt = results.reduce((sum, r) => sum + (r.imagesWithoutAltCount || 0), 0);
+    const totalImageSize = results.reduce((sum, r) => sum + (r.totalImageSize || 0), 0);
+    // Only <img> and <input type="image"> can carry alt text; CSS and meta images cannot
+    const totalImagesSupportingAlt = results.reduce((sum, r) => sum + (r.imagesSupportingAltCount ?? r.imagesAnalyzed ?? 0), 0);
+
+    // Image type aggregation
+    const imageTypes = {};
+    results.forEach(r => {
+        if (r.imageTypes) {
+            Object.entries(r.imageTypes).forEach(([type, count]) => {
+                imageTypes[type] = (imageTypes[type] || 0) + count;
+            });
+        }
+    });
+
+    // Calculate averages
+    const averageImagesPerPage = totalPages > 0 ? Math.round((totalImagesFound / totalPages) * 100) / 100 : 0;
+    const averageImageSize = totalImagesAnalyzed > 0 ? Math.round(totalImageSize / totalImagesAnalyzed) : 0;
+    const imagesWithoutAltPercentage = totalImagesSupportingAlt > 0 ? Math.round((totalImagesWithoutAlt / totalImagesSupportingAlt) * 100) : 0;
+
+    // Image source (img, CSS, inline SVG, meta...) breakdown
+    const imageSources = new ImageSourceDiscovery().summarize(results);
+
+    // WebP/AVIF conversion savings rollup
+    const modernFormatSavings = new FormatSavingsEstimator().summarize(results);
+
+    // Broken, redirected, mixed-content and mistyped images
+    const brokenImages = new BrokenImageReporter().summarize(results);
+
+    // Cache lifetimes, compression, content negotiation and CDNs
+    const imageDelivery = new ImageDeliveryAnalyzer().summarize(results);
+
+    // Images shared across pages vs. unique to one page
+    const imageReuse = new ImageInfoCache().summarize(results);
+
+    // Embedded metadata and compression settings rollup
+    const compressionAudit = new ImageByteInspector().summarize(results);
+
+    // Responsive image (srcset, sizes, <picture>) rollup
+    const responsiveImages = new ResponsiveImageAnalyzer().summarize(results);
+
+    // Intrinsic vs. displayed size rollup
+    const oversizedImages = new ImageDimensionAnalyzer().summarize(results);
+
+    // Alt text quality rollup
+    const altTextQuality = new AltTextQualityAnalyzer().summarize(results);
+
+    // WCAG 1.1.1 failures vs. decorative images rollup
+    const accessibility = new ImageAccessibilityAnalyzer().summarize(results);
+
+    // LCP image, lazy loading and layout-shift (Core Web Vitals) rollup
+    const coreWebVitals = new ImagePerformanceAnalyzer().summarize(results);
+
+    // Filenames, structured data and og:image files, image sitemap coverage rollup
+    const imageSeoSignals = new ImageSeoSignalAnalyzer().summarize(results);
+
+    // Identical and near-identical images under different URLs
+    const duplicateImages = new ImageDuplicateDetector().summarize(results);
+
+    // Rule-based 0-100 score and violated thresholds
+    const imageSeoScore = imageSeoScorer.summarize(results, {
+        broken_images: brokenImages,
+        wcag_1_1_1_failures_percentage: accessibility.wcag_1_1_1_failures_percentage,
+        skipped_urls: skippedUrls
+    });
+
+    // Compile domain analysis
+    const domainAnalysis = {
+        domain_name: domain,
+        total_pages_analyzed: totalPages,
+        pages_with_successful_status: successfulPages,
+        pages_with_successful_status_percentage: totalPages > 0 ? Math.round((successfulPages / totalPages) * 100) : 0,
+        pages_with_error_status: errorPages,
+        pages_with_error_status_percentage: totalPages > 0 ? Math.round((errorPages / totalPages) * 100) : 0,
+
+        // Image statistics
+        total_images_found: totalImagesFound,
+        total_images_analyzed: totalImagesAnalyzed,
+        total_images_without_alt: totalImagesWithoutAlt,
+        total_images_without_alt_percentage: imagesWithoutAltPercentage,
+        alt_text_quality: altTextQuality,
+        accessibility: accessibility,
+        total_image_size_bytes: totalImageSize,
+        total_image_size_kb: Math.round((totalImageSize / 1000) * 100) / 100,
+        average_images_per_page: averageImagesPerPage,
+        average_image_size_bytes: averageImageSize,
+        average_image_size_kb: Math.round((averageImageSize / 1000) * 100) / 100,
+
+        // Image types breakdown
+        image_types: imageTypes,
+        most_common_image_type: Object.keys(imageTypes).reduce((a, b) => imageTypes[a] > imageTypes[b] ? a : b, 'unknown'),
+        image_source_kinds: imageSources.source_kinds,
+        image_size_by_source_kind_kb: imageSources.size_by_source_kind_kb,
+
+        // Responsive images breakdown
+        responsive_images: responsiveImages,
+
+        // Oversized images breakdown
+        oversized_images: oversizedImages,
+
+        // Compression and metadata breakdown
+        compression_audit: compressionAudit,
+
+        // Image reuse across pages
+        image_reuse: imageReuse,
+
+        // Broken and redirected images
+        broken_images: brokenImages,
+
+        // Caching and delivery headers
+        image_delivery: imageDelivery,
+
+        // LCP image, lazy loading and layout-shift risks
+        core_web_vitals: coreWebVitals,
+
+        // Filenames, structured data images, og:image and image sitemap coverage
+        image_seo_signals: imageSeoSignals,
+
+        // Identical and near-identical image clusters
+        duplicate_images: duplicateImages,
+
+        // Image SEO score and rule violations
+        image_seo_score: imageSeoScore,
+
+        // Optimization recommendations
+        optimization_recommendations: {
+            images_without_alt: totalImagesWithoutAlt,
+            images_without_alt_percentage: imagesWithoutAltPercentage,
+            needs_alt_text_optimization: totalImagesWithoutAlt > 0,
+            images_with_low_quality_alt: altTextQuality.images_with_low_quality_alt,
+            needs_alt_text_quality_fixes: altTextQuality.images_with_low_quality_alt > 0,
+            wcag_1_1_1_failures: accessibility.wcag_1_1_1_failures,
+            decorative_images: accessibility.decorative_images,
+            images_without_responsive_variants: responsiveImages.images_without_responsive_variants,
+            picture_elements_without_modern_format: responsiveImages.picture_elements_without_modern_format,
+            needs_responsive_images: responsiveImages.images_without_responsive_variants > 0,
+            oversized_images: oversizedImages.oversized_images,
+            estimated_wasted_kb: oversizedImages.estimated_wasted_kb,
+            needs_image_resizing: oversizedImages.oversized_images > 0,
+            potential_webp_savings_kb: modernFormatSavings.potential_webp_savings_kb,
+            potential_avif_savings_kb: modernFormatSavings.potential_avif_savings_kb,
+            needs_modern_format_conversion: modernFormatSavings.potential_avif_savings_kb > 0 || modernFormatSavings.potential_webp_savings_kb > 0,
+            modern_format_savings: modernFormatSavings,
+            recoverable_metadata_kb: compressionAudit.recoverable_metadata_kb,
+            images_with_gps_metadata: compressionAudit.images_with_gps_metadata,
+            needs_metadata_stripping: compressionAudit.recoverable_metadata_bytes > 0,
+            broken_images: brokenImages.broken_images_count,
+            redirected_images: brokenImages.redirected_images_count,
+            mixed_content_images: brokenImages.mixed_content_images_count,
+            needs_broken_image_fixes: brokenImages.broken_images_count > 0 || brokenImages.mixed_content_images_count > 0 || brokenImages.content_type_mismatches_count > 0,
+            images_with_short_cache_lifetime: imageDelivery.images_missing_cache_lifetime + imageDelivery.images_with_short_cache_lifetime,
+            uncompressed_images: imageDelivery.uncompressed_images,
+            images_missing_vary_accept: imageDelivery.images_missing_vary_accept,
+            needs_cache_policy_fixes: imageDelivery.images_missing_cache_lifetime + imageDelivery.images_with_short_cache_lifetime > 0,
+            lcp_images_lazy_loaded: coreWebVitals.lcp_images_lazy_loaded,
+            lcp_images_not_preloaded: coreWebVitals.lcp_images_not_preloaded,
+            images_missing_lazy_loading: coreWebVitals.images_missing_lazy_loading,
+            layout_shift_risk_images: coreWebVitals.layout_shift_risk_images,
+            needs_core_web_vitals_fixes: coreWebVitals.lcp_issues.length > 0 || coreWebVitals.images_missing_lazy_loading > 0 || coreWebVitals.layout_shift_risk_images > 0,
+            non_descriptive_filenames: imageSeoSignals.non_descriptive_filenames,
+            structured_data_image_issues: imageSeoSignals.structured_data_image_issues.length,
+            og_image_issues: imageSeoSignals.og_image_issues.length,
+            images_not_in_sitemap: imageSeoSignals.images_not_in_sitemap,
+            exact_duplicate_images: duplicateImages.exact_duplicate_images,
+            duplicate_wasted_kb: duplicateImages.duplicate_wasted_kb,
+            near_duplicate_clusters: duplicateImages.near_duplicate_clusters_count,
+            needs_duplicate_image_fixes: duplicateImages.exact_duplicate_clusters_count > 0 || duplicateImages.near_duplicate_clusters_count > 0,
+            needs_image_seo_signal_fixes: imageSeoSignals.non_descriptive_filenames > 0 || imageSeoSignals.structured_data_image_issues.length > 0 || imageSeoSignals.og_image_issues.length > 0 || imageSeoSignals.images_not_in_sitemap > 0,
+            image_seo_score: imageSeoScore.score,
+            failed_rules: imageSeoScore.violations.map(v => v.rule),
+            total_size_kb: Math.round((totalImageSize / 1000) * 100) / 100,
+            average_size_kb: Math.round((averageImageSize / 1000) * 100) / 100
+        }
+    };
+
+    console.log(`Domain Analysis Summary:`);
+    console.log(`- Domain: ${domain}`);
+    console.log(`- Total Images Found: ${totalImagesFound}`);
+    console.log(`- Images Without Alt: ${totalImagesWithoutAlt} (${imagesWithoutAltPercentage}%)`);
+    console.log(`- Average Images per Page: ${averageImagesPerPage}`);
+    console.log(`- Total Image Size: ${Math.round((totalImageSize / 1000) * 100) / 100} KB`);
+    console.log(`- Image SEO Score: ${imageSeoScore.score ?? 'n/a'} (${imageSeoScore.passed ? 'passed' : `failed: ${imageSeoScore.violations.map(v => v.rule).join(', ')}`})`);
+
+    return domainAnalysis;
+}
+
+module.exports = { calculateDomainAnalysis };
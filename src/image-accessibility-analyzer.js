@@ -0,0 +1,163 @@
+/**
+ * Image Accessibility Analyzer for SEO Image Optimization Checker
+ *
+ * @author MySmartDigital
+ * @description Classifies images as decorative or informative for WCAG 1.1.1 (Non-text Content).
+ * Distinguishes a missing alt attribute from an intentionally empty one, computes the
+ * accessible name from ARIA attributes, alt, title and <figcaption>, and only reports
+ * images that end up without any text alternative as failures.
+ */
+
+const PRESENTATIONAL_ROLES = ['presentation', 'none'];
+
+class ImageAccessibilityAnalyzer {
+    /**
+     * Analyze the accessibility of a single image element
+     * @param {Function} $ - Cheerio root
+     * @param {Object} $img - Cheerio image element
+     * @returns {Object} - Accessibility classification for the image record
+     */
+    analyzeImage($, $img) {
+        const alt = $img.attr('alt');
+        const altAttribute = alt === undefined ? 'missing' : (alt.trim() === '' ? 'empty' : 'present');
+        const role = ($img.attr('role') || '').trim().toLowerCase();
+        const ariaHidden = this.isAriaHidden($img);
+
+        let decorativeReason = null;
+        if (ariaHidden) {
+            decorativeReason = 'aria_hidden';
+        } else if (PRESENTATIONAL_ROLES.includes(role)) {
+            decorativeReason = `role_${role}`;
+        } else if (altAttribute === 'empty') {
+            decorativeReason = 'empty_alt';
+        }
+
+        const { name: accessibleName, source: accessibleNameSource } = decorativeReason
+            ? { name: '', source: null }
+            : this.computeAccessibleName($, $img);
+
+        // An unnamed image inside a link or button is fine when the control is named by other content
+        const labelledControl = !decorativeReason && !accessibleName ? this.findLabelledControl($, $img) : null;
+
+        let wcagStatus = 'pass';
+        let failureReason = null;
+        if (decorativeReason) {
+            wcagStatus = 'decorative';
+        } else if (!accessibleName && !labelledControl) {
+            wcagStatus = 'fail';
+            failureReason = $img.closest('a[href], button').length > 0
+                ? 'unnamed_image_in_unnamed_control'
+                : (altAttribute === 'missing' && !$img.is('svg') ? 'missing_alt_attribute' : 'no_accessible_name');
+        }
+
+        return {
+            altAttribute,
+            role: role || null,
+            ariaHidden,
+            isDecorative: !!decorativeReason,
+            decorativeReason,
+            accessibleName,
+            accessibleNameSource: labelledControl ? 'parent_control' : accessibleNameSource,
+            wcagStatus,
+            failureReason
+        };
+    }
+
+    isAriaHidden($img) {
+        return $img.closest('[aria-hidden]').toArray()
+            .some(el => String(el.attribs['aria-hidden']).trim().toLowerCase() === 'true');
+    }
+
+    /**
+     * Compute the accessible name of an image following the accname precedence
+     * aria-labelledby > aria-label > alt > title (or an SVG <title> child), with <figcaption> as a last resort
+     * @param {Function} $ - Cheerio root
+     * @param {Object} $img - Cheerio image element
+     * @returns {{name: string, source: string|null}}
+     */
+    computeAccessibleName($, $img) {
+        const labelledBy = ($img.attr('aria-labelledby') || '').trim();
+        if (labelledBy) {
+            const name = labelledBy.split(/\s+/)
+                .map(id => $(`[id="${id.replace(/"/g, '\\"')}"]`).first().text().trim())
+                .filter(Boolean)
+                .join(' ');
+            if (name) return { name, source: 'aria-labelledby' };
+        }
+
+        const candidates = [
+            ['aria-label', $img.attr('aria-label')],
+            ['alt', $img.attr('alt')],
+            ['title', $img.attr('title')],
+            ['svg-title', $img.is('svg') ? $img.children('title').first().text() : ''],
+            ['figcaption', $img.closest('figure').find('figcaption').first().text()]
+        ];
+
+        for (const [source, value] of candidates) {
+            const name = (value || '').replace(/\s+/g, ' ').trim();
+            if (name) return { name, source };
+        }
+
+        return { name: '', source: null };
+    }
+
+    /**
+     * Find an enclosing link or button whose accessible name does not depend on this image
+     * @param {Function} $ - Cheerio root
+     * @param {Object} $img - Cheerio image element
+     * @returns {Object|null} - Cheerio control element or null
+     */
+    findLabelledControl($, $img) {
+        const $control = $img.closest('a[href], button');
+        if ($control.length === 0) return null;
+
+        const ownLabel = ($control.attr('aria-label') || $control.attr('title') || '').trim();
+
+        // Text content with other images contributing their alt text (this image has none)
+        const $clone = $control.clone();
+        $clone.find('img').each((i, el) => {
+            $(el).replaceWith(` ${($(el).attr('alt') || '').trim()} `);
+        });
+        const textContent = $clone.text().replace(/\s+/g, ' ').trim();
+
+        return ownLabel || textContent ? $control : null;
+    }
+
+    /**
+     * Aggregate WCAG 1.1.1 findings across page results
+     * @param {Array} results - Page results
+     * @returns {Object} - Domain-level accessibility summary
+     */
+    summarize(results) {
+        let failures = 0;
+        let decorative = 0;
+        let named = 0;
+        let missingAltAttribute = 0;
+        let emptyAlt = 0;
+        let analyzed = 0;
+
+        results.forEach(r => {
+            (r.images || []).forEach(image => {
+                if (!image.accessibility) return;
+
+                analyzed++;
+                if (image.accessibility.wcagStatus === 'fail') failures++;
+                if (image.accessibility.wcagStatus === 'decorative') decorative++;
+                if (image.accessibility.wcagStatus === 'pass') named++;
+                if (image.accessibility.altAttribute === 'missing') missingAltAttribute++;
+                if (image.accessibility.altAttribute === 'empty') emptyAlt++;
+            });
+        });
+
+        return {
+            wcag_1_1_1_failures: failures,
+            wcag_1_1_1_failures_percentage: analyzed > 0 ? Math.round((failures / analyzed) * 100) : 0,
+            decorative_images: decorative,
+            images_with_accessible_name: named,
+            images_missing_alt_attribute: missingAltAttribute,
+            images_with_empty_alt: emptyAlt
+        };
+    }
+}
+
+module.exports = { ImageAccessibilityAnalyzer };
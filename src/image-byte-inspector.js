@@ -0,0 +1,333 @@
+/**
+ * Image Byte Inspector for SEO Image Optimization Checker
+ *
+ * @author MySmartDigital
+ * @description Byte-level compression and metadata audit for downloaded images. Detects embedded
+ * EXIF, XMP and ICC blocks, GPS coordinates (a privacy issue), progressive vs. baseline JPEG
+ * encoding, JPEG quantization quality and PNG alpha channels that are fully opaque, and reports
+ * how many bytes stripping the metadata would recover.
+ */
+
+const sharp = require('sharp');
+
+// IJG standard luminance quantization table (quality 50)
+const STANDARD_LUMINANCE_TABLE = [
+    16, 11, 10, 16, 24, 40, 51, 61, 12, 12, 14, 19, 26, 58, 60, 55,
+    14, 13, 16, 24, 40, 57, 69, 56, 14, 17, 22, 29, 51, 87, 80, 62,
+    18, 22, 37, 56, 68, 109, 103, 77, 24, 35, 55, 64, 81, 104, 113, 92,
+    49, 64, 78, 87, 103, 121, 120, 101, 72, 92, 95, 98, 112, 100, 103, 99
+];
+
+const GPS_IFD_POINTER_TAG = 0x8825;
+const HIGH_JPEG_QUALITY = 90;
+const PROGRESSIVE_RECOMMENDED_BYTES = 10000;
+
+class ImageByteInspector {
+    /**
+     * Inspect image bytes for metadata and compression settings
+     * @param {Buffer} buffer - Image bytes
+     * @returns {Promise<Object|null>} - Inspection report, or null for unsupported formats
+     */
+    async inspect(buffer) {
+        if (!buffer || buffer.length < 12) return null;
+
+        let report = null;
+        try {
+            if (buffer[0] === 0xff && buffer[1] === 0xd8) {
+                report = this.inspectJpeg(buffer);
+            } else if (buffer.toString('ascii', 1, 4) === 'PNG') {
+                report = await this.inspectPng(buffer);
+            } else if (buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WEBP') {
+                report = this.inspectWebp(buffer);
+            }
+        } catch (error) {
+            // Truncated or malformed files
+            return null;
+        }
+
+        if (!report) return null;
+
+        const metadataBytes = report.metadata;
+        const recoverableBytes = Object.values(metadataBytes).reduce((sum, bytes) => sum + bytes, 0);
+
+        const issues = [];
+        if (report.hasGps) issues.push('gps_metadata');
+        if (metadataBytes.exifBytes > 0) issues.push('exif_metadata');
+        if (metadataBytes.xmpBytes > 0) issues.push('xmp_metadata');
+        if (metadataBytes.iccBytes > 0) issues.push('icc_profile');
+        if (report.hasUnnecessaryAlpha) issues.push('unnecessary_alpha');
+        if (report.estimatedJpegQuality >= HIGH_JPEG_QUALITY) issues.push('high_jpeg_quality');
+        if (report.format === 'jpeg' && !report.isProgressive && buffer.length > PROGRESSIVE_RECOMMENDED_BYTES) {
+            issues.push('baseline_jpeg');
+        }
+
+        return {
+            ...report,
+            recoverableBytes,
+            recoverableKb: Math.round((recoverableBytes / 1000) * 100) / 100,
+            issues
+        };
+    }
+
+    emptyMetadata() {
+        return { exifBytes: 0, xmpBytes: 0, iccBytes: 0, commentBytes: 0, otherMetadataBytes: 0 };
+    }
+
+    inspectJpeg(buffer) {
+        const metadata = this.emptyMetadata();
+        let hasGps = false;
+        let isProgressive = false;
+        let estimatedJpegQuality = null;
+        let offset = 2;
+
+        while (offset + 4 <= buffer.length) {
+            if (buffer[offset] !== 0xff) {
+                offset++;
+                continue;
+            }
+
+            const marker = buffer[offset + 1];
+            if (marker === 0xff) {
+                offset++;
+                continue;
+            }
+            // Start Of Scan: entropy-coded data follows, no more headers of interest
+            if (marker === 0xda || marker === 0xd9) break;
+            if (marker === 0x01 || (marker >= 0xd0 && marker <= 0xd7)) {
+                offset += 2;
+                continue;
+            }
+
+            const length = buffer.readUInt16BE(offset + 2);
+            const segmentBytes = length + 2;
+            const payload = buffer.subarray(offset + 4, offset + 2 + length);
+
+            if (marker === 0xe1 && payload.toString('ascii', 0, 6) === 'Exif\0\0') {
+                metadata.exifBytes += segmentBytes;
+                hasGps = hasGps || this.tiffHasGps(payload.subarray(6));
+            } else if (marker === 0xe1 && payload.toString('ascii', 0, 29).startsWith('http://ns.adobe.com/xap/1.0/')) {
+                metadata.xmpBytes += segmentBytes;
+            } else if (marker === 0xe2 && payload.toString('ascii', 0, 12) === 'ICC_PROFILE\0') {
+                metadata.iccBytes += segmentBytes;
+            } else if (marker === 0xfe) {
+                metadata.commentBytes += segmentBytes;
+            } else if (marker === 0xed || (marker >= 0xe3 && marker <= 0xef && marker !== 0xee)) {
+                // APP13 (Photoshop/IPTC) and vendor APPn blocks; APP14 (Adobe) affects decoding and is kept
+                metadata.otherMetadataBytes += segmentBytes;
+            } else if (marker === 0xc2 || marker === 0xc6 || marker === 0xca || marker === 0xce) {
+                isProgressive = true;
+            } else if (marker === 0xdb && estimatedJpegQuality === null) {
+                estimatedJpegQuality = this.estimateJpegQuality(payload);
+            }
+
+            offset += segmentBytes;
+        }
+
+        return {
+            format: 'jpeg',
+            metadata,
+            hasGps,
+            isProgressive,
+            estimatedJpegQuality,
+            hasAlpha: false,
+            hasUnnecessaryAlpha: false
+        };
+    }
+
+    /**
+     * Estimate the IJG quality setting from the first (luminance) quantization table
+     * @param {Buffer} payload - DQT segment payload
+     * @returns {number|null} - Quality 1-100
+     */
+    estimateJpegQuality(payload) {
+        const precision = payload[0] >> 4;
+        const values = [];
+        for (let i = 0; i < 64; i++) {
+            values.push(precision ? payload.readUInt16BE(1 + i * 2) : payload[1 + i]);
+        }
+        if (values.some(value => value === undefined || Number.isNaN(value))) return null;
+
+        // Tables are stored in zigzag order; the ratio of sums does not depend on the order
+        const scale = (values.reduce((a, b) => a + b, 0) / STANDARD_LUMINANCE_TABLE.reduce((a, b) => a + b, 0)) * 100;
+        const quality = scale <= 100 ? (200 - scale) / 2 : 5000 / scale;
+
+        return Math.max(1, Math.min(100, Math.round(quality)));
+    }
+
+    async inspectPng(buffer) {
+        const metadata = this.emptyMetadata();
+        let hasGps = false;
+        let hasTransparencyChunk = false;
+        const colorType = buffer[25];
+        let offset = 8;
+
+        while (offset + 8 <= buffer.length) {
+            const length = buffer.readUInt32BE(offset);
+            const type = buffer.toString('ascii', offset + 4, offset + 8);
+            const chunkBytes = length + 12;
+            const data = buffer.subarray(offset + 8, offset + 8 + length);
+
+            if (type === 'eXIf') {
+                metadata.exifBytes += chunkBytes;
+                hasGps = hasGps || this.tiffHasGps(data);
+            } else if (type === 'iTXt' && data.toString('latin1', 0, 17) === 'XML:com.adobe.xmp') {
+                metadata.xmpBytes += chunkBytes;
+            } else if (type === 'iCCP') {
+                metadata.iccBytes += chunkBytes;
+            } else if (['tEXt', 'zTXt', 'iTXt', 'tIME'].includes(type)) {
+                metadata.otherMetadataBytes += chunkBytes;
+            } else if (type === 'tRNS') {
+                hasTransparencyChunk = true;
+            } else if (type === 'IEND') {
+                break;
+            }
+
+            offset += chunkBytes;
+        }
+
+        // Color types 4 (grey + alpha) and 6 (RGBA) always carry an alpha channel
+        const hasAlpha = colorType === 4 || colorType === 6 || hasTransparencyChunk;
+        let hasUnnecessaryAlpha = false;
+        if (hasAlpha) {
+            const { isOpaque } = await sharp(buffer).stats();
+            hasUnnecessaryAlpha = isOpaque;
+        }
+
+        return {
+            format: 'png',
+            metadata,
+            hasGps,
+            isProgressive: null,
+            estimatedJpegQuality: null,
+            hasAlpha,
+            hasUnnecessaryAlpha
+        };
+    }
+
+    inspectWebp(buffer) {
+        const metadata = this.emptyMetadata();
+        let hasGps = false;
+        let offset = 12;
+
+        while (offset + 8 <= buffer.length) {
+            const type = buffer.toString('ascii', offset, offset + 4);
+            const length = buffer.readUInt32LE(offset + 4);
+            // Chunks are padded to an even size
+            const chunkBytes = 8 + length + (length % 2);
+            const data = buffer.subarray(offset + 8, offset + 8 + length);
+
+            if (type === 'EXIF') {
+                metadata.exifBytes += chunkBytes;
+                hasGps = hasGps || this.tiffHasGps(data.toString('ascii', 0, 6) === 'Exif\0\0' ? data.subarray(6) : data);
+            } else if (type === 'XMP ') {
+                metadata.xmpBytes += chunkBytes;
+            } else if (type === 'ICCP') {
+                metadata.iccBytes += chunkBytes;
+            }
+
+            offset += chunkBytes;
+        }
+
+        return {
+            format: 'webp',
+            metadata,
+            hasGps,
+            isProgressive: null,
+            estimatedJpegQuality: null,
+            hasAlpha: null,
+            hasUnnecessaryAlpha: false
+        };
+    }
+
+    /**
+     * Check a TIFF (EXIF) block for a non-empty GPS IFD
+     * @param {Buffer} tiff - TIFF header and IFDs
+     * @returns {boolean}
+     */
+    tiffHasGps(tiff) {
+        if (tiff.length < 8) return false;
+
+        const byteOrder = tiff.toString('ascii', 0, 2);
+        if (byteOrder !== 'II' && byteOrder !== 'MM') return false;
+
+        const littleEndian = byteOrder === 'II';
+        const readUInt16 = offset => (littleEndian ? tiff.readUInt16LE(offset) : tiff.readUInt16BE(offset));
+        const readUInt32 = offset => (littleEndian ? tiff.readUInt32LE(offset) : tiff.readUInt32BE(offset));
+
+        const ifd0Offset = readUInt32(4);
+        if (ifd0Offset + 2 > tiff.length) return false;
+
+        const entries = readUInt16(ifd0Offset);
+        for (let i = 0; i < entries; i++) {
+            const entryOffset = ifd0Offset + 2 + i * 12;
+            if (entryOffset + 12 > tiff.length) break;
+
+            if (readUInt16(entryOffset) === GPS_IFD_POINTER_TAG) {
+                const gpsIfdOffset = readUInt32(entryOffset + 8);
+                return gpsIfdOffset + 2 <= tiff.length && readUInt16(gpsIfdOffset) > 0;
+            }
+        }
+
+        return false;
+    }
+
+    /**
+     * Aggregate compression and metadata findings across page results
+     * @param {Array} results - Page results
+     * @returns {Object} - Domain-level compression audit summary
+     */
+    summarize(results) {
+        const summary = {
+            images_inspected: 0,
+            images_with_exif: 0,
+            images_with_xmp: 0,
+            images_with_icc_profile: 0,
+            images_with_gps_metadata: 0,
+            progressive_jpegs: 0,
+            baseline_jpegs: 0,
+            high_quality_jpegs: 0,
+            pngs_with_unnecessary_alpha: 0,
+            recoverable_metadata_bytes: 0,
+            recoverable_metadata_kb: 0,
+            gps_metadata_images: []
+        };
+
+        // Images are counted once per URL, however many pages use them
+        const images = new Map();
+        results.forEach(r => {
+            (r.images || []).forEach(image => {
+                if (!image.compressionAudit) return;
+
+                if (!images.has(image.imageUrl)) images.set(image.imageUrl, { image, pages: [] });
+                const entry = images.get(image.imageUrl);
+                if (!entry.pages.includes(r.url)) entry.pages.push(r.url);
+            });
+        });
+
+        images.forEach(({ image, pages }) => {
+            const audit = image.compressionAudit;
+
+            summary.images_inspected++;
+            if (audit.metadata.exifBytes > 0) summary.images_with_exif++;
+            if (audit.metadata.xmpBytes > 0) summary.images_with_xmp++;
+            if (audit.metadata.iccBytes > 0) summary.images_with_icc_profile++;
+            if (audit.format === 'jpeg') {
+                if (audit.isProgressive) summary.progressive_jpegs++;
+                else summary.baseline_jpegs++;
+            }
+            if (audit.issues.includes('high_jpeg_quality')) summary.high_quality_jpegs++;
+            if (audit.hasUnnecessaryAlpha) summary.pngs_with_unnecessary_alpha++;
+            if (audit.hasGps) {
+                summary.images_with_gps_metadata++;
+                summary.gps_metadata_images.push({ image_url: image.imageUrl, pages });
+            }
+            summary.recoverable_metadata_bytes += audit.recoverableBytes;
+        });
+
+        summary.recoverable_metadata_kb = Math.round((summary.recoverable_metadata_bytes / 1000) * 100) / 100;
+
+        return summary;
+    }
+}
+
+module.exports = { ImageByteInspector };
@@ -0,0 +1,245 @@
+/**
+ * Image Delivery Analyzer for SEO Image Optimization Checker
+ *
+ * @author MySmartDigital
+ * @description Evaluates the caching and delivery headers of every probed image: browser cache
+ * lifetime from Cache-Control or Expires, ETag/Last-Modified validators, Content-Encoding of
+ * compressible formats such as SVG, Vary: Accept on format-negotiated responses and the CDN
+ * serving the image. Images with short or missing cache lifetimes are reported with the hosts
+ * that serve them.
+ */
+
+// Response headers kept from the image probe
+const DELIVERY_HEADERS = [
+    'cache-control', 'expires', 'date', 'age', 'etag', 'last-modified', 'content-encoding', 'vary',
+    'server', 'via', 'x-cache', 'x-served-by', 'x-cdn', 'cf-ray', 'x-amz-cf-id', 'x-fastly-request-id',
+    'x-vercel-id', 'x-nf-request-id', 'x-azure-ref', 'x-akamai-request-id', 'cdn-pullzone'
+];
+
+// Static images should be cached for at least 30 days
+const MIN_CACHE_LIFETIME_SECONDS = 30 * 24 * 60 * 60;
+
+// Formats that shrink with gzip/brotli; raster formats are already compressed
+const COMPRESSIBLE_TYPES = ['image/svg+xml', 'image/x-icon', 'image/vnd.microsoft.icon', 'image/bmp'];
+
+const MODERN_FORMAT_TYPES = ['image/avif', 'image/webp'];
+const LEGACY_FORMAT_EXTENSION = /\.(jpe?g|png|gif)$/i;
+
+// First match wins: provider-specific headers, then server/via values, then well-known CDN hostnames
+const CDN_SIGNATURES = [
+    { cdn: 'Cloudflare', test: h => !!h['cf-ray'] || /cloudflare/i.test(h.server || '') },
+    { cdn: 'Amazon CloudFront', test: h => !!h['x-amz-cf-id'] || /cloudfront/i.test(h.via || '') },
+    { cdn: 'Fastly', test: h => !!h['x-fastly-request-id'] || /fastly/i.test(h['x-served-by'] || '') || /^cache-/i.test(h['x-served-by'] || '') },
+    { cdn: 'Akamai', test: h => !!h['x-akamai-request-id'] || /akamai/i.test(`${h.server || ''} ${h['x-cdn'] || ''}`) },
+    { cdn: 'Vercel', test: h => !!h['x-vercel-id'] },
+    { cdn: 'Netlify', test: h => !!h['x-nf-request-id'] || /netlify/i.test(h.server || '') },
+    { cdn: 'Azure Front Door', test: h => !!h['x-azure-ref'] },
+    { cdn: 'Bunny CDN', test: h => !!h['cdn-pullzone'] || /bunnycdn/i.test(h.server || '') },
+    { cdn: 'Google Cloud CDN', test: h => /google/i.test(`${h.via || ''} ${h.server || ''}`) },
+    { cdn: 'KeyCDN', test: h => /keycdn/i.test(h.server || '') }
+];
+
+const CDN_HOSTNAMES = [
+    { cdn: 'Cloudinary', pattern: /(^|\.)cloudinary\.com$/i },
+    { cdn: 'imgix', pattern: /(^|\.)imgix\.net$/i },
+    { cdn: 'ImageKit', pattern: /(^|\.)imagekit\.io$/i },
+    { cdn: 'Amazon CloudFront', pattern: /(^|\.)cloudfront\.net$/i },
+    { cdn: 'Akamai', pattern: /(^|\.)akamaized\.net$/i },
+    { cdn: 'Fastly', pattern: /(^|\.)fastly\.net$/i },
+    { cdn: 'Bunny CDN', pattern: /(^|\.)b-cdn\.net$/i },
+    { cdn: 'Shopify CDN', pattern: /^cdn\.shopify\.com$/i },
+    { cdn: 'Jetpack', pattern: /^i\d\.wp\.com$/i }
+];
+
+class ImageDeliveryAnalyzer {
+    /**
+     * Keep the delivery-related response headers of an image probe
+     * @param {Object} headers - Response headers (lower-case names)
+     * @returns {Object} - Header subset
+     */
+    pickHeaders(headers = {}) {
+        const picked = {};
+        DELIVERY_HEADERS.forEach(name => {
+            if (headers[name] !== undefined && headers[name] !== null) picked[name] = String(headers[name]);
+        });
+        return picked;
+    }
+
+    /**
+     * Evaluate the caching and delivery of one image
+     * @param {Object} headers - Headers from pickHeaders
+     * @param {Object} image - Image record (imageUrl, contentType)
+     * @returns {Object} - Delivery record for the image
+     */
+    analyzeImage(headers, { imageUrl, contentType }) {
+        const { lifetimeSeconds, lifetimeSource } = this.getCacheLifetime(headers);
+        const mimeType = String(contentType || '').split(';')[0].trim().toLowerCase();
+        const contentEncoding = headers['content-encoding'] || null;
+        const varyAccept = /(^|,)\s*accept\s*(,|$)/i.test(headers.vary || '') || (headers.vary || '').trim() === '*';
+        const hasValidator = !!(headers.etag || headers['last-modified']);
+        const isCompressed = !!contentEncoding && !/^identity$/i.test(contentEncoding);
+        const cdn = this.detectCdn(headers, imageUrl);
+
+        const issues = [];
+        if (lifetimeSeconds === null) {
+            issues.push('missing_cache_lifetime');
+        } else if (lifetimeSeconds < MIN_CACHE_LIFETIME_SECONDS) {
+            issues.push('short_cache_lifetime');
+        }
+        if (!hasValidator && (lifetimeSeconds === null || lifetimeSeconds < MIN_CACHE_LIFETIME_SECONDS)) {
+            issues.push('missing_validator');
+        }
+        if (COMPRESSIBLE_TYPES.includes(mimeType) && !isCompressed) {
+            issues.push('uncompressed');
+        }
+        // A WebP/AVIF body at a .jpg/.png URL is negotiated; without Vary: Accept shared caches may serve it to any browser
+        if (MODERN_FORMAT_TYPES.includes(mimeType) && this.hasLegacyExtension(imageUrl) && !varyAccept) {
+            issues.push('missing_vary_accept');
+        }
+
+        return {
+            cacheControl: headers['cache-control'] || null,
+            expires: headers.expires || null,
+            cacheLifetimeSeconds: lifetimeSeconds,
+            cacheLifetimeSource: lifetimeSource,
+            isImmutable: /(^|,)\s*immutable\s*(,|$)/i.test(headers['cache-control'] || ''),
+            hasEtag: !!headers.etag,
+            hasLastModified: !!headers['last-modified'],
+            contentEncoding,
+            vary: headers.vary || null,
+            varyAccept,
+            cdn,
+            issues
+        };
+    }
+
+    /**
+     * Browser cache lifetime of a response
+     * no-store and no-cache count as a zero lifetime; max-age takes precedence over Expires.
+     * @param {Object} headers - Headers from pickHeaders
+     * @returns {{lifetimeSeconds: number|null, lifetimeSource: string|null}} - null lifetime when no caching header is set
+     */
+    getCacheLifetime(headers) {
+        const cacheControl = (headers['cache-control'] || '').toLowerCase();
+
+        if (/(^|,)\s*(no-store|no-cache)\s*(,|=|$)/.test(cacheControl)) {
+            return { lifetimeSeconds: 0, lifetimeSource: /no-store/.test(cacheControl) ? 'no-store' : 'no-cache' };
+        }
+
+        const maxAge = cacheControl.match(/(^|,)\s*max-age\s*=\s*"?(\d+)"?/);
+        if (maxAge) {
+            return { lifetimeSeconds: parseInt(maxAge[2], 10), lifetimeSource: 'max-age' };
+        }
+
+        if (headers.expires) {
+            const expires = Date.parse(headers.expires);
+            const date = Date.parse(headers.date || '') || Date.now();
+            // Invalid Expires values, such as "0", mean already expired
+            return { lifetimeSeconds: Number.isNaN(expires) ? 0 : Math.max(0, Math.round((expires - date) / 1000)), lifetimeSource: 'expires' };
+        }
+
+        return { lifetimeSeconds: null, lifetimeSource: null };
+    }
+
+    hasLegacyExtension(imageUrl) {
+        try {
+            return LEGACY_FORMAT_EXTENSION.test(new URL(imageUrl).pathname);
+        } catch (e) {
+            return false;
+        }
+    }
+
+    /**
+     * Name the CDN that served an image
+     * @param {Object} headers - Headers from pickHeaders
+     * @param {string} imageUrl - Image URL
+     * @returns {string|null} - CDN name, or null when no CDN is recognized
+     */
+    detectCdn(headers, imageUrl) {
+        const signature = CDN_SIGNATURES.find(({ test }) => test(headers));
+        if (signature) return signature.cdn;
+
+        let hostname = '';
+        try {
+            hostname = new URL(imageUrl).hostname;
+        } catch (e) {
+            return null;
+        }
+
+        const cdnHostname = CDN_HOSTNAMES.find(({ pattern }) => pattern.test(hostname));
+        return cdnHostname ? cdnHostname.cdn : null;
+    }
+
+    /**
+     * Aggregate caching and delivery findings across page results
+     * Images are counted once per URL; hosts are listed with their cache issues.
+     * @param {Array} results - Page results
+     * @returns {Object} - Domain-level image delivery report
+     */
+    summarize(results) {
+        const images = new Map();
+
+        results.forEach(r => {
+            (r.images || []).forEach(image => {
+                if (!image.delivery) return;
+
+                if (!images.has(image.imageUrl)) images.set(image.imageUrl, { image, pages: [] });
+                const entry = images.get(image.imageUrl);
+                if (!entry.pages.includes(r.url)) entry.pages.push(r.url);
+            });
+        });
+
+        const entries = Array.from(images.values());
+        const withIssue = issue => entries.filter(({ image }) => image.delivery.issues.includes(issue));
+        const hasCacheIssue = ({ image }) => image.delivery.issues.some(issue => issue === 'missing_cache_lifetime' || issue === 'short_cache_lifetime');
+
+        const cdnProviders = {};
+        entries.forEach(({ image }) => {
+            if (image.delivery.cdn) cdnProviders[image.delivery.cdn] = (cdnProviders[image.delivery.cdn] || 0) + 1;
+        });
+        const imagesServedByCdn = entries.filter(({ image }) => image.delivery.cdn).length;
+
+        // Hosts serving images with short or missing cache lifetimes
+        const hosts = new Map();
+        entries.filter(hasCacheIssue).forEach(({ image }) => {
+            let host;
+            try {
+                host = new URL(image.imageUrl).host;
+            } catch (e) {
+                return;
+            }
+            if (!hosts.has(host)) {
+                hosts.set(host, { host, images_count: 0, missing_cache_lifetime: 0, short_cache_lifetime: 0, cdn: image.delivery.cdn });
+            }
+            const entry = hosts.get(host);
+            entry.images_count++;
+            if (image.delivery.issues.includes('missing_cache_lifetime')) entry.missing_cache_lifetime++;
+            if (image.delivery.issues.includes('short_cache_lifetime')) entry.short_cache_lifetime++;
+        });
+
+        return {
+            images_checked: entries.length,
+            images_missing_cache_lifetime: withIssue('missing_cache_lifetime').length,
+            images_with_short_cache_lifetime: withIssue('short_cache_lifetime').length,
+            images_missing_validator: withIssue('missing_validator').length,
+            uncompressed_images: withIssue('uncompressed').length,
+            images_missing_vary_accept: withIssue('missing_vary_accept').length,
+            images_served_by_cdn: imagesServedByCdn,
+            images_served_by_cdn_percentage: entries.length > 0 ? Math.round((imagesServedByCdn / entries.length) * 100) : 0,
+            cdn_providers: cdnProviders,
+            min_cache_lifetime_seconds: MIN_CACHE_LIFETIME_SECONDS,
+            hosts_with_cache_issues: Array.from(hosts.values()).sort((a, b) => b.images_count - a.images_count),
+            images_with_delivery_issues: entries
+                .filter(({ image }) => image.delivery.issues.length > 0)
+                .map(({ image, pages }) => ({
+                    image_url: image.imageUrl,
+                    cache_lifetime_seconds: image.delivery.cacheLifetimeSeconds,
+                    cdn: image.delivery.cdn,
+                    issues: image.delivery.issues,
+                    pages
+                }))
+        };
+    }
+}
+
+module.exports = { ImageDeliveryAnalyzer };
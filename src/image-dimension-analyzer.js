@@ -0,0 +1,263 @@
+/**
+ * Image Dimension Analyzer for SEO Image Optimization Checker
+ *
+ * @author MySmartDigital
+ * @description Decodes intrinsic pixel dimensions from JPEG, PNG, GIF, WebP, AVIF and SVG
+ * image headers, compares them with the declared or rendered display size and estimates
+ * the bytes wasted by serving images larger than they are displayed.
+ */
+
+class ImageDimensionAnalyzer {
+    constructor({ oversizedImageThreshold = 1.5 } = {}) {
+        this.oversizedImageThreshold = oversizedImageThreshold;
+    }
+
+    /**
+     * Decode intrinsic dimensions from image bytes
+     * @param {Buffer} buffer - The downloaded image bytes
+     * @returns {{format: string, width: number, height: number}|null}
+     */
+    decode(buffer) {
+        if (!buffer || buffer.length < 10) return null;
+
+        try {
+            if (buffer[0] === 0xff && buffer[1] === 0xd8) {
+                return this.decodeJpeg(buffer);
+            }
+            if (buffer.toString('ascii', 1, 4) === 'PNG') {
+                return this.decodePng(buffer);
+            }
+            if (buffer.toString('ascii', 0, 3) === 'GIF') {
+                return this.decodeGif(buffer);
+            }
+            if (buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WEBP') {
+                return this.decodeWebp(buffer);
+            }
+            if (buffer.toString('ascii', 4, 8) === 'ftyp') {
+                return this.decodeAvif(buffer);
+            }
+
+            const text = buffer.toString('utf8', 0, Math.min(buffer.length, 4096));
+            if (/<svg[\s>]/i.test(text)) {
+                return this.decodeSvg(text);
+            }
+        } catch (error) {
+            // Truncated or malformed headers
+        }
+
+        return null;
+    }
+
+    decodeJpeg(buffer) {
+        let offset = 2;
+
+        while (offset + 9 < buffer.length) {
+            if (buffer[offset] !== 0xff) {
+                offset++;
+                continue;
+            }
+
+            const marker = buffer[offset + 1];
+
+            // Padding bytes and standalone markers carry no length
+            if (marker === 0xff) {
+                offset++;
+                continue;
+            }
+            if (marker === 0xd8 || marker === 0x01 || (marker >= 0xd0 && marker <= 0xd7)) {
+                offset += 2;
+                continue;
+            }
+
+            // Start Of Frame markers (SOF0-SOF15 except DHT, JPG and DAC)
+            if (marker >= 0xc0 && marker <= 0xcf && marker !== 0xc4 && marker !== 0xc8 && marker !== 0xcc) {
+                return {
+                    format: 'jpeg',
+                    height: buffer.readUInt16BE(offset + 5),
+                    width: buffer.readUInt16BE(offset + 7)
+                };
+            }
+
+            offset += 2 + buffer.readUInt16BE(offset + 2);
+        }
+
+        return null;
+    }
+
+    decodePng(buffer) {
+        if (buffer.toString('ascii', 12, 16) !== 'IHDR') return null;
+
+        return {
+            format: 'png',
+            width: buffer.readUInt32BE(16),
+            height: buffer.readUInt32BE(20)
+        };
+    }
+
+    decodeGif(buffer) {
+        return {
+            format: 'gif',
+            width: buffer.readUInt16LE(6),
+            height: buffer.readUInt16LE(8)
+        };
+    }
+
+    decodeWebp(buffer) {
+        const chunk = buffer.toString('ascii', 12, 16);
+
+        if (chunk === 'VP8 ') {
+            // Lossy: frame header after the 3-byte frame tag and 3-byte start code
+            return {
+                format: 'webp',
+                width: buffer.readUInt16LE(26) & 0x3fff,
+                height: buffer.readUInt16LE(28) & 0x3fff
+            };
+        }
+
+        if (chunk === 'VP8L') {
+            // Lossless: 14-bit width-1 and height-1 after the 0x2f signature
+            const bits = buffer.readUInt32LE(21);
+            return {
+                format: 'webp',
+                width: (bits & 0x3fff) + 1,
+                height: ((bits >> 14) & 0x3fff) + 1
+            };
+        }
+
+        if (chunk === 'VP8X') {
+            // Extended: 24-bit canvas width-1 and height-1
+            return {
+                format: 'webp',
+                width: buffer.readUIntLE(24, 3) + 1,
+                height: buffer.readUIntLE(27, 3) + 1
+            };
+        }
+
+        return null;
+    }
+
+    decodeAvif(buffer) {
+        // Image spatial extents ("ispe") property; the largest one belongs to the primary image
+        let best = null;
+        let offset = buffer.indexOf('ispe');
+
+        while (offset !== -1 && offset + 16 <= buffer.length) {
+            const width = buffer.readUInt32BE(offset + 8);
+            const height = buffer.readUInt32BE(offset + 12);
+
+            if (!best || width * height > best.width * best.height) {
+                best = { format: 'avif', width, height };
+            }
+
+            offset = buffer.indexOf('ispe', offset + 4);
+        }
+
+        return best;
+    }
+
+    decodeSvg(text) {
+        const svgTag = (text.match(/<svg\b[^>]*>/i) || [''])[0];
+        const attr = (name) => {
+            const match = svgTag.match(new RegExp(`\\s${name}\\s*=\\s*["']([^"']*)["']`, 'i'));
+            return match ? match[1] : '';
+        };
+
+        let width = this.parseLength(attr('width'));
+        let height = this.parseLength(attr('height'));
+
+        if (!width || !height) {
+            const viewBox = attr('viewBox').trim().split(/[\s,]+/).map(Number);
+            if (viewBox.length === 4 && viewBox[2] > 0 && viewBox[3] > 0) {
+                width = width || viewBox[2];
+                height = height || viewBox[3];
+            }
+        }
+
+        return width && height ? { format: 'svg', width, height } : null;
+    }
+
+    /**
+     * Parse a CSS pixel length from an HTML/SVG width or height attribute
+     * Percentages and relative units cannot be resolved without layout and return 0.
+     * @param {string} value - Attribute value
+     * @returns {number}
+     */
+    parseLength(value) {
+        const match = String(value || '').trim().match(/^(\d+(?:\.\d+)?)(px)?$/i);
+        return match ? Math.round(parseFloat(match[1])) : 0;
+    }
+
+    /**
+     * Compare intrinsic dimensions with the displayed size
+     * An image is oversized when either intrinsic dimension exceeds the displayed one by
+     * more than the threshold. Wasted bytes scale with the share of pixels never shown.
+     * @param {Object} imageData - Image record with intrinsic and displayed dimensions
+     * @returns {{isOversized: boolean, estimatedWastedBytes: number}}
+     */
+    evaluate({ intrinsicWidth, intrinsicHeight, displayedWidth, displayedHeight, sizeInBytes, contentType }) {
+        const isVector = contentType === 'image/svg+xml';
+
+        // A single declared dimension scales the other one by the intrinsic aspect ratio
+        if (intrinsicWidth && intrinsicHeight) {
+            if (displayedWidth && !displayedHeight) {
+                displayedHeight = Math.round(displayedWidth * intrinsicHeight / intrinsicWidth);
+            } else if (displayedHeight && !displayedWidth) {
+                displayedWidth = Math.round(displayedHeight * intrinsicWidth / intrinsicHeight);
+            }
+        }
+
+        if (isVector || !intrinsicWidth || !intrinsicHeight || !displayedWidth || !displayedHeight) {
+            return { isOversized: false, estimatedWastedBytes: 0 };
+        }
+
+        const isOversized = intrinsicWidth > displayedWidth * this.oversizedImageThreshold ||
+            intrinsicHeight > displayedHeight * this.oversizedImageThreshold;
+
+        if (!isOversized) {
+            return { isOversized: false, estimatedWastedBytes: 0 };
+        }
+
+        const displayedRatio = Math.min(1, (displayedWidth * displayedHeight) / (intrinsicWidth * intrinsicHeight));
+
+        return {
+            isOversized: true,
+            estimatedWastedBytes: Math.round((sizeInBytes || 0) * (1 - displayedRatio))
+        };
+    }
+
+    /**
+     * Aggregate oversized image findings across page results
+     * @param {Array} results - Page results
+     * @returns {Object} - Domain-level oversized image summary
+     */
+    summarize(results) {
+        // Images are counted once per URL; an image displayed at several sizes wastes the most on its smallest slot
+        const images = new Map();
+        results.forEach(r => {
+            (r.images || []).forEach(image => {
+                if (!image.intrinsicWidth) return;
+
+                const wastedBytes = image.isOversized ? image.estimatedWastedBytes || 0 : 0;
+                const entry = images.get(image.imageUrl) || { isOversized: false, wastedBytes: 0 };
+                images.set(image.imageUrl, {
+                    isOversized: entry.isOversized || !!image.isOversized,
+                    wastedBytes: Math.max(entry.wastedBytes, wastedBytes)
+                });
+            });
+        });
+
+        const entries = Array.from(images.values());
+        const imagesWithIntrinsicDimensions = entries.length;
+        const oversizedImages = entries.filter(entry => entry.isOversized).length;
+        const estimatedWastedBytes = entries.reduce((sum, entry) => sum + entry.wastedBytes, 0);
+
+        return {
+            images_with_intrinsic_dimensions: imagesWithIntrinsicDimensions,
+            oversized_images: oversizedImages,
+            estimated_wasted_bytes: estimatedWastedBytes,
+            estimated_wasted_kb: Math.round((estimatedWastedBytes / 1000) * 100) / 100
+        };
+    }
+}
+
+module.exports = { ImageDimensionAnalyzer };
@@ -0,0 +1,269 @@
+/**
+ * Image Duplicate Detector for SEO Image Optimization Checker
+ *
+ * @author MySmartDigital
+ * @description Fingerprints downloaded images with a SHA-256 content hash and two 64-bit
+ * perceptual hashes (aHash and dHash, computed with sharp) and groups the crawl's image URLs into
+ * clusters of identical files and of visually near-identical images, such as the same photo
+ * uploaded again, resized or re-encoded under another URL.
+ */
+
+const crypto = require('crypto');
+const sharp = require('sharp');
+
+// Perceptual hashes within this many differing bits (of 64) are treated as the same picture
+const MAX_HASH_DISTANCE = 6;
+
+// Every pixel at or above the mean: a single-color image (spacers, placeholders); such images all hash alike
+const FLAT_AHASH = 'ffffffffffffffff';
+
+class ImageDuplicateDetector {
+    constructor({ maxHashDistance = MAX_HASH_DISTANCE } = {}) {
+        this.maxHashDistance = maxHashDistance;
+    }
+
+    /**
+     * Content and perceptual hashes of an image
+     * @param {Buffer} buffer - Image bytes
+     * @returns {Promise<{contentHash: string, aHash: string, dHash: string, width: number, height: number, bytes: number}|null>} - null when the image cannot be decoded
+     */
+    async fingerprint(buffer) {
+        try {
+            const contentHash = crypto.createHash('sha256').update(buffer).digest('hex');
+
+            // Grey, alpha flattened onto white, EXIF orientation applied, first frame of animations
+            const image = sharp(buffer, { failOn: 'none' }).rotate().flatten({ background: '#ffffff' }).toColourspace('b-w');
+            const [{ width, height }, aPixels, dPixels] = await Promise.all([
+                sharp(buffer, { failOn: 'none' }).metadata(),
+                image.clone().resize(8, 8, { fit: 'fill' }).raw().toBuffer(),
+                image.clone().resize(9, 8, { fit: 'fill' }).raw().toBuffer()
+            ]);
+
+            return {
+                contentHash,
+                aHash: this.averageHash(aPixels),
+                dHash: this.differenceHash(dPixels),
+                width: width || null,
+                height: height || null,
+                bytes: buffer.length
+            };
+        } catch (error) {
+            console.warn(`Image fingerprint failed: ${error.message}`);
+            return null;
+        }
+    }
+
+    /**
+     * aHash: one bit per pixel of an 8x8 thumbnail, set when the pixel is at least the mean
+     * @param {Buffer} pixels - 64 grey values
+     * @returns {string} - 16 hex digits
+     */
+    averageHash(pixels) {
+        const mean = pixels.reduce((sum, value) => sum + value, 0) / pixels.length;
+        return this.toHex(Array.from(pixels, value => value >= mean));
+    }
+
+    /**
+     * dHash: one bit per horizontal neighbor pair of a 9x8 thumbnail, set when brightness increases
+     * @param {Buffer} pixels - 72 grey values, row by row
+     * @returns {string} - 16 hex digits
+     */
+    differenceHash(pixels) {
+        const bits = [];
+        for (let row = 0; row < 8; row++) {
+            for (let col = 0; col < 8; col++) {
+                bits.push(pixels[row * 9 + col] < pixels[row * 9 + col + 1]);
+            }
+        }
+        return this.toHex(bits);
+    }
+
+    toHex(bits) {
+        let hex = '';
+        for (let i = 0; i < bits.length; i += 4) {
+            hex += ((bits[i] << 3) | (bits[i + 1] << 2) | (bits[i + 2] << 1) | bits[i + 3]).toString(16);
+        }
+        return hex;
+    }
+
+    /**
+     * Number of differing bits between two 64-bit hex hashes
+     * @param {string} a - 16 hex digits
+     * @param {string} b - 16 hex digits
+     * @returns {number}
+     */
+    hammingDistance(a, b) {
+        let distance = 0;
+        for (let i = 0; i < a.length; i += 8) {
+            let xor = (parseInt(a.slice(i, i + 8), 16) ^ parseInt(b.slice(i, i + 8), 16)) >>> 0;
+            while (xor) {
+                xor &= xor - 1;
+                distance++;
+            }
+        }
+        return distance;
+    }
+
+    /**
+     * Perceptual distance between two fingerprints, or null when they do not look alike
+     * Both hashes must agree; single-color images are only matched by content.
+     * @param {Object} a - Fingerprint
+     * @param {Object} b - Fingerprint
+     * @returns {number|null} - dHash distance
+     */
+    compare(a, b) {
+        if (a.aHash === FLAT_AHASH || b.aHash === FLAT_AHASH) return null;
+
+        const dHashDistance = this.hammingDistance(a.dHash, b.dHash);
+        if (dHashDistance > this.maxHashDistance || this.hammingDistance(a.aHash, b.aHash) > this.maxHashDistance) return null;
+        return dHashDistance;
+    }
+
+    /**
+     * Images of one page that repeat an earlier image of the page under another URL
+     * @param {Array} images - Analyzed images of the page, in document order
+     * @returns {Array<{imageUrl: string, imageIndex: number, duplicateOf: string, kind: string, distance: number}>}
+     */
+    findPageDuplicates(images) {
+        const seen = [];
+        const duplicates = [];
+
+        images.filter(image => image.fingerprint).forEach(image => {
+            if (seen.some(earlier => earlier.imageUrl === image.imageUrl)) return;
+
+            const exact = seen.find(earlier => earlier.fingerprint.contentHash === image.fingerprint.contentHash);
+            let match = exact ? { earlier: exact, kind: 'exact', distance: 0 } : null;
+
+            if (!match) {
+                seen.some(earlier => {
+                    const distance = this.compare(earlier.fingerprint, image.fingerprint);
+                    if (distance === null) return false;
+                    match = { earlier, kind: 'near', distance };
+                    return true;
+                });
+            }
+
+            if (match) {
+                duplicates.push({
+                    imageUrl: image.imageUrl,
+                    imageIndex: image.imageIndex,
+                    duplicateOf: match.earlier.imageUrl,
+                    kind: match.kind,
+                    distance: match.distance
+                });
+            }
+            seen.push(image);
+        });
+
+        return duplicates;
+    }
+
+    /**
+     * Cluster identical and near-identical images across page results
+     * Exact clusters share a content hash; near clusters join different files whose perceptual
+     * hashes are within the distance threshold, directly or through another member.
+     * @param {Array} results - Page results
+     * @returns {Object} - Domain-level duplicate image report
+     */
+    summarize(results) {
+        const images = new Map();
+
+        results.forEach(r => {
+            (r.images || []).forEach(image => {
+                if (!image.fingerprint) return;
+
+                if (!images.has(image.imageUrl)) images.set(image.imageUrl, { image, pages: [] });
+                const entry = images.get(image.imageUrl);
+                if (!entry.pages.includes(r.url)) entry.pages.push(r.url);
+            });
+        });
+
+        const toImage = ({ image, pages }) => ({
+            image_url: image.imageUrl,
+            content_hash: image.fingerprint.contentHash,
+            width: image.fingerprint.width,
+            height: image.fingerprint.height,
+            size_bytes: image.sizeInBytes || image.fingerprint.bytes,
+            pages
+        });
+
+        // Identical files under different URLs
+        const byContent = new Map();
+        images.forEach(entry => {
+            const { contentHash } = entry.image.fingerprint;
+            if (!byContent.has(contentHash)) byContent.set(contentHash, []);
+            byContent.get(contentHash).push(entry);
+        });
+
+        const exactClusters = Array.from(byContent.values())
+            .filter(entries => entries.length > 1)
+            .map(entries => {
+                const members = entries.map(toImage);
+                const totalBytes = members.reduce((sum, member) => sum + member.size_bytes, 0);
+                return {
+                    content_hash: members[0].content_hash,
+                    images_count: members.length,
+                    // Browsers download every URL separately; all but one copy are wasted
+                    wasted_bytes: totalBytes - Math.max(...members.map(member => member.size_bytes)),
+                    images: members
+                };
+            })
+            .sort((a, b) => b.wasted_bytes - a.wasted_bytes);
+
+        // Different files of the same picture: union-find over one representative per content hash
+        const files = Array.from(byContent.values());
+        const parent = files.map((file, index) => index);
+        const maxDistance = files.map(() => 0);
+        const find = index => (parent[index] === index ? index : (parent[index] = find(parent[index])));
+
+        for (let i = 0; i < files.length; i++) {
+            for (let j = i + 1; j < files.length; j++) {
+                const distance = this.compare(files[i][0].image.fingerprint, files[j][0].image.fingerprint);
+                if (distance === null) continue;
+
+                const rootI = find(i);
+                const rootJ = find(j);
+                const clusterDistance = Math.max(maxDistance[rootI], maxDistance[rootJ], distance);
+                parent[rootJ] = rootI;
+                maxDistance[rootI] = clusterDistance;
+            }
+        }
+
+        const groups = new Map();
+        files.forEach((entries, index) => {
+            const root = find(index);
+            if (!groups.has(root)) groups.set(root, []);
+            groups.get(root).push(...entries);
+        });
+
+        const nearClusters = Array.from(groups.entries())
+            .filter(([, entries]) => new Set(entries.map(entry => entry.image.fingerprint.contentHash)).size > 1)
+            .map(([root, entries]) => {
+                const members = entries.map(toImage);
+                return {
+                    images_count: members.length,
+                    max_hash_distance: maxDistance[root],
+                    total_bytes: members.reduce((sum, member) => sum + member.size_bytes, 0),
+                    images: members
+                };
+            })
+            .sort((a, b) => b.images_count - a.images_count);
+
+        const wastedBytes = exactClusters.reduce((sum, cluster) => sum + cluster.wasted_bytes, 0);
+
+        return {
+            images_fingerprinted: images.size,
+            exact_duplicate_clusters_count: exactClusters.length,
+            exact_duplicate_images: exactClusters.reduce((sum, cluster) => sum + cluster.images_count - 1, 0),
+            duplicate_wasted_bytes: wastedBytes,
+            duplicate_wasted_kb: Math.round((wastedBytes / 1000) * 100) / 100,
+            near_duplicate_clusters_count: nearClusters.length,
+            near_duplicate_images: nearClusters.reduce((sum, cluster) => sum + cluster.images_count, 0),
+            max_hash_distance: this.maxHashDistance,
+            exact_duplicate_clusters: exactClusters,
+            near_duplicate_clusters: nearClusters
+        };
+    }
+}
+
+module.exports = { ImageDuplicateDetector };
@@ -0,0 +1,170 @@
+/**
+ * Image Info Cache for SEO Image Optimization Checker
+ *
+ * @author MySmartDigital
+ * @description Shares image probe results (content type, size, status) across all pages of a
+ * crawl so logos, sprites and footer icons are requested once. Entries can be persisted to a
+ * key-value store or a local JSON file and are revalidated on the next run with
+ * If-None-Match / If-Modified-Since, reusing the stored info on 304 Not Modified.
+ */
+
+const fs = require('fs');
+const { URLNormalizer } = require('./url-normalizer');
+
+class ImageInfoCache {
+    /**
+     * @param {Object} options
+     * @param {Object} [options.keyValueStore] - Store with getValue/setValue (e.g. an Apify KeyValueStore)
+     * @param {string} [options.key] - Record key inside the key-value store
+     * @param {string} [options.filePath] - Local JSON file used when no key-value store is given
+     */
+    constructor({ keyValueStore = null, key = 'IMAGE_INFO_CACHE', filePath = null } = {}) {
+        this.keyValueStore = keyValueStore;
+        this.key = key;
+        this.filePath = filePath;
+        this.urlNormalizer = new URLNormalizer();
+        this.entries = new Map();
+        this.pending = new Map();
+        this.stats = { lookups: 0, requests: 0, revalidated: 0, loadedEntries: 0 };
+    }
+
+    getKey(imageUrl) {
+        return this.urlNormalizer.normalize(imageUrl);
+    }
+
+    /**
+     * Load persisted entries from the key-value store or file
+     */
+    async load() {
+        let stored = null;
+
+        try {
+            if (this.keyValueStore) {
+                stored = await this.keyValueStore.getValue(this.key);
+            } else if (this.filePath && fs.existsSync(this.filePath)) {
+                stored = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+            }
+        } catch (error) {
+            console.warn(`Failed to load image info cache: ${error.message}`);
+        }
+
+        Object.entries((stored && stored.entries) || {}).forEach(([key, entry]) => this.entries.set(key, entry));
+        this.stats.loadedEntries = this.entries.size;
+        console.log(`Image info cache: ${this.entries.size} entries loaded`);
+    }
+
+    /**
+     * Persist entries that carry an ETag or Last-Modified validator
+     */
+    async save() {
+        const entries = {};
+        this.entries.forEach((entry, key) => {
+            if (entry.etag || entry.lastModified) entries[key] = entry;
+        });
+        const data = { savedAt: new Date().toISOString(), entries };
+
+        try {
+            if (this.keyValueStore) {
+                await this.keyValueStore.setValue(this.key, data);
+            } else if (this.filePath) {
+                fs.writeFileSync(this.filePath, JSON.stringify(data));
+            }
+        } catch (error) {
+            console.warn(`Failed to save image info cache: ${error.message}`);
+        }
+    }
+
+    /**
+     * Return the image info for a URL, probing it at most once per run
+     * @param {string} imageUrl - Absolute image URL
+     * @param {Function} probe - Called with {etag, lastModified} validators; resolves with the detectImageInfo result
+     * @returns {Promise<Object>} - Image info
+     */
+    get(imageUrl, probe) {
+        // data: URIs carry their own bytes and are never requested
+        if (!/^https?:/i.test(imageUrl)) return probe({});
+
+        const key = this.getKey(imageUrl);
+        this.stats.lookups++;
+
+        if (!this.pending.has(key)) {
+            const lookup = this.resolve(key, probe);
+            lookup.catch(() => {});
+            this.pending.set(key, lookup);
+        }
+
+        return this.pending.get(key);
+    }
+
+    async resolve(key, probe) {
+        const stored = this.entries.get(key);
+        const validators = stored ? { etag: stored.etag, lastModified: stored.lastModified } : {};
+
+        this.stats.requests++;
+        const info = await probe(validators);
+
+        if (stored && info.statusCode === 304) {
+            this.stats.revalidated++;
+            return { ...stored.info };
+        }
+
+        const { etag, lastModified, ...imageInfo } = info;
+        if (info.statusCode >= 200 && info.statusCode < 300) {
+            this.entries.set(key, { info: imageInfo, etag, lastModified, cachedAt: new Date().toISOString() });
+        } else {
+            this.entries.delete(key);
+        }
+
+        return imageInfo;
+    }
+
+    getStats() {
+        return {
+            lookups: this.stats.lookups,
+            requests_made: this.stats.requests,
+            requests_saved: this.stats.lookups - this.stats.requests,
+            revalidated_not_modified: this.stats.revalidated,
+            persisted_entries_loaded: this.stats.loadedEntries
+        };
+    }
+
+    /**
+     * Report images reused across pages versus images unique to a single page
+     * @param {Array} results - Page results
+     * @param {number} topReused - Number of most reused images to list
+     * @returns {Object} - Domain-level image reuse summary
+     */
+    summarize(results, topReused = 10) {
+        const usage = new Map();
+
+        results.forEach(r => {
+            (r.images || []).forEach(image => {
+                if (!image.imageUrl || image.sourceKind === 'inline-svg' || image.imageUrl.startsWith('data:')) return;
+
+                const key = this.getKey(image.imageUrl);
+                if (!usage.has(key)) usage.set(key, { pages: new Set(), sizeInBytes: image.sizeInBytes || 0 });
+                usage.get(key).pages.add(r.url);
+            });
+        });
+
+        const reused = Array.from(usage.entries()).filter(([, { pages }]) => pages.size > 1);
+        const toKb = bytes => Math.round((bytes / 1000) * 100) / 100;
+
+        return {
+            unique_image_urls: usage.size,
+            images_reused_across_pages: reused.length,
+            images_unique_to_one_page: usage.size - reused.length,
+            reused_images_percentage: usage.size > 0 ? Math.round((reused.length / usage.size) * 100) : 0,
+            most_reused_images: reused
+                .sort((a, b) => b[1].pages.size - a[1].pages.size)
+                .slice(0, topReused)
+                .map(([imageUrl, { pages, sizeInBytes }]) => ({
+                    image_url: imageUrl,
+                    pages_count: pages.size,
+                    size_kb: toKb(sizeInBytes)
+                }))
+        };
+    }
+}
+
+module.exports = { ImageInfoCache };
@@ -0,0 +1,233 @@
+/**
+ * Image Performance Analyzer for SEO Image Optimization Checker
+ *
+ * @author MySmartDigital
+ * @description Core Web Vitals checks for <img> elements: reads loading, fetchpriority and
+ * decoding attributes and <link rel="preload" as="image"> hints, picks the likely Largest
+ * Contentful Paint (LCP) image and flags it when it is lazy-loaded or not prioritized, flags
+ * below-the-fold images that are loaded eagerly and images without width/height or
+ * aspect-ratio, which shift the layout (CLS) when they load.
+ */
+
+// Without a rendered layout, the first <img> elements of the document are assumed to be above the fold
+const ESTIMATED_ABOVE_THE_FOLD_IMAGES = 3;
+
+// Images smaller than this (declared or rendered CSS pixels) are icons and logos, not LCP candidates
+const MIN_LCP_AREA = 100 * 100;
+
+// Attributes and classes of JavaScript lazy loaders (lazysizes, lozad, WordPress plugins...)
+const JS_LAZY_ATTRIBUTES = ['data-src', 'data-lazy-src', 'data-original', 'data-lazyload', 'data-srcset'];
+const JS_LAZY_CLASS = /(^|\s)(lazy|lazyload|lazyloaded|lozad)(\s|$)/i;
+
+class ImagePerformanceAnalyzer {
+    /**
+     * Collect the images a page preloads
+     * @param {Function} $ - Cheerio root
+     * @param {string} baseUrl - Page URL
+     * @returns {Set<string>} - Resolved URLs from href and imagesrcset
+     */
+    getPreloadedImageUrls($, baseUrl) {
+        const urls = new Set();
+
+        $('link[rel~="preload" i][as="image" i]').each((i, el) => {
+            const $link = $(el);
+            const candidates = [$link.attr('href')];
+            String($link.attr('imagesrcset') || '').split(',').forEach(candidate => {
+                candidates.push(candidate.trim().split(/\s+/)[0]);
+            });
+
+            candidates.filter(Boolean).forEach(candidate => {
+                try {
+                    urls.add(new URL(candidate, baseUrl).href);
+                } catch (e) {
+                    // Skip invalid URLs
+                }
+            });
+        });
+
+        return urls;
+    }
+
+    /**
+     * Loading attributes and layout-shift risk of one <img> element
+     * @param {Object} $img - Cheerio image element
+     * @param {Object} context
+     * @param {string[]} context.imageUrls - The image's src and responsive candidate URLs
+     * @param {Set<string>} context.preloadedUrls - URLs from getPreloadedImageUrls
+     * @param {{width: number, height: number, inViewport: boolean}|null} context.rendered - Rendered box in browser mode
+     * @returns {Object} - Performance record for the image
+     */
+    analyzeImage($img, { imageUrls = [], preloadedUrls = new Set(), rendered = null } = {}) {
+        const loading = ($img.attr('loading') || '').trim().toLowerCase() || null;
+        const fetchPriority = ($img.attr('fetchpriority') || '').trim().toLowerCase() || null;
+        const decoding = ($img.attr('decoding') || '').trim().toLowerCase() || null;
+        const isJsLazyLoaded = JS_LAZY_ATTRIBUTES.some(attribute => $img.attr(attribute)) || JS_LAZY_CLASS.test($img.attr('class') || '');
+
+        return {
+            loading,
+            fetchPriority,
+            decoding,
+            isLazyLoaded: loading === 'lazy' || isJsLazyLoaded,
+            isJsLazyLoaded,
+            isPreloaded: imageUrls.some(url => preloadedUrls.has(url)),
+            hasDimensions: this.hasReservedSpace($img),
+            aboveTheFold: rendered ? !!rendered.inViewport : null,
+            foldEstimate: rendered ? 'rendered' : 'document_order',
+            renderedArea: rendered ? rendered.width * rendered.height : null,
+            declaredArea: this.parsePixels($img.attr('width')) * this.parsePixels($img.attr('height')),
+            isLcpCandidate: false
+        };
+    }
+
+    /**
+     * Whether the browser can reserve the image's box before it loads
+     * Sizes set in stylesheets cannot be seen without layout, so only attributes and inline styles count.
+     * @param {Object} $img - Cheerio image element
+     * @returns {boolean}
+     */
+    hasReservedSpace($img) {
+        if ($img.attr('width') && $img.attr('height')) return true;
+
+        const style = String($img.attr('style') || '').toLowerCase();
+        if (/aspect-ratio\s*:/.test(style)) return true;
+
+        const hasStyleWidth = /(^|[;\s])width\s*:/.test(style) || !!$img.attr('width');
+        const hasStyleHeight = /(^|[;\s])height\s*:/.test(style) || !!$img.attr('height');
+        return hasStyleWidth && hasStyleHeight;
+    }
+
+    parsePixels(value) {
+        const match = String(value || '').trim().match(/^(\d+(?:\.\d+)?)(px)?$/i);
+        return match ? Math.round(parseFloat(match[1])) : 0;
+    }
+
+    /**
+     * Page-level checks once every image has its performance record
+     * Decides which images are above the fold, picks the LCP candidate and lists the issues.
+     * @param {Array} images - Analyzed images of the page, in document order
+     * @returns {{lcpCandidate: Object|null, imagesMissingLazyLoading: Array, layoutShiftRisks: Array}}
+     */
+    analyzePage(images) {
+        const imgElements = images.filter(image => image.performance);
+
+        // Static HTML has no layout: treat the first few <img> elements as above the fold
+        imgElements.forEach((image, position) => {
+            if (image.performance.aboveTheFold === null) {
+                image.performance.aboveTheFold = position < ESTIMATED_ABOVE_THE_FOLD_IMAGES;
+            }
+        });
+
+        const { image: lcpImage, selectedBy } = this.findLcpCandidate(imgElements) || {};
+        let lcpCandidate = null;
+
+        if (lcpImage) {
+            const { performance } = lcpImage;
+            performance.isLcpCandidate = true;
+
+            const issues = [];
+            if (performance.isLazyLoaded) issues.push('lazy_loaded');
+            // fetchpriority="high" gets the image the same early, high-priority request as a preload
+            if (!performance.isPreloaded && performance.fetchPriority !== 'high') issues.push('not_preloaded');
+            if (performance.fetchPriority === 'low') issues.push('low_fetch_priority');
+
+            lcpCandidate = {
+                imageUrl: lcpImage.imageUrl,
+                imageIndex: lcpImage.imageIndex,
+                selectedBy,
+                isLazyLoaded: performance.isLazyLoaded,
+                isPreloaded: performance.isPreloaded,
+                fetchPriority: performance.fetchPriority,
+                issues
+            };
+        }
+
+        const imagesMissingLazyLoading = imgElements
+            .filter(image => !image.performance.aboveTheFold && !image.performance.isLazyLoaded && !image.performance.isLcpCandidate)
+            .map(image => ({ imageUrl: image.imageUrl, imageIndex: image.imageIndex }));
+
+        const layoutShiftRisks = imgElements
+            .filter(image => !image.performance.hasDimensions)
+            .map(image => ({ imageUrl: image.imageUrl, imageIndex: image.imageIndex, aboveTheFold: image.performance.aboveTheFold }));
+
+        return { lcpCandidate, imagesMissingLazyLoading, layoutShiftRisks };
+    }
+
+    /**
+     * Pick the likely LCP image among the above-the-fold images
+     * Rendered size wins in browser mode; in static mode an explicit fetchpriority="high" or preload
+     * is taken as the author's hint, then the largest declared size, then document order.
+     * @param {Array} imgElements - Images with a performance record
+     * @returns {{image: Object, selectedBy: string}|null} - Image record and how it was chosen
+     */
+    findLcpCandidate(imgElements) {
+        const aboveTheFold = imgElements.filter(image => image.performance.aboveTheFold && image.statusCode < 400);
+
+        const rendered = aboveTheFold.filter(image => image.performance.renderedArea >= MIN_LCP_AREA);
+        if (rendered.length > 0) {
+            const largest = rendered.reduce((a, b) => (b.performance.renderedArea > a.performance.renderedArea ? b : a));
+            return { image: largest, selectedBy: 'rendered_size' };
+        }
+
+        // Rendered images that are too small are icons; static images with no declared size may be anything
+        const candidates = aboveTheFold.filter(image => image.performance.renderedArea === null
+            && (image.performance.declaredArea === 0 || image.performance.declaredArea >= MIN_LCP_AREA));
+
+        const hinted = candidates.find(image => image.performance.fetchPriority === 'high' || image.performance.isPreloaded);
+        if (hinted) {
+            return { image: hinted, selectedBy: hinted.performance.fetchPriority === 'high' ? 'fetchpriority' : 'preload' };
+        }
+
+        const declared = candidates.filter(image => image.performance.declaredArea > 0);
+        if (declared.length > 0) {
+            const largest = declared.reduce((a, b) => (b.performance.declaredArea > a.performance.declaredArea ? b : a));
+            return { image: largest, selectedBy: 'declared_size' };
+        }
+
+        return candidates.length > 0 ? { image: candidates[0], selectedBy: 'document_order' } : null;
+    }
+
+    /**
+     * Aggregate Core Web Vitals image findings across page results
+     * @param {Array} results - Page results
+     * @returns {Object} - Domain-level image performance summary
+     */
+    summarize(results) {
+        const pages = results.filter(r => !r.error && Array.isArray(r.layoutShiftRisks));
+        const lcpIssues = [];
+        let lcpLazyLoaded = 0;
+        let lcpNotPreloaded = 0;
+        let imagesLazyLoaded = 0;
+        let imgElements = 0;
+
+        pages.forEach(r => {
+            const { lcpCandidate } = r;
+            if (lcpCandidate && lcpCandidate.issues.length > 0) {
+                if (lcpCandidate.issues.includes('lazy_loaded')) lcpLazyLoaded++;
+                if (lcpCandidate.issues.includes('not_preloaded')) lcpNotPreloaded++;
+                lcpIssues.push({ page_url: r.url, image_url: lcpCandidate.imageUrl, issues: lcpCandidate.issues });
+            }
+
+            (r.images || []).forEach(image => {
+                if (!image.performance) return;
+                imgElements++;
+                if (image.performance.isLazyLoaded) imagesLazyLoaded++;
+            });
+        });
+
+        const imagesMissingLazyLoading = pages.reduce((sum, r) => sum + r.imagesMissingLazyLoadingCount, 0);
+        const layoutShiftRisks = pages.reduce((sum, r) => sum + r.layoutShiftRisksCount, 0);
+
+        return {
+            pages_with_lcp_candidate: pages.filter(r => r.lcpCandidate).length,
+            lcp_images_lazy_loaded: lcpLazyLoaded,
+            lcp_images_not_preloaded: lcpNotPreloaded,
+            images_lazy_loaded: imagesLazyLoaded,
+            images_missing_lazy_loading: imagesMissingLazyLoading,
+            layout_shift_risk_images: layoutShiftRisks,
+            layout_shift_risk_percentage: imgElements > 0 ? Math.round((layoutShiftRisks / imgElements) * 100) : 0,
+            lcp_issues: lcpIssues
+        };
+    }
+}
+
+module.exports = { ImagePerformanceAnalyzer };
@@ -0,0 +1,299 @@
+/**
+ * Image SEO Scorer for SEO Image Optimization Checker
+ *
+ * @author MySmartDigital
+ * @description Scores pages and domains from 0 to 100 against a configurable rule set (maximum
+ * image size, maximum image weight per page, minimum alt text coverage, forbidden formats and
+ * maximum broken images) and lists the violated rules, so audits can gate deploys in CI.
+ */
+
+const DEFAULT_RULES = {
+    maxImageKb: 200,
+    maxPageImageKb: 2000,
+    minAltCoveragePercentage: 90,
+    forbiddenFormats: ['bmp', 'tiff'],
+    maxBrokenImages: 0,
+    // Minimum score for a page and the domain to pass; null disables the check
+    minScore: null
+};
+
+// Share of the score each rule accounts for; disabled rules (null) are left out
+const RULE_WEIGHTS = {
+    minAltCoveragePercentage: 30,
+    maxImageKb: 20,
+    maxPageImageKb: 20,
+    maxBrokenImages: 20,
+    forbiddenFormats: 10
+};
+
+// Rules on a 0-100 scale
+const PERCENTAGE_RULES = ['minAltCoveragePercentage', 'minScore'];
+
+const RULE_NAMES = {
+    maxImageKb: 'max_image_kb',
+    maxPageImageKb: 'max_page_image_kb',
+    minAltCoveragePercentage: 'min_alt_coverage_percentage',
+    forbiddenFormats: 'forbidden_formats',
+    maxBrokenImages: 'max_broken_images',
+    minScore: 'min_score'
+};
+
+// Always checked: a gate must not pass on pages it never scored
+const NO_PAGES_SCORED = 'no_pages_scored';
+const PAGES_NOT_ANALYZED = 'pages_not_analyzed';
+
+class ImageSeoScorer {
+    /**
+     * @param {Object} rules - Rule overrides; see DEFAULT_RULES for names and defaults, null disables a rule
+     */
+    constructor(rules = {}) {
+        this.rules = { ...DEFAULT_RULES, ...rules };
+    }
+
+    /**
+     * Check a rules object before scoring with it
+     * @param {Object} rules - Rule overrides
+     * @returns {string|null} - Error message, or null when the rules are valid
+     */
+    static validateRules(rules) {
+        if (typeof rules !== 'object' || Array.isArray(rules) || rules === null) {
+            return 'scoringRules must be an object';
+        }
+
+        const unknownRule = Object.keys(rules).find(rule => !(rule in DEFAULT_RULES));
+        if (unknownRule) {
+            return `Unknown scoring rule "${unknownRule}". Use ${Object.keys(DEFAULT_RULES).join(', ')}.`;
+        }
+
+        const invalidRule = Object.entries(rules).find(([rule, value]) => value !== null && (rule === 'forbiddenFormats'
+            ? !Array.isArray(value) || value.some(format => typeof format !== 'string')
+            : typeof value !== 'number' || !Number.isFinite(value) || value < 0 || (PERCENTAGE_RULES.includes(rule) && value > 100)));
+        if (invalidRule) {
+            return `Invalid value for scoring rule "${invalidRule[0]}"`;
+        }
+
+        return null;
+    }
+
+    getImageFormat(image) {
+        return ((image.contentType || '').split(';')[0].split('/')[1] || 'unknown').trim().toLowerCase();
+    }
+
+    /**
+     * Score one page against the rules
+     * @param {Object} page - Page result
+     * @returns {{score: number|null, violations: Array}} - Null score for pages that failed to load
+     */
+    scorePage(page) {
+        if (page.error) {
+            return { score: null, violations: [] };
+        }
+
+        const { maxImageKb, maxPageImageKb, minAltCoveragePercentage, forbiddenFormats, maxBrokenImages } = this.rules;
+        const images = page.images || [];
+        const sizedImages = images.filter(image => image.sizeInBytes > 0);
+        const compliance = {};
+        const violations = [];
+
+        if (maxImageKb !== null) {
+            const heavyImages = sizedImages.filter(image => image.sizeInBytes / 1000 > maxImageKb);
+            compliance.maxImageKb = sizedImages.length > 0 ? 1 - heavyImages.length / sizedImages.length : 1;
+            if (heavyImages.length > 0) {
+                violations.push({
+                    rule: RULE_NAMES.maxImageKb,
+                    threshold: maxImageKb,
+                    actual: Math.max(...heavyImages.map(image => image.sizeInKb)),
+                    images: heavyImages.map(image => image.imageUrl)
+                });
+            }
+        }
+
+        if (maxPageImageKb !== null) {
+            const pageImageKb = Math.round(((page.totalImageSize || 0) / 1000) * 100) / 100;
+            compliance.maxPageImageKb = pageImageKb > maxPageImageKb ? maxPageImageKb / pageImageKb : 1;
+            if (pageImageKb > maxPageImageKb) {
+                violations.push({ rule: RULE_NAMES.maxPageImageKb, threshold: maxPageImageKb, actual: pageImageKb });
+            }
+        }
+
+        // Coverage counts WCAG 1.1.1 failures, so intentional alt="" and role="presentation" images pass
+        if (minAltCoveragePercentage !== null) {
+            const wcagFailures = page.wcagFailures || [];
+            const coverage = this.getAltCoverage(images.filter(image => image.accessibility).length, wcagFailures.length);
+            compliance.minAltCoveragePercentage = coverage >= minAltCoveragePercentage ? 1 : coverage / Math.max(minAltCoveragePercentage, 1);
+            if (coverage < minAltCoveragePercentage) {
+                violations.push({
+                    rule: RULE_NAMES.minAltCoveragePercentage,
+                    threshold: minAltCoveragePercentage,
+                    actual: coverage,
+                    images: wcagFailures.map(image => image.imageUrl)
+                });
+            }
+        }
+
+        if (forbiddenFormats !== null) {
+            const forbidden = forbiddenFormats.map(format => format.toLowerCase());
+            const forbiddenImages = images.filter(image => forbidden.includes(this.getImageFormat(image)));
+            compliance.forbiddenFormats = images.length > 0 ? 1 - forbiddenImages.length / images.length : 1;
+            if (forbiddenImages.length > 0) {
+                violations.push({
+                    rule: RULE_NAMES.forbiddenFormats,
+                    threshold: forbiddenFormats,
+                    actual: [...new Set(forbiddenImages.map(image => this.getImageFormat(image)))],
+                    images: forbiddenImages.map(image => image.imageUrl)
+                });
+            }
+        }
+
+        if (maxBrokenImages !== null) {
+            const brokenImages = page.brokenImages || [];
+            compliance.maxBrokenImages = brokenImages.length > maxBrokenImages && images.length > 0
+                ? 1 - (brokenImages.length - maxBrokenImages) / images.length
+                : 1;
+            if (brokenImages.length > maxBrokenImages) {
+                violations.push({
+                    rule: RULE_NAMES.maxBrokenImages,
+                    threshold: maxBrokenImages,
+                    actual: brokenImages.length,
+                    images: brokenImages.map(image => image.imageUrl)
+                });
+            }
+        }
+
+        const score = this.weightScore(compliance);
+        if (this.rules.minScore !== null && score < this.rules.minScore) {
+            violations.push({ rule: RULE_NAMES.minScore, threshold: this.rules.minScore, actual: score });
+        }
+
+        return { score, violations };
+    }
+
+    getAltCoverage(imagesEvaluated, wcagFailures) {
+        return imagesEvaluated > 0
+            ? Math.round(((imagesEvaluated - (wcagFailures || 0)) / imagesEvaluated) * 100)
+            : 100;
+    }
+
+    weightScore(compliance) {
+        let weightedTotal = 0;
+        let totalWeight = 0;
+
+        Object.entries(compliance).forEach(([rule, value]) => {
+            weightedTotal += RULE_WEIGHTS[rule] * Math.max(0, value);
+            totalWeight += RULE_WEIGHTS[rule];
+        });
+
+        return totalWeight > 0 ? Math.round((weightedTotal / totalWeight) * 100) : 100;
+    }
+
+    /**
+     * Domain score and rule violations across all pages
+     * Pages must carry the seoScore computed by scorePage.
+     * @param {Array} results - Page results
+     * @param {Object} domain - Domain metrics (broken_images, wcag_1_1_1_failures_percentage and skipped_urls are used)
+     * @returns {Object} - Domain-level image SEO score
+     */
+    summarize(results, domain = {}) {
+        const { maxImageKb, maxPageImageKb, minAltCoveragePercentage, forbiddenFormats, maxBrokenImages, minScore } = this.rules;
+        const scoredPages = results.filter(r => r.seoScore && r.seoScore.score !== null);
+        const score = scoredPages.length > 0
+            ? Math.round(scoredPages.reduce((sum, r) => sum + r.seoScore.score, 0) / scoredPages.length)
+            : null;
+
+        // Collect page violations per rule
+        const pageViolations = {};
+        scoredPages.forEach(r => {
+            r.seoScore.violations.forEach(violation => {
+                if (!pageViolations[violation.rule]) pageViolations[violation.rule] = [];
+                pageViolations[violation.rule].push({ page: r, violation });
+            });
+        });
+
+        const uniqueImages = (rule) => [...new Set((pageViolations[rule] || []).flatMap(({ violation }) => violation.images || []))];
+        const pagesFor = (rule) => (pageViolations[rule] || []).map(({ page }) => page.url);
+        const violations = [];
+
+        if (maxImageKb !== null && pageViolations[RULE_NAMES.maxImageKb]) {
+            violations.push({
+                rule: RULE_NAMES.maxImageKb,
+                threshold: maxImageKb,
+                actual: Math.max(...pageViolations[RULE_NAMES.maxImageKb].map(({ violation }) => violation.actual)),
+                images: uniqueImages(RULE_NAMES.maxImageKb),
+                pages: pagesFor(RULE_NAMES.maxImageKb)
+            });
+        }
+
+        if (maxPageImageKb !== null && pageViolations[RULE_NAMES.maxPageImageKb]) {
+            violations.push({
+                rule: RULE_NAMES.maxPageImageKb,
+                threshold: maxPageImageKb,
+                actual: Math.max(...pageViolations[RULE_NAMES.maxPageImageKb].map(({ violation }) => violation.actual)),
+                pages: pagesFor(RULE_NAMES.maxPageImageKb)
+            });
+        }
+
+        if (minAltCoveragePercentage !== null) {
+            const coverage = 100 - (domain.wcag_1_1_1_failures_percentage || 0);
+            if (coverage < minAltCoveragePercentage) {
+                violations.push({
+                    rule: RULE_NAMES.minAltCoveragePercentage,
+                    threshold: minAltCoveragePercentage,
+                    actual: coverage,
+                    pages: pagesFor(RULE_NAMES.minAltCoveragePercentage)
+                });
+            }
+        }
+
+        if (forbiddenFormats !== null && pageViolations[RULE_NAMES.forbiddenFormats]) {
+            violations.push({
+                rule: RULE_NAMES.forbiddenFormats,
+                threshold: forbiddenFormats,
+                actual: [...new Set(pageViolations[RULE_NAMES.forbiddenFormats].flatMap(({ violation }) => violation.actual))],
+                images: uniqueImages(RULE_NAMES.forbiddenFormats),
+                pages: pagesFor(RULE_NAMES.forbiddenFormats)
+            });
+        }
+
+        // Broken images are counted once per URL across the domain
+        const brokenImagesCount = domain.broken_images ? domain.broken_images.broken_images_count : uniqueImages(RULE_NAMES.maxBrokenImages).length;
+        if (maxBrokenImages !== null && brokenImagesCount > maxBrokenImages) {
+            violations.push({
+                rule: RULE_NAMES.maxBrokenImages,
+                threshold: maxBrokenImages,
+                actual: brokenImagesCount,
+                pages: pagesFor(RULE_NAMES.maxBrokenImages)
+            });
+        }
+
+        if (minScore !== null && score !== null && score < minScore) {
+            violations.push({ rule: RULE_NAMES.minScore, threshold: minScore, actual: score });
+        }
+
+        // Pages that failed to load or were skipped (robots.txt) were never checked against the rules
+        const pagesNotAnalyzed = [
+            ...results.filter(r => r.error).map(r => r.url),
+            ...(domain.skipped_urls || []).map(skipped => skipped.url)
+        ];
+        if (scoredPages.length === 0) {
+            violations.push({ rule: NO_PAGES_SCORED, threshold: 1, actual: 0 });
+        }
+        if (pagesNotAnalyzed.length > 0) {
+            violations.push({ rule: PAGES_NOT_ANALYZED, threshold: 0, actual: pagesNotAnalyzed.length, pages: pagesNotAnalyzed });
+        }
+
+        return {
+            score,
+            passed: violations.length === 0,
+            rules: this.rules,
+            pages_scored: scoredPages.length,
+            pages_with_violations: scoredPages.filter(r => r.seoScore.violations.length > 0).length,
+            lowest_scoring_pages: [...scoredPages]
+                .sort((a, b) => a.seoScore.score - b.seoScore.score)
+                .slice(0, 10)
+                .map(r => ({ url: r.url, score: r.seoScore.score })),
+            violations
+        };
+    }
+}
+
+module.exports = { ImageSeoScorer };
@@ -0,0 +1,345 @@
+/**
+ * Image SEO Signal Analyzer for SEO Image Optimization Checker
+ *
+ * @author MySmartDigital
+ * @description Image search signals beyond alt text: flags non-descriptive filenames (camera
+ * names such as IMG_0001.jpg, hashes, bare numbers), checks the images referenced by JSON-LD
+ * structured data (Product.image, Article.image...) and the og:image for broken URLs and
+ * too-small dimensions, and compares the page's images with the site's image sitemap.
+ */
+
+const IMAGE_EXTENSION = /\.(jpe?g|png|gif|webp|avif|svg|bmp|ico|tiff?|heic|jxl)$/i;
+
+// Resize and density suffixes added by CMSs and image services (-300x200, @2x, -scaled)
+const SIZE_SUFFIX = /([-_]\d+x\d+|@\d(\.\d+)?x|[-_]scaled)+$/i;
+
+const CAMERA_FILENAME = /^(img|dsc|dscn|dscf|dcim|pxl|mvimg|gopr|sam|wp|image|photo|screenshot|screen[\s_-]?shot)[\s_-]*\d+/i;
+const HASH_FILENAME = /^([0-9a-f]{16,}|[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12})$/i;
+const NUMERIC_FILENAME = /^[\d\s_.-]+$/;
+const GENERIC_FILENAMES = ['image', 'img', 'photo', 'picture', 'pic', 'untitled', 'default', 'file', 'download', 'unnamed', 'placeholder', 'thumbnail', 'thumb', 'banner', 'hero', 'background', 'bg'];
+
+// Google asks for structured data images of at least 50K pixels (width x height)
+const MIN_STRUCTURED_DATA_PIXELS = 50000;
+
+// Smaller og:image files are shown as a small thumbnail instead of a large link preview
+const MIN_OG_IMAGE_WIDTH = 600;
+const MIN_OG_IMAGE_HEIGHT = 315;
+
+// Source kinds that belong in an image sitemap (content images, not CSS or meta images)
+const SITEMAP_SOURCE_KINDS = ['img'];
+
+class ImageSeoSignalAnalyzer {
+    constructor() {
+        // Decoded dimensions by image URL; site-wide og:image and logo files are downloaded once per audit
+        this.measuredDimensions = new Map();
+    }
+
+    /**
+     * Check whether an image filename describes the image
+     * @param {string} imageUrl - Image URL
+     * @returns {{filename: string, issue: string|null}|null} - null when the URL has no filename (data: URIs, directories)
+     */
+    analyzeFilename(imageUrl) {
+        let filename;
+        try {
+            const { protocol, pathname } = new URL(imageUrl);
+            if (protocol === 'data:') return null;
+            filename = decodeURIComponent(pathname.split('/').pop() || '');
+        } catch (e) {
+            return null;
+        }
+        if (!filename) return null;
+
+        const basename = filename.replace(IMAGE_EXTENSION, '').replace(SIZE_SUFFIX, '').trim();
+        let issue = null;
+
+        if (CAMERA_FILENAME.test(basename)) {
+            issue = 'camera_filename';
+        } else if (HASH_FILENAME.test(basename)) {
+            issue = 'hash_filename';
+        } else if (NUMERIC_FILENAME.test(basename)) {
+            issue = 'numeric_filename';
+        } else if (GENERIC_FILENAMES.includes(basename.toLowerCase().replace(/[\s_-]*\d*$/, ''))) {
+            issue = 'generic_filename';
+        }
+
+        return { filename, issue };
+    }
+
+    /**
+     * Collect the images referenced by the page's JSON-LD blocks
+     * Walks @graph, nested objects and arrays; image values may be URLs or ImageObjects.
+     * @param {Function} $ - Cheerio root
+     * @param {string} baseUrl - Page URL
+     * @returns {Array<{schemaType: string, imageUrl: string, declaredWidth: number|null, declaredHeight: number|null}>}
+     */
+    extractStructuredDataImages($, baseUrl) {
+        const images = [];
+        const seen = new Set();
+
+        const addImage = (schemaType, value) => {
+            const values = Array.isArray(value) ? value : [value];
+            values.forEach(item => {
+                const isObject = item && typeof item === 'object';
+                const src = isObject ? item.url || item.contentUrl || item['@id'] : item;
+                if (typeof src !== 'string' || !src.trim()) return;
+
+                let imageUrl;
+                try {
+                    imageUrl = new URL(src.trim(), baseUrl).href;
+                } catch (e) {
+                    return;
+                }
+
+                const key = `${schemaType} ${imageUrl}`;
+                if (seen.has(key)) return;
+                seen.add(key);
+
+                images.push({
+                    schemaType,
+                    imageUrl,
+                    declaredWidth: isObject ? this.parseDimension(item.width) : null,
+                    declaredHeight: isObject ? this.parseDimension(item.height) : null
+                });
+            });
+        };
+
+        const walk = (node) => {
+            if (Array.isArray(node)) {
+                node.forEach(walk);
+                return;
+            }
+            if (!node || typeof node !== 'object') return;
+
+            const type = node['@type'];
+            const schemaType = Array.isArray(type) ? type.join(',') : type;
+            // An ImageObject's own url is the image; other types reference theirs through "image"
+            if (schemaType && node.image !== undefined && schemaType !== 'ImageObject') {
+                addImage(schemaType, node.image);
+            }
+
+            Object.entries(node).forEach(([key, value]) => {
+                if (key !== 'image' && value && typeof value === 'object') walk(value);
+            });
+        };
+
+        $('script[type="application/ld+json"]').each((i, el) => {
+            try {
+                walk(JSON.parse($(el).contents().text()));
+            } catch (e) {
+                // Invalid JSON-LD is ignored; structured data validators report it
+            }
+        });
+
+        return images;
+    }
+
+    /**
+     * Read the page's first og:image and its declared dimensions
+     * @param {Function} $ - Cheerio root
+     * @param {string} baseUrl - Page URL
+     * @returns {{imageUrl: string, declaredWidth: number|null, declaredHeight: number|null}|null} - null when the page has no og:image
+     */
+    extractOpenGraphImage($, baseUrl) {
+        const src = $('meta[property="og:image"], meta[property="og:image:url"], meta[property="og:image:secure_url"]').first().attr('content');
+        if (!src || !src.trim()) return null;
+
+        try {
+            return {
+                imageUrl: new URL(src.trim(), baseUrl).href,
+                declaredWidth: this.parseDimension($('meta[property="og:image:width"]').first().attr('content')),
+                declaredHeight: this.parseDimension($('meta[property="og:image:height"]').first().attr('content'))
+            };
+        } catch (e) {
+            return null;
+        }
+    }
+
+    /**
+     * Parse a width or height: 1200, "1200", "1200px" or a QuantitativeValue
+     * @param {*} value - Declared dimension
+     * @returns {number|null}
+     */
+    parseDimension(value) {
+        if (value && typeof value === 'object') return this.parseDimension(value.value);
+
+        const match = String(value ?? '').trim().match(/^(\d+(?:\.\d+)?)(\s*px)?$/i);
+        return match ? Math.round(parseFloat(match[1])) : null;
+    }
+
+    /**
+     * Check the structured data images and og:image of a page
+     * Declared dimensions are trusted; otherwise the image is downloaded and decoded. Without
+     * loaders no request is made: only declared dimensions are checked and nothing is broken.
+     * @param {Function} $ - Cheerio root
+     * @param {string} baseUrl - Page URL
+     * @param {Object} loaders
+     * @param {Function} [loaders.probe] - imageUrl => Promise of image info (statusCode, errorType)
+     * @param {Function} [loaders.measure] - imageUrl => Promise of decoded {width, height}, or null
+     * @returns {Promise<{structuredDataImages: Array, openGraphImage: Object}>}
+     */
+    async analyzePage($, baseUrl, { probe = null, measure = null } = {}) {
+        const check = async ({ imageUrl, declaredWidth, declaredHeight }, isTooSmall) => {
+            let statusCode = null;
+            let errorType = null;
+            let unchecked = false;
+            if (probe) {
+                try {
+                    ({ statusCode, errorType = null, unchecked = false } = await probe(imageUrl));
+                } catch (error) {
+                    statusCode = 500;
+                }
+            }
+
+            const isBroken = statusCode >= 400 || !!errorType;
+            let width = declaredWidth;
+            let height = declaredHeight;
+            let dimensionsSource = width && height ? 'declared' : null;
+
+            // Images a local build audit did not request cannot be measured either
+            if (measure && !dimensionsSource && !isBroken && !unchecked) {
+                const dimensions = await this.measureDimensions(imageUrl, measure);
+                if (dimensions) {
+                    ({ width, height } = dimensions);
+                    dimensionsSource = 'decoded';
+                }
+            }
+
+            const issues = [];
+            if (isBroken) issues.push('broken');
+            if (dimensionsSource && isTooSmall(width, height)) issues.push('too_small');
+
+            return { imageUrl, statusCode, errorType, width, height, dimensionsSource, issues };
+        };
+
+        const structuredDataImages = await Promise.all(this.extractStructuredDataImages($, baseUrl).map(async image => ({
+            schemaType: image.schemaType,
+            ...await check(image, (width, height) => width * height < MIN_STRUCTURED_DATA_PIXELS)
+        })));
+
+        const ogImage = this.extractOpenGraphImage($, baseUrl);
+        const openGraphImage = ogImage
+            ? await check(ogImage, (width, height) => width < MIN_OG_IMAGE_WIDTH || height < MIN_OG_IMAGE_HEIGHT)
+            : { imageUrl: null, statusCode: null, errorType: null, width: null, height: null, dimensionsSource: null, issues: ['missing'] };
+
+        return { structuredDataImages, openGraphImage };
+    }
+
+    measureDimensions(imageUrl, measure) {
+        if (!this.measuredDimensions.has(imageUrl)) {
+            this.measuredDimensions.set(imageUrl, measure(imageUrl).catch(() => null));
+        }
+        return this.measuredDimensions.get(imageUrl);
+    }
+
+    /**
+     * Mark which content images are listed in the site's image sitemap
+     * Sets inImageSitemap on every checked image record.
+     * @param {Array} images - Analyzed images of the page
+     * @param {Set<string>} imageSitemapUrls - Image URLs from the image sitemap
+     * @returns {Array<{imageUrl: string, imageIndex: number}>} - Images missing from the sitemap
+     */
+    checkImageSitemap(images, imageSitemapUrls) {
+        const listed = new Set(Array.from(imageSitemapUrls, url => this.toHref(url)));
+
+        return images
+            .filter(image => SITEMAP_SOURCE_KINDS.includes(image.sourceKind) && image.statusCode < 400 && !image.imageUrl.startsWith('data:'))
+            .filter(image => {
+                image.inImageSitemap = listed.has(this.toHref(image.imageUrl)) || (!!image.finalUrl && listed.has(this.toHref(image.finalUrl)));
+                return !image.inImageSitemap;
+            })
+            .map(image => ({ imageUrl: image.imageUrl, imageIndex: image.imageIndex }));
+    }
+
+    toHref(url) {
+        try {
+            return new URL(url).href;
+        } catch (e) {
+            return url;
+        }
+    }
+
+    /**
+     * Aggregate image SEO signals across page results
+     * Images are counted once per URL; structured data and og:image issues are listed per page.
+     * @param {Array} results - Page results
+     * @returns {Object} - Domain-level image SEO signal report
+     */
+    summarize(results) {
+        const pages = results.filter(r => !r.error && Array.isArray(r.structuredDataImages));
+        const filenames = new Map();
+        const sitemapImages = new Map();
+
+        pages.forEach(r => {
+            (r.images || []).forEach(image => {
+                if (image.filenameIssue !== undefined) {
+                    if (!filenames.has(image.imageUrl)) filenames.set(image.imageUrl, { image, pages: [] });
+                    const entry = filenames.get(image.imageUrl);
+                    if (!entry.pages.includes(r.url)) entry.pages.push(r.url);
+                }
+
+                if (image.inImageSitemap !== undefined) {
+                    if (!sitemapImages.has(image.imageUrl)) sitemapImages.set(image.imageUrl, { image, pages: [] });
+                    const entry = sitemapImages.get(image.imageUrl);
+                    if (!entry.pages.includes(r.url)) entry.pages.push(r.url);
+                }
+            });
+        });
+
+        const nonDescriptive = Array.from(filenames.values()).filter(({ image }) => image.filenameIssue);
+        const filenameIssues = {};
+        nonDescriptive.forEach(({ image }) => {
+            filenameIssues[image.filenameIssue] = (filenameIssues[image.filenameIssue] || 0) + 1;
+        });
+
+        const structuredDataIssues = [];
+        pages.forEach(r => {
+            r.structuredDataImages.filter(image => image.issues.length > 0).forEach(image => {
+                structuredDataIssues.push({ page_url: r.url, schema_type: image.schemaType, image_url: image.imageUrl, width: image.width, height: image.height, issues: image.issues });
+            });
+        });
+
+        const ogImageIssues = pages
+            .filter(r => r.openGraphImage && r.openGraphImage.issues.length > 0)
+            .map(r => ({ page_url: r.url, image_url: r.openGraphImage.imageUrl, width: r.openGraphImage.width, height: r.openGraphImage.height, issues: r.openGraphImage.issues }));
+        const countOgIssue = issue => ogImageIssues.filter(entry => entry.issues.includes(issue)).length;
+
+        const sitemapEntries = Array.from(sitemapImages.values());
+        const missingFromSitemap = sitemapEntries.filter(({ image }) => !image.inImageSitemap);
+        const imagesInSitemap = sitemapEntries.length - missingFromSitemap.length;
+
+        return {
+            images_checked: filenames.size,
+            non_descriptive_filenames: nonDescriptive.length,
+            non_descriptive_filename_percentage: filenames.size > 0 ? Math.round((nonDescriptive.length / filenames.size) * 100) : 0,
+            filename_issues: filenameIssues,
+            pages_with_structured_data_images: pages.filter(r => r.structuredDataImages.length > 0).length,
+            structured_data_images: pages.reduce((sum, r) => sum + r.structuredDataImages.length, 0),
+            broken_structured_data_images: structuredDataIssues.filter(entry => entry.issues.includes('broken')).length,
+            small_structured_data_images: structuredDataIssues.filter(entry => entry.issues.includes('too_small')).length,
+            pages_without_og_image: countOgIssue('missing'),
+            broken_og_images: countOgIssue('broken'),
+            small_og_images: countOgIssue('too_small'),
+            image_sitemap_checked: pages.some(r => Array.isArray(r.imagesNotInSitemap)),
+            images_in_sitemap: imagesInSitemap,
+            images_not_in_sitemap: missingFromSitemap.length,
+            image_sitemap_coverage_percentage: sitemapEntries.length > 0 ? Math.round((imagesInSitemap / sitemapEntries.length) * 100) : 0,
+            min_structured_data_image_pixels: MIN_STRUCTURED_DATA_PIXELS,
+            min_og_image_width: MIN_OG_IMAGE_WIDTH,
+            min_og_image_height: MIN_OG_IMAGE_HEIGHT,
+            images_with_non_descriptive_filenames: nonDescriptive.map(({ image, pages: imagePages }) => ({
+                image_url: image.imageUrl,
+                issue: image.filenameIssue,
+                pages: imagePages
+            })),
+            structured_data_image_issues: structuredDataIssues,
+            og_image_issues: ogImageIssues,
+            images_missing_from_sitemap: missingFromSitemap.map(({ image, pages: imagePages }) => ({
+                image_url: image.imageUrl,
+                pages: imagePages
+            }))
+        };
+    }
+}
+
+module.exports = { ImageSeoSignalAnalyzer };
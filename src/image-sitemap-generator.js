@@ -0,0 +1,193 @@
+/**
+ * Image Sitemap Generator for SEO Image Optimization Checker
+ *
+ * @author MySmartDigital
+ * @description Builds a Google image sitemap from a site audit report: one <url> per crawled page,
+ * under its canonical URL or the URL it was served from after redirects, with an <image:image>
+ * entry for each of its <img> images. Sitemaps are split at 50,000 URLs (or 50 MB) and then listed
+ * in a sitemap index. Broken and decorative images can be left out.
+ */
+
+const SITEMAP_NAMESPACE = 'http://www.sitemaps.org/schemas/sitemap/0.9';
+const IMAGE_NAMESPACE = 'http://www.google.com/schemas/sitemap-image/1.1';
+
+// Limits of the sitemap protocol and of Google's image extension
+const MAX_URLS_PER_SITEMAP = 50000;
+const MAX_SITEMAP_BYTES = 50 * 1024 * 1024;
+const MAX_IMAGES_PER_URL = 1000;
+
+const CONTENT_TYPE = 'application/xml; charset=utf-8';
+
+class ImageSitemapGenerator {
+    /**
+     * @param {Object} options
+     * @param {boolean} options.excludeBrokenImages - Leave out images that answered 4xx/5xx or failed to load
+     * @param {boolean} options.excludeDecorativeImages - Leave out images classified as decorative
+     * @param {number} options.maxUrlsPerSitemap - Page URLs per sitemap file before splitting
+     */
+    constructor({ excludeBrokenImages = true, excludeDecorativeImages = true, maxUrlsPerSitemap = MAX_URLS_PER_SITEMAP } = {}) {
+        this.excludeBrokenImages = excludeBrokenImages;
+        this.excludeDecorativeImages = excludeDecorativeImages;
+        this.maxUrlsPerSitemap = Math.min(maxUrlsPerSitemap, MAX_URLS_PER_SITEMAP);
+    }
+
+    /**
+     * Pages of the report with the images to list, in crawl order
+     * Pages sharing a canonical URL are merged into one entry.
+     * @param {Object} report - SiteAudit report
+     * @returns {Array<{pageUrl: string, images: Array<{loc: string}>}>} - Pages without images are left out
+     */
+    collectEntries(report) {
+        const entries = new Map();
+
+        (report.pages || []).forEach(page => {
+            if (page.error || !this.isWebUrl(page.url)) return;
+            if (page.statusCode && (page.statusCode < 200 || page.statusCode >= 300)) return;
+
+            const pageUrl = this.getPageLoc(page);
+            if (!entries.has(pageUrl)) entries.set(pageUrl, { pageUrl, images: [], seenImages: new Set() });
+            const entry = entries.get(pageUrl);
+
+            (page.images || []).forEach(image => {
+                if (image.sourceKind !== 'img' || !this.isWebUrl(image.imageUrl) || entry.seenImages.has(image.imageUrl)) return;
+                if (this.excludeBrokenImages && (image.statusCode >= 400 || image.errorType || image.error)) return;
+                if (this.excludeDecorativeImages && image.accessibility && image.accessibility.isDecorative) return;
+
+                entry.seenImages.add(image.imageUrl);
+                entry.images.push({ loc: image.imageUrl });
+            });
+        });
+
+        return Array.from(entries.values())
+            .filter(entry => entry.images.length > 0)
+            .map(entry => ({ pageUrl: entry.pageUrl, images: entry.images.slice(0, MAX_IMAGES_PER_URL) }));
+    }
+
+    /**
+     * URL a page is listed under: its canonical URL, else the URL it was served from after
+     * redirects, so the sitemap does not list URLs that redirect (the crawler's normalized
+     * URLs drop trailing slashes)
+     * @param {Object} page - Page result
+     * @returns {string}
+     */
+    getPageLoc(page) {
+        if (this.isWebUrl(page.canonicalUrl)) return page.canonicalUrl;
+        if (this.isWebUrl(page.finalUrl)) return page.finalUrl;
+        return page.url;
+    }
+
+    /**
+     * Render the image sitemap files of a report
+     * A single sitemap is returned as IMAGE_SITEMAP; larger sites get IMAGE_SITEMAP_1..n and an
+     * IMAGE_SITEMAP_INDEX whose <loc> entries are the file names resolved against baseUrl.
+     * @param {Object} report - SiteAudit report
+     * @param {Object} options
+     * @param {string} options.baseUrl - URL the files will be published under (default: the site's root)
+     * @returns {{files: Array<{key: string, fileName: string, contentType: string, body: string}>, pages_count: number, images_count: number}} - files[0] is the file to submit
+     */
+    generate(report, { baseUrl } = {}) {
+        const entries = this.collectEntries(report);
+        const chunks = this.split(entries.map(entry => this.renderUrl(entry)));
+        const imagesCount = entries.reduce((sum, entry) => sum + entry.images.length, 0);
+
+        if (chunks.length <= 1) {
+            return {
+                files: [{ key: 'IMAGE_SITEMAP', fileName: 'image-sitemap.xml', contentType: CONTENT_TYPE, body: this.renderUrlset(chunks[0] || []) }],
+                pages_count: entries.length,
+                images_count: imagesCount
+            };
+        }
+
+        const sitemapBaseUrl = baseUrl || new URL('/', entries[0].pageUrl).href;
+        const sitemaps = chunks.map((urls, index) => ({
+            key: `IMAGE_SITEMAP_${index + 1}`,
+            fileName: `image-sitemap-${index + 1}.xml`,
+            contentType: CONTENT_TYPE,
+            body: this.renderUrlset(urls)
+        }));
+        const index = {
+            key: 'IMAGE_SITEMAP_INDEX',
+            fileName: 'image-sitemap-index.xml',
+            contentType: CONTENT_TYPE,
+            body: this.renderIndex(sitemaps.map(sitemap => new URL(sitemap.fileName, sitemapBaseUrl).href))
+        };
+
+        return { files: [index, ...sitemaps], pages_count: entries.length, images_count: imagesCount };
+    }
+
+    /**
+     * Group rendered <url> elements into sitemap files within the URL and size limits
+     * @param {string[]} urls - Rendered <url> elements
+     * @returns {string[][]}
+     */
+    split(urls) {
+        const envelopeBytes = Buffer.byteLength(this.renderUrlset([]));
+        const chunks = [];
+        let chunk = [];
+        let chunkBytes = envelopeBytes;
+
+        urls.forEach(url => {
+            const urlBytes = Buffer.byteLength(url) + 1;
+            if (chunk.length > 0 && (chunk.length >= this.maxUrlsPerSitemap || chunkBytes + urlBytes > MAX_SITEMAP_BYTES)) {
+                chunks.push(chunk);
+                chunk = [];
+                chunkBytes = envelopeBytes;
+            }
+            chunk.push(url);
+            chunkBytes += urlBytes;
+        });
+
+        if (chunk.length > 0) chunks.push(chunk);
+        return chunks;
+    }
+
+    renderUrl({ pageUrl, images }) {
+        const lines = ['  <url>', `    <loc>${this.escapeXml(pageUrl)}</loc>`];
+        // Google ignores the deprecated image:caption, image:title, image:geo_location and image:license tags
+        images.forEach(({ loc }) => {
+            lines.push('    <image:image>');
+            lines.push(`      <image:loc>${this.escapeXml(loc)}</image:loc>`);
+            lines.push('    </image:image>');
+        });
+        lines.push('  </url>');
+        return lines.join('\n');
+    }
+
+    renderUrlset(urls) {
+        return [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            `<urlset xmlns="${SITEMAP_NAMESPACE}" xmlns:image="${IMAGE_NAMESPACE}">`,
+            ...urls,
+            '</urlset>',
+            ''
+        ].join('\n');
+    }
+
+    renderIndex(sitemapUrls) {
+        const lastmod = new Date().toISOString();
+        return [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            `<sitemapindex xmlns="${SITEMAP_NAMESPACE}">`,
+            ...sitemapUrls.map(url => `  <sitemap>\n    <loc>${this.escapeXml(url)}</loc>\n    <lastmod>${lastmod}</lastmod>\n  </sitemap>`),
+            '</sitemapindex>',
+            ''
+        ].join('\n');
+    }
+
+    isWebUrl(url) {
+        return typeof url === 'string' && /^https?:\/\//i.test(url);
+    }
+
+    escapeXml(value) {
+        return String(value)
+            // Control characters are not allowed in XML 1.0
+            .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&apos;');
+    }
+}
+
+module.exports = { ImageSitemapGenerator };
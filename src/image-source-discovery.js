@@ -0,0 +1,219 @@
+/**
+ * Image Source Discovery for SEO Image Optimization Checker
+ *
+ * @author MySmartDigital
+ * @description Finds images that are not <img> elements: CSS background images in inline
+ * styles, <style> blocks and linked stylesheets, inline <svg> graphics, <input type="image">,
+ * <video poster> and og:image / twitter:image meta tags. Every candidate is tagged with a
+ * sourceKind so reports can break page weight down by where images come from.
+ */
+
+const axios = require('axios');
+
+// CSS properties that paint images (font and @import URLs are deliberately ignored)
+const IMAGE_DECLARATION = /(?:^|[;{\s])(?:background(?:-image)?|list-style(?:-image)?|border-image(?:-source)?|mask(?:-image)?|content)\s*:([^;{}]*)/gi;
+const CSS_URL = /url\(\s*(['"]?)([^'")]+)\1\s*\)/gi;
+
+// Kinds that carry an alt text alternative
+const ALT_BEARING_KINDS = ['img', 'input-image'];
+
+// Kinds the browser loads as page subresources (meta images are only read by crawlers)
+const SUBRESOURCE_KINDS = ['img', 'input-image', 'video-poster', 'css-inline', 'css-style-block', 'css-stylesheet'];
+
+class ImageSourceDiscovery {
+    /**
+     * @param {Object} options
+     * @param {RequestScheduler|null} options.scheduler - Schedules stylesheet requests with the audit's image requests
+     * @param {Map|null} options.stylesheetCache - Image URLs per stylesheet URL, shared by the pages of one audit
+     */
+    constructor({ userAgent = 'Mozilla/5.0 (compatible; SEO-Image-Optimization-Checker/1.0)', maxStylesheets = 10, timeout = 10000, localFileReader = null, scheduler = null, stylesheetCache = null } = {}) {
+        this.userAgent = userAgent;
+        this.localFileReader = localFileReader;
+        this.maxStylesheets = maxStylesheets;
+        this.timeout = timeout;
+        this.scheduler = scheduler;
+        this.stylesheetCache = stylesheetCache || new Map();
+    }
+
+    static supportsAlt(sourceKind) {
+        return ALT_BEARING_KINDS.includes(sourceKind);
+    }
+
+    static isSubresource(sourceKind) {
+        return SUBRESOURCE_KINDS.includes(sourceKind);
+    }
+
+    /**
+     * Extract image URLs from CSS declarations that paint images
+     * @param {string} css - Stylesheet or style attribute text
+     * @returns {string[]} - Raw (unresolved) URLs
+     */
+    extractCssImageUrls(css) {
+        const urls = [];
+        const text = String(css || '').replace(/\/\*[\s\S]*?\*\//g, '');
+        let declaration;
+
+        IMAGE_DECLARATION.lastIndex = 0;
+        while ((declaration = IMAGE_DECLARATION.exec(text)) !== null) {
+            let match;
+            CSS_URL.lastIndex = 0;
+            while ((match = CSS_URL.exec(declaration[1])) !== null) {
+                const url = match[2].trim();
+                if (url && !url.startsWith('#')) urls.push(url);
+            }
+        }
+
+        return urls;
+    }
+
+    /**
+     * Discover non-<img> image sources on a page
+     * @param {Function} $ - Cheerio root
+     * @param {string} baseUrl - Page URL
+     * @param {Set<string>} knownUrls - Resolved URLs already found as <img>; not reported again
+     * @returns {Promise<Array<{sourceKind: string, src: string, $el: Object|null, inlineSvgMarkup?: string}>>}
+     */
+    async discover($, baseUrl, knownUrls = new Set()) {
+        const candidates = [];
+        const seenUrls = new Set(knownUrls);
+
+        const addCandidate = (sourceKind, src, $el, resolveAgainst = baseUrl) => {
+            if (!src) return;
+
+            let resolvedUrl;
+            try {
+                resolvedUrl = new URL(src.trim(), resolveAgainst).href;
+            } catch (e) {
+                // Skip invalid URLs
+                return;
+            }
+
+            if (seenUrls.has(resolvedUrl)) return;
+            seenUrls.add(resolvedUrl);
+            candidates.push({ sourceKind, src: resolvedUrl, $el });
+        };
+
+        $('input[type="image" i][src]').each((i, el) => {
+            addCandidate('input-image', $(el).attr('src'), $(el));
+        });
+
+        $('video[poster]').each((i, el) => {
+            addCandidate('video-poster', $(el).attr('poster'), $(el));
+        });
+
+        $('[style*="url("]').each((i, el) => {
+            this.extractCssImageUrls($(el).attr('style')).forEach(url => addCandidate('css-inline', url, $(el)));
+        });
+
+        $('style').each((i, el) => {
+            this.extractCssImageUrls($(el).html()).forEach(url => addCandidate('css-style-block', url, null));
+        });
+
+        const stylesheetUrls = $('link[rel~="stylesheet" i][href]').toArray()
+            .map(el => {
+                try {
+                    return new URL($(el).attr('href'), baseUrl).href;
+                } catch (e) {
+                    return null;
+                }
+            })
+            .filter(Boolean)
+            .slice(0, this.maxStylesheets);
+
+        const stylesheetImageUrls = await Promise.all(stylesheetUrls.map(stylesheetUrl => this.getStylesheetImageUrls(stylesheetUrl)));
+        stylesheetUrls.forEach((stylesheetUrl, index) => {
+            // URLs inside a stylesheet are relative to the stylesheet, not the page
+            stylesheetImageUrls[index].forEach(url => addCandidate('css-stylesheet', url, null, stylesheetUrl));
+        });
+
+        // Top-level inline SVGs only; nested <svg> elements are part of their parent graphic
+        $('svg').filter((i, el) => $(el).parents('svg').length === 0).each((i, el) => {
+            candidates.push({
+                sourceKind: 'inline-svg',
+                src: `#inline-svg-${i + 1}`,
+                $el: $(el),
+                inlineSvgMarkup: $.html(el)
+            });
+        });
+
+        $('meta[property="og:image"], meta[property="og:image:url"], meta[property="og:image:secure_url"]').each((i, el) => {
+            addCandidate('meta-og-image', $(el).attr('content'), $(el));
+        });
+
+        $('meta[name="twitter:image"], meta[name="twitter:image:src"], meta[property="twitter:image"]').each((i, el) => {
+            addCandidate('meta-twitter-image', $(el).attr('content'), $(el));
+        });
+
+        return candidates;
+    }
+
+    /**
+     * Image URLs of a linked stylesheet, fetched and parsed once per stylesheet cache
+     * @param {string} stylesheetUrl - Absolute stylesheet URL
+     * @returns {Promise<string[]>} - Raw (unresolved) URLs
+     */
+    getStylesheetImageUrls(stylesheetUrl) {
+        if (!this.stylesheetCache.has(stylesheetUrl)) {
+            this.stylesheetCache.set(stylesheetUrl, this.fetchStylesheet(stylesheetUrl).then(css => this.extractCssImageUrls(css)));
+        }
+        return this.stylesheetCache.get(stylesheetUrl);
+    }
+
+    async fetchStylesheet(stylesheetUrl) {
+        if (this.localFileReader && stylesheetUrl.startsWith('file:')) {
+            return this.localFileReader.readText(stylesheetUrl);
+        }
+
+        // Local builds are audited without network; stylesheets on other hosts are not read
+        if (this.localFileReader) {
+            return '';
+        }
+
+        const request = () => axios.get(stylesheetUrl, {
+            headers: {
+                'User-Agent': this.userAgent,
+                'Accept': 'text/css,*/*;q=0.1'
+            },
+            timeout: this.timeout,
+            maxRedirects: 3,
+            responseType: 'text'
+        });
+
+        try {
+            // Per-host concurrency, rate limit and 429/503 backoff apply as to image requests
+            const response = await (this.scheduler ? this.scheduler.schedule(stylesheetUrl, request) : request());
+
+            return String(response.data || '');
+        } catch (error) {
+            console.warn(`Failed to fetch stylesheet ${stylesheetUrl}: ${error.message}`);
+            return '';
+        }
+    }
+
+    /**
+     * Count analyzed images per sourceKind across page results
+     * @param {Array} results - Page results
+     * @returns {Object} - Domain-level image source breakdown
+     */
+    summarize(results) {
+        const sourceKinds = {};
+        const sizeBySourceKind = {};
+
+        results.forEach(r => {
+            (r.images || []).forEach(image => {
+                const sourceKind = image.sourceKind || 'img';
+                sourceKinds[sourceKind] = (sourceKinds[sourceKind] || 0) + 1;
+                sizeBySourceKind[sourceKind] = (sizeBySourceKind[sourceKind] || 0) + (image.sizeInBytes || 0);
+            });
+        });
+
+        return {
+            source_kinds: sourceKinds,
+            size_by_source_kind_kb: Object.fromEntries(
+                Object.entries(sizeBySourceKind).map(([kind, bytes]) => [kind, Math.round((bytes / 1000) * 100) / 100])
+            )
+        };
+    }
+}
+
+module.exports = { ImageSourceDiscovery };
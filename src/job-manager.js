@@ -0,0 +1,122 @@
+/**
+ * Job Manager for SEO Image Optimization Checker
+ *
+ * @author MySmartDigital
+ * @description Runs site audits in the background for the local API server. Each job wraps a
+ * SiteAudit, keeps the pages completed so far for progress reporting and late subscribers,
+ * emits every page as it completes and can be cancelled. Finished jobs are kept for a
+ * retention period and then dropped.
+ */
+
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const { SiteAudit } = require('./site-audit');
+
+const FINISHED_STATUSES = ['completed', 'failed', 'cancelled'];
+
+class JobManager {
+    constructor({ retentionMs = 60 * 60 * 1000 } = {}) {
+        this.retentionMs = retentionMs;
+        this.jobs = new Map();
+    }
+
+    /**
+     * Start a site audit in the background
+     * @param {Object} options - SiteAudit options; onPage/onError hooks are chained after the job's own
+     * @returns {Object} - The job
+     */
+    create(options) {
+        const job = {
+            id: crypto.randomUUID(),
+            status: 'running',
+            createdAt: new Date().toISOString(),
+            finishedAt: null,
+            startUrl: options.startUrl,
+            pages: [],
+            report: null,
+            error: null,
+            events: new EventEmitter(),
+            siteAudit: null
+        };
+
+        // Any number of clients may stream the same job
+        job.events.setMaxListeners(0);
+
+        job.siteAudit = new SiteAudit({
+            ...options,
+            onPage: async (page) => {
+                job.pages.push(page);
+                job.events.emit('page', page);
+                if (options.onPage) await options.onPage(page);
+            },
+            onError: async (errorPage, error) => {
+                job.pages.push(errorPage);
+                job.events.emit('page', errorPage);
+                if (options.onError) await options.onError(errorPage, error);
+            }
+        });
+
+        this.jobs.set(job.id, job);
+
+        job.siteAudit.run()
+            .then(report => {
+                job.report = report;
+                job.status = report.analysis.cancelled ? 'cancelled' : 'completed';
+            })
+            .catch(error => {
+                console.error(`Job ${job.id} failed:`, error.message);
+                job.error = error.message;
+                job.status = 'failed';
+            })
+            .finally(() => {
+                job.finishedAt = new Date().toISOString();
+                job.events.emit('end', job);
+
+                const cleanup = setTimeout(() => this.jobs.delete(job.id), this.retentionMs);
+                cleanup.unref();
+            });
+
+        return job;
+    }
+
+    get(id) {
+        return this.jobs.get(id) || null;
+    }
+
+    isFinished(job) {
+        return FINISHED_STATUSES.includes(job.status);
+    }
+
+    /**
+     * Cancel a running job
+     * @param {string} id - Job ID
+     * @returns {Object|null} - The job, or null when it does not exist
+     */
+    cancel(id) {
+        const job = this.get(id);
+        if (job && !this.isFinished(job)) {
+            job.siteAudit.cancel();
+        }
+        return job;
+    }
+
+    /**
+     * Public job status with live progress
+     * @param {Object} job - Job
+     * @returns {Object}
+     */
+    describe(job) {
+        return {
+            job_id: job.id,
+            status: job.status,
+            start_url: job.startUrl,
+            created_at: job.createdAt,
+            finished_at: job.finishedAt,
+            progress: job.siteAudit.getProgress(),
+            error: job.error,
+            domain: job.report ? job.report.domain : null
+        };
+    }
+}
+
+module.exports = { JobManager };
@@ -0,0 +1,205 @@
+/**
+ * Local File Reader for SEO Image Optimization Checker
+ *
+ * @author MySmartDigital
+ * @description Serves file:// pages, images and stylesheets from a static build directory so a
+ * site can be audited before it is deployed, without any network. Pages are addressed as
+ * file:///<path inside the build directory>, so root-relative references (/images/logo.png)
+ * resolve as they would on the deployed site, and nothing outside the directory is read.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const CONTENT_TYPES = {
+    '.html': 'text/html',
+    '.htm': 'text/html',
+    '.css': 'text/css',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.png': 'image/png',
+    '.gif': 'image/gif',
+    '.webp': 'image/webp',
+    '.avif': 'image/avif',
+    '.svg': 'image/svg+xml',
+    '.bmp': 'image/bmp',
+    '.ico': 'image/x-icon',
+    '.tif': 'image/tiff',
+    '.tiff': 'image/tiff'
+};
+
+const HTML_EXTENSIONS = ['.html', '.htm'];
+
+// Directories of a build tree that never contain pages
+const IGNORED_DIRECTORIES = ['node_modules'];
+
+class LocalFileReader {
+    /**
+     * @param {Object} options
+     * @param {string} options.rootDir - Build directory; every file read must be inside it
+     */
+    constructor({ rootDir }) {
+        if (!rootDir) {
+            throw new Error('rootDir is required to read local files');
+        }
+        this.rootDir = path.resolve(rootDir);
+        try {
+            this.realRootDir = fs.realpathSync(this.rootDir);
+        } catch (error) {
+            this.realRootDir = this.rootDir;
+        }
+    }
+
+    static isFileUrl(url) {
+        return typeof url === 'string' && url.startsWith('file:');
+    }
+
+    /**
+     * List the HTML pages of a build directory, or a single HTML file
+     * @param {string} target - Directory or HTML file
+     * @returns {Promise<{rootDir: string, urls: string[]}>} - file:// page URLs, shallowest first with index pages leading
+     */
+    static async findPages(target) {
+        const targetPath = path.resolve(target);
+        const stat = await fs.promises.stat(targetPath);
+
+        if (!stat.isDirectory()) {
+            return { rootDir: path.dirname(targetPath), urls: [LocalFileReader.toFileUrl([path.basename(targetPath)])] };
+        }
+
+        const files = [];
+        const walk = async (dir) => {
+            const entries = await fs.promises.readdir(dir, { withFileTypes: true });
+            for (const entry of entries) {
+                const entryPath = path.join(dir, entry.name);
+                if (entry.isDirectory()) {
+                    if (!entry.name.startsWith('.') && !IGNORED_DIRECTORIES.includes(entry.name)) {
+                        await walk(entryPath);
+                    }
+                } else if (HTML_EXTENSIONS.includes(path.extname(entry.name).toLowerCase())) {
+                    files.push(path.relative(targetPath, entryPath).split(path.sep));
+                }
+            }
+        };
+        await walk(targetPath);
+
+        const isIndex = segments => /^index\.html?$/i.test(segments[segments.length - 1]);
+        files.sort((a, b) => a.length - b.length || isIndex(b) - isIndex(a) || a.join('/').localeCompare(b.join('/')));
+
+        return { rootDir: targetPath, urls: files.map(segments => LocalFileReader.toFileUrl(segments)) };
+    }
+
+    static toFileUrl(segments) {
+        return new URL(segments.map(encodeURIComponent).join('/'), 'file:///').href;
+    }
+
+    /**
+     * Check that a file lies inside the build directory once symlinks are resolved
+     * @param {string} filePath - Existing file path
+     * @returns {boolean}
+     */
+    isInsideRoot(filePath) {
+        let realPath;
+        try {
+            realPath = fs.realpathSync(filePath);
+        } catch (error) {
+            return false;
+        }
+
+        const relative = path.relative(this.realRootDir, realPath);
+        return !relative.startsWith('..') && !path.isAbsolute(relative);
+    }
+
+    /**
+     * Map a file:// URL to an existing file of the build directory
+     * Directory URLs resolve to their index.html, extensionless URLs also try <name>.html.
+     * @param {string} url - file:// URL
+     * @returns {Promise<string|null>} - File path, or null when the file is missing or outside the build directory
+     */
+    async resolveFile(url) {
+        let filePath;
+        try {
+            filePath = path.join(this.rootDir, ...decodeURIComponent(new URL(url).pathname).split('/'));
+        } catch (error) {
+            return null;
+        }
+
+        const candidates = [filePath, path.join(filePath, 'index.html')];
+        if (!path.extname(filePath)) candidates.push(`${filePath}.html`);
+
+        for (const candidate of candidates) {
+            try {
+                const stat = await fs.promises.stat(candidate);
+                // A symlink inside the build must not lead to a file outside it
+                if (stat.isFile() && this.isInsideRoot(candidate)) return candidate;
+            } catch (error) {
+                // Try the next candidate
+            }
+        }
+        return null;
+    }
+
+    getContentType(filePathOrUrl, fallback = 'image/unknown') {
+        const pathname = LocalFileReader.isFileUrl(filePathOrUrl) ? new URL(filePathOrUrl).pathname : filePathOrUrl;
+        return CONTENT_TYPES[path.extname(pathname).toLowerCase()] || fallback;
+    }
+
+    /**
+     * Read a page
+     * @param {string} url - file:// page URL
+     * @returns {Promise<{html: string, statusCode: number}>} - 404 with empty HTML when the file is missing
+     */
+    async readPage(url) {
+        const filePath = await this.resolveFile(url);
+        if (!filePath) {
+            return { html: '', statusCode: 404 };
+        }
+
+        return { html: await fs.promises.readFile(filePath, 'utf8'), statusCode: 200 };
+    }
+
+    /**
+     * Image information in the shape returned by PageImagesAnalyzer.detectImageInfo
+     * @param {string} url - file:// image URL
+     * @returns {Promise<Object>} - Content type, size and status code (404 when the file is missing)
+     */
+    async probe(url) {
+        const filePath = await this.resolveFile(url);
+        const sizeInBytes = filePath ? (await fs.promises.stat(filePath)).size : 0;
+
+        return {
+            contentType: this.getContentType(filePath || url),
+            sizeInBytes,
+            sizeInKb: Math.round((sizeInBytes / 1000) * 100) / 100,
+            statusCode: filePath ? 200 : 404,
+            finalUrl: url,
+            redirectCount: 0,
+            redirectChain: [],
+            errorType: null,
+            contentTypeMismatch: false
+        };
+    }
+
+    /**
+     * Read image bytes, in the shape returned by PageImagesAnalyzer.downloadImage
+     * @param {string} url - file:// image URL
+     * @returns {Promise<{buffer: Buffer, contentType: string, statusCode: number}|null>} - null when the file is missing
+     */
+    async download(url) {
+        const filePath = await this.resolveFile(url);
+        if (!filePath) return null;
+
+        return {
+            buffer: await fs.promises.readFile(filePath),
+            contentType: this.getContentType(filePath),
+            statusCode: 200
+        };
+    }
+
+    async readText(url) {
+        const filePath = await this.resolveFile(url);
+        return filePath ? fs.promises.readFile(filePath, 'utf8') : '';
+    }
+}
+
+module.exports = { LocalFileReader };
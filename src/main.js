@@ -7,9 +7,15 @@
  */
 
 const { Actor } = require('apify');
-const axios = require('axios');
-const { PageImagesAnalyzer } = require('./page-images-analyzer');
-const { URLNormalizer } = require('./url-normalizer');
+const { SiteAudit } = require('./site-audit');
+const { ImageInfoCache } = require('./image-info-cache');
+const { ReportExporter } = require('./report-exporter');
+const { ImageSitemapGenerator } = require('./image-sitemap-generator');
+
+// Named key-value store so cached image info survives between runs
+const IMAGE_INFO_CACHE_STORE = 'page-images-image-info-cache';
+
+const OUTPUT_MODES = ['report', 'pages', 'pages_and_images'];
 
 Actor.main(async () => {
     const input = await Actor.getInput();
@@ -21,271 +27,175 @@ Actor.main(async () => {
         includeImageSizeAnalysis = true,
         includeAltTextAnalysis = true,
         userAgent = 'Mozilla/5.0 (compatible; SEO-Image-Optimization-Checker/1.0)',
-        waitForPageLoad = 3000
+        waitForPageLoad = 3000,
+        renderMode = 'static',
+        respectRobotsTxt = true,
+        discoveryMode = 'links',
+        urlList = [],
+        includeIntrinsicDimensions = false,
+        oversizedImageThreshold = 1.5,
+        includeAllImageSources = true,
+        includeFormatSavingsEstimate = false,
+        conversionQuality = 75,
+        includeCompressionAudit = false,
+        includeDuplicateDetection = false,
+        checkImageSitemap = false,
+        maxConcurrency = 5,
+        maxConcurrencyPerHost = 4,
+        maxRequestsPerSecond = 10,
+        persistImageInfoCache = false,
+        exportFormats = [],
+        generateImageSitemap = false,
+        imageSitemapBaseUrl = null,
+        imageSitemapExcludeBroken = true,
+        imageSitemapExcludeDecorative = true,
+        outputMode = 'report',
+        previousOutput = null,
+        previousKeyValueStoreId = null,
+        previousOutputKey = 'OUTPUT',
+        sizeRegressionThreshold = 10,
+        scoringRules = {},
+        failOnThresholds = false
     } = input;
 
     console.log('Starting SEO Image Optimization Analysis...');
     console.log('Input:', JSON.stringify(input, null, 2));
 
     // Validate input
-    if (!startUrl) {
-        throw new Error('startUrl is required');
+    const validationError = SiteAudit.validate({ startUrl, renderMode, discoveryMode, exportFormats, scoringRules, imageSitemapBaseUrl });
+    if (validationError) {
+        throw new Error(validationError.message);
     }
 
-    // Initialize components
-    const pageImagesAnalyzer = new PageImagesAnalyzer();
-    const urlNormalizer = new URLNormalizer();
-
-    try {
-        // Extract domain from start URL
-        const domain = new URL(startUrl).hostname;
-        console.log(`Analyzing images for domain: ${domain}`);
+    if (!OUTPUT_MODES.includes(outputMode)) {
+        throw new Error(`Invalid outputMode "${outputMode}". Use "report", "pages" or "pages_and_images".`);
+    }
 
-        const results = [];
-        const visitedUrls = new Set();
-        // Normalize start URL before adding to processing queue
-        const normalizedStartUrl = urlNormalizer.normalize(startUrl);
-        const urlsToProcess = [normalizedStartUrl];
-        let processedCount = 0;
-        let pagesAnalyzedCount = 0; // Track billable events for monetization
-        
-        // Determine the maximum pages to process
-        const effectiveMaxPages = crawlUrls ? maxPages : 1;
-        
-        console.log(`Crawl mode: ${crawlUrls ? 'Multi-page crawling enabled' : 'Single page analysis only'}`);
-        console.log(`Maximum pages to process: ${effectiveMaxPages}`);
-        
-        while (urlsToProcess.length > 0 && processedCount < effectiveMaxPages) {
-            const currentUrl = urlsToProcess.shift();
-            
-            // Check if already visited (currentUrl is already normalized)
-            if (visitedUrls.has(currentUrl)) {
-                console.log(`Skipping already processed URL: ${currentUrl}`);
-                continue;
-            }
-            visitedUrls.add(currentUrl);
-            
-            console.log(`Processing: ${currentUrl} (${processedCount + 1}/${effectiveMaxPages})`);
-            
-            try {
-                // Fetch page content using axios
-                const response = await axios.get(currentUrl, {
-                    headers: {
-                        'User-Agent': userAgent,
-                        'Accept-Language': 'en-US,en;q=0.9',
-                        'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/webp,*/*;q=0.8'
-                    },
-                    timeout: 30000,
-                    maxRedirects: 5,
-                    validateStatus: function (status) {
-                        return status < 500; // Accept all status codes below 500
-                    }
-                });
+    // In the per-item modes pages (and images) are pushed to the dataset as they complete
+    const pushPages = outputMode !== 'report';
+    const pushImages = outputMode === 'pages_and_images';
+
+    // Report of an earlier run to compare against, given inline or as a key-value store record
+    let previousReport = previousOutput;
+    if (!previousReport && previousKeyValueStoreId) {
+        const previousStore = await Actor.openKeyValueStore(previousKeyValueStoreId);
+        previousReport = await previousStore.getValue(previousOutputKey);
+        if (!previousReport) {
+            throw new Error(`No "${previousOutputKey}" record found in key-value store "${previousKeyValueStoreId}"`);
+        }
+    }
 
-                const html = response.data;
-                const statusCode = response.status;
-                
-                // Use normalized URL (currentUrl is already normalized)
-                const normalizedUrl = currentUrl;
-                
-                // Perform comprehensive image analysis
-                const imageData = await pageImagesAnalyzer.analyzePage({
-                    url: normalizedUrl,
-                    html,
-                    maxImagesPerPage,
-                    includeImageSizeAnalysis,
-                    includeAltTextAnalysis,
-                    userAgent
-                });
-                
-                // Add status code to result
-                const result = {
-                    ...imageData,
-                    statusCode: statusCode,
-                    analysis_date: new Date().toISOString(),
-                    data_source: 'msd_page_images'
-                };
+    let pagesAnalyzedCount = 0; // Track billable events for monetization
 
-                results.push(result);
-                
+    try {
+        const siteAudit = new SiteAudit({
+            startUrl,
+            crawlUrls,
+            maxPages,
+            maxImagesPerPage,
+            includeImageSizeAnalysis,
+            includeAltTextAnalysis,
+            userAgent,
+            waitForPageLoad,
+            renderMode,
+            respectRobotsTxt,
+            discoveryMode,
+            urlList,
+            includeIntrinsicDimensions,
+            oversizedImageThreshold,
+            includeAllImageSources,
+            includeFormatSavingsEstimate,
+            conversionQuality,
+            includeCompressionAudit,
+            includeDuplicateDetection,
+            checkImageSitemap,
+            maxConcurrency,
+            maxConcurrencyPerHost,
+            maxRequestsPerSecond,
+            // Image probes are shared across pages and optionally persisted between runs
+            imageInfoCache: persistImageInfoCache
+                ? new ImageInfoCache({ keyValueStore: await Actor.openKeyValueStore(IMAGE_INFO_CACHE_STORE) })
+                : null,
+            persistImageInfoCache,
+            previousReport,
+            sizeRegressionThreshold,
+            scoringRules,
+            onImage: pushImages
+                ? (image, page) => Actor.pushData({ type: 'image', page_url: page.url, ...image })
+                : null,
+            onPage: async (page) => {
                 // Track this page analysis as a billable event for monetization
                 const currentCount = (await Actor.getValue('PAGE_ANALYZED')) || 0;
                 await Actor.setValue('PAGE_ANALYZED', currentCount + 1);
                 pagesAnalyzedCount++;
-                
-                console.log(`Completed analysis for: ${normalizedUrl} (Status: ${statusCode})`);
-                console.log(`Images found: ${imageData.totalImagesFound}, Analyzed: ${imageData.imagesAnalyzed}`);
-                console.log(`Images without alt: ${imageData.imagesWithoutAltCount}`);
-                
-                // If crawling is enabled, extract internal links for further processing
-                if (crawlUrls && imageData._internalLinks && imageData._internalLinks.length > 0) {
-                    const baseDomain = new URL(normalizedUrl).origin;
-                    
-                    for (const linkObj of imageData._internalLinks) {
-                        try {
-                            const link = linkObj.url || linkObj; // Handle both object and string formats
-                            let fullUrl;
-                            if (link.startsWith('http')) {
-                                fullUrl = link;
-                            } else if (link.startsWith('/')) {
-                                fullUrl = baseDomain + link;
-                            } else {
-                                fullUrl = new URL(link, normalizedUrl).href;
-                            }
-                            
-                            const normalizedLink = urlNormalizer.normalize(fullUrl);
-                            
-                            // Only add if it's from the same domain and not already visited
-                            if (normalizedLink.startsWith(baseDomain) && 
-                                !visitedUrls.has(normalizedLink) && 
-                                !urlsToProcess.includes(normalizedLink)) {
-                                urlsToProcess.push(normalizedLink);
-                                console.log(`Added to crawl queue: ${normalizedLink}`);
-                            }
-                        } catch (e) {
-                            // Skip invalid URLs
-                            continue;
-                        }
-                    }
-                }
-                
-                processedCount++;
-                
-            } catch (error) {
-                console.error(`Error analyzing ${currentUrl}:`, error.message);
 
-                // Determine status code based on error type
-                let statusCode = 500; // Default to server error
-                if (error.response) {
-                    statusCode = error.response.status;
-                } else if (error.code === 'ENOTFOUND' || error.code === 'ECONNREFUSED') {
-                    statusCode = 404; // DNS resolution failed or connection refused
-                } else if (error.code === 'ETIMEDOUT') {
-                    statusCode = 408; // Request timeout
-                } else if (error.code === 'ECONNRESET') {
-                    statusCode = 503; // Connection reset
+                if (pushPages) {
+                    // Images already have their own items in pages_and_images mode
+                    const { images, ...pageFields } = page;
+                    await Actor.pushData({ type: 'page', ...(pushImages ? pageFields : page) });
                 }
+            },
+            onError: pushPages
+                ? (errorPage) => Actor.pushData({ type: 'page', ...errorPage })
+                : null
+        });
+
+        const finalOutput = await siteAudit.run();
+        const domainAnalysis = finalOutput.domain;
+
+        if (pushPages) {
+            // Pages are already in the dataset; OUTPUT keeps the domain summary only
+            const { pages, ...summary } = finalOutput;
+            await Actor.setValue('OUTPUT', summary);
+        } else {
+            // Set the comprehensive result as the main output
+            await Actor.setValue('OUTPUT', finalOutput);
+
+            // Also push to dataset for compatibility
+            await Actor.pushData(finalOutput);
+        }
 
-                // Add error result
-                results.push({
-                    url: currentUrl,
-                    error: error.message,
-                    statusCode: statusCode,
-                    analysis_date: new Date().toISOString(),
-                    data_source: 'msd_page_images'
-                });
-            }
+        // Write the requested exports next to OUTPUT
+        const reportExporter = new ReportExporter();
+        for (const format of exportFormats) {
+            const { key, contentType, body } = reportExporter.export(finalOutput, format);
+            await Actor.setValue(key, body, { contentType });
+            console.log(`Export written: ${format} -> ${key}`);
         }
-        
-        // Calculate domain-level analysis
-        const domainAnalysis = calculateDomainAnalysis(results);
 
-        // Create comprehensive result structure
-        const finalOutput = {
-            domain: domainAnalysis,
-            pages: results,
-            analysis: {
-                total_pages_processed: results.length,
-                analysis_completed_at: new Date().toISOString(),
-                images_engine_version: '1.0.0',
-                data_format_version: '1.0'
+        if (generateImageSitemap) {
+            const imageSitemapGenerator = new ImageSitemapGenerator({
+                excludeBrokenImages: imageSitemapExcludeBroken,
+                excludeDecorativeImages: imageSitemapExcludeDecorative
+            });
+            const imageSitemap = imageSitemapGenerator.generate(finalOutput, { baseUrl: imageSitemapBaseUrl });
+            for (const { key, contentType, body } of imageSitemap.files) {
+                await Actor.setValue(key, body, { contentType });
             }
-        };
-
-        // Set the comprehensive result as the main output
-        await Actor.setValue('OUTPUT', finalOutput);
-        
-        // Also push to dataset for compatibility
-        await Actor.pushData(finalOutput);
+            console.log(`Image sitemap written: ${imageSitemap.images_count} images on ${imageSitemap.pages_count} pages -> ${imageSitemap.files.map(file => file.key).join(', ')}`);
+        }
 
         // Usage counters are already incremented per page above
 
-        console.log(`Page Images Analysis completed! Processed ${results.length} pages.`);
+        console.log(`Page Images Analysis completed! Processed ${finalOutput.pages.length} pages.`);
+        console.log(`Skipped by robots.txt: ${finalOutput.skipped_urls.length}`);
         console.log(`Total images found: ${domainAnalysis.total_images_found}`);
         console.log(`Images without alt text: ${domainAnalysis.total_images_without_alt}`);
         console.log(`Average images per page: ${domainAnalysis.average_images_per_page}`);
+        if (finalOutput.comparison) {
+            const { comparison } = finalOutput;
+            console.log(`Compared with previous run: ${comparison.new_images_count} new images, ${comparison.removed_images_count} removed, ${comparison.images_lost_alt_count} lost alt text, ${comparison.newly_broken_images_count} newly broken, ${comparison.size_regressions_count} size regressions`);
+        }
         console.log(`Billable events (pages analyzed): ${pagesAnalyzedCount}`);
 
+        // Fail the run (non-zero exit code) so CI pipelines can gate on the thresholds
+        const imageSeoScore = domainAnalysis.image_seo_score;
+        if (failOnThresholds && !imageSeoScore.passed) {
+            await Actor.fail(`Image SEO thresholds breached (score ${imageSeoScore.score}): ${imageSeoScore.violations.map(v => v.rule).join(', ')}`);
+        }
+
     } catch (error) {
         console.error('General error:', error);
         throw error;
     }
 });
-
-// Domain-level analysis calculation
-function calculateDomainAnalysis(results) {
-    console.log('Calculating domain-level analysis...');
-
-    // Extract domain from first result
-    const firstUrl = results[0]?.url || '';
-    const domain = firstUrl ? new URL(firstUrl).hostname : '';
-
-    // Calculate domain-level metrics
-    const totalPages = results.length;
-    const successfulPages = results.filter(r => !r.error && r.statusCode >= 200 && r.statusCode < 300).length;
-    const errorPages = results.filter(r => r.error || r.statusCode >= 400).length;
-
-    // Image statistics
-    const totalImagesFound = results.reduce((sum, r) => sum + (r.totalImagesFound || 0), 0);
-    const totalImagesAnalyzed = results.reduce((sum, r) => sum + (r.imagesAnalyzed || 0), 0);
-    const totalImagesWithoutAlt = results.reduce((sum, r) => sum + (r.imagesWithoutAltCount || 0), 0);
-    const totalImageSize = results.reduce((sum, r) => sum + (r.totalImageSize || 0), 0);
-
-    // Image type aggregation
-    const imageTypes = {};
-    results.forEach(r => {
-        if (r.imageTypes) {
-            Object.entries(r.imageTypes).forEach(([type, count]) => {
-                imageTypes[type] = (imageTypes[type] || 0) + count;
-            });
-        }
-    });
-
-    // Calculate averages
-    const averageImagesPerPage = totalPages > 0 ? Math.round((totalImagesFound / totalPages) * 100) / 100 : 0;
-    const averageImageSize = totalImagesAnalyzed > 0 ? Math.round(totalImageSize / totalImagesAnalyzed) : 0;
-    const imagesWithoutAltPercentage = totalImagesAnalyzed > 0 ? Math.round((totalImagesWithoutAlt / totalImagesAnalyzed) * 100) : 0;
-
-    // Compile domain analysis
-    const domainAnalysis = {
-        domain_name: domain,
-        total_pages_analyzed: totalPages,
-        pages_with_successful_status: successfulPages,
-        pages_with_successful_status_percentage: Math.round((successfulPages / totalPages) * 100),
-        pages_with_error_status: errorPages,
-        pages_with_error_status_percentage: Math.round((errorPages / totalPages) * 100),
-
-        // Image statistics
-        total_images_found: totalImagesFound,
-        total_images_analyzed: totalImagesAnalyzed,
-        total_images_without_alt: totalImagesWithoutAlt,
-        total_images_without_alt_percentage: imagesWithoutAltPercentage,
-        total_image_size_bytes: totalImageSize,
-        total_image_size_kb: Math.round((totalImageSize / 1000) * 100) / 100,
-        average_images_per_page: averageImagesPerPage,
-        average_image_size_bytes: averageImageSize,
-        average_image_size_kb: Math.round((averageImageSize / 1000) * 100) / 100,
-
-        // Image types breakdown
-        image_types: imageTypes,
-        most_common_image_type: Object.keys(imageTypes).reduce((a, b) => imageTypes[a] > imageTypes[b] ? a : b, 'unknown'),
-
-        // Optimization recommendations
-        optimization_recommendations: {
-            images_without_alt: totalImagesWithoutAlt,
-            images_without_alt_percentage: imagesWithoutAltPercentage,
-            needs_alt_text_optimization: totalImagesWithoutAlt > 0,
-            total_size_kb: Math.round((totalImageSize / 1000) * 100) / 100,
-            average_size_kb: Math.round((averageImageSize / 1000) * 100) / 100
-        }
-    };
-
-    console.log(`Domain Analysis Summary:`);
-    console.log(`- Domain: ${domain}`);
-    console.log(`- Total Images Found: ${totalImagesFound}`);
-    console.log(`- Images Without Alt: ${totalImagesWithoutAlt} (${imagesWithoutAltPercentage}%)`);
-    console.log(`- Average Images per Page: ${averageImagesPerPage}`);
-    console.log(`- Total Image Size: ${Math.round((totalImageSize / 1000) * 100) / 100} KB`);
-
-    return domainAnalysis;
-}
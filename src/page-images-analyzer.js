@@ -9,20 +9,67 @@
 
 const cheerio = require('cheerio');
 const axios = require('axios');
+const { ResponsiveImageAnalyzer } = require('./responsive-image-analyzer');
+const { ImageDimensionAnalyzer } = require('./image-dimension-analyzer');
+const { AltTextQualityAnalyzer } = require('./alt-text-quality-analyzer');
+const { ImageAccessibilityAnalyzer } = require('./image-accessibility-analyzer');
+const { ImageSourceDiscovery } = require('./image-source-discovery');
+const { FormatSavingsEstimator } = require('./format-savings-estimator');
+const { ImageByteInspector } = require('./image-byte-inspector');
+const { RequestScheduler } = require('./request-scheduler');
+const { ImagePerformanceAnalyzer } = require('./image-performance-analyzer');
+const { ImageDeliveryAnalyzer } = require('./image-delivery-analyzer');
+const { ImageSeoSignalAnalyzer } = require('./image-seo-signal-analyzer');
+const { ImageDuplicateDetector } = require('./image-duplicate-detector');
+
+const MAX_IMAGE_REDIRECTS = 5;
+// application/octet-stream is common for images on object storage and is not treated as a mismatch
+const IMAGE_CONTENT_TYPE = /^\s*(image\/|application\/octet-stream)/i;
 
 class PageImagesAnalyzer {
-    constructor() {
+    /**
+     * @param {Object} options
+     * @param {LocalFileReader|null} options.localFileReader - Serves file:// pages' images and stylesheets from disk
+     */
+    constructor({ localFileReader = null } = {}) {
         this.cheerio = cheerio;
+        this.localFileReader = localFileReader;
+        this.responsiveImageAnalyzer = new ResponsiveImageAnalyzer();
+        this.altTextQualityAnalyzer = new AltTextQualityAnalyzer();
+        this.imageAccessibilityAnalyzer = new ImageAccessibilityAnalyzer();
+        this.imagePerformanceAnalyzer = new ImagePerformanceAnalyzer();
+        this.imageDeliveryAnalyzer = new ImageDeliveryAnalyzer();
+        this.imageSeoSignalAnalyzer = new ImageSeoSignalAnalyzer();
+        // Byte-level results per image URL, shared by every page this analyzer sees (one audit)
+        this.imageBytesResults = new Map();
+        // Image URLs per linked stylesheet, so stylesheets shared by every page are fetched once
+        this.stylesheetImageUrls = new Map();
     }
 
-    async analyzePage({ url, html, maxImagesPerPage = -1, includeImageSizeAnalysis = true, includeAltTextAnalysis = true, userAgent = 'Mozilla/5.0 (compatible; SEO-Image-Optimization-Checker/1.0)' }) {
+    async analyzePage({ url, html, maxImagesPerPage = -1, includeImageSizeAnalysis = true, includeAltTextAnalysis = true, userAgent = 'Mozilla/5.0 (compatible; SEO-Image-Optimization-Checker/1.0)', includeIntrinsicDimensions = false, oversizedImageThreshold = 1.5, renderedImages = [], includeAllImageSources = true, includeFormatSavingsEstimate = false, conversionQuality = 75, includeCompressionAudit = false, includeDuplicateDetection = false, requestScheduler = null, imageInfoCache = null, imageSitemapUrls = null }) {
         const $ = this.cheerio.load(html);
         
         // Basic page information
         const pageInfo = this.extractPageInfo($, url);
         
         // Images analysis
-        const imagesAnalysis = await this.analyzeImages($, url, maxImagesPerPage, includeImageSizeAnalysis, includeAltTextAnalysis, userAgent);
+        const imagesAnalysis = await this.analyzeImages($, url, {
+            maxImagesPerPage,
+            includeImageSizeAnalysis,
+            includeAltTextAnalysis,
+            userAgent,
+            includeIntrinsicDimensions,
+            oversizedImageThreshold,
+            renderedImages,
+            includeAllImageSources,
+            includeFormatSavingsEstimate,
+            conversionQuality,
+            includeCompressionAudit,
+            includeDuplicateDetection,
+            requestScheduler,
+            imageInfoCache,
+            imageSitemapUrls
+        });
         
         // Links analysis for crawling (not included in response)
         const linksAnalysis = this.analyzeLinks($, url);
@@ -32,17 +79,59 @@ class PageImagesAnalyzer {
             url: pageInfo.url,
             title: pageInfo.title,
             domain: pageInfo.domain,
+            canonicalUrl: pageInfo.canonicalUrl,
             
             // Images Information (breakdown first, then counts)
             images: imagesAnalysis.images,
             imagesWithoutAlt: imagesAnalysis.imagesWithoutAlt,
             imagesWithoutAltCount: imagesAnalysis.imagesWithoutAltCount,
             imagesWithAltCount: imagesAnalysis.imagesWithAltCount,
+            imagesSupportingAltCount: imagesAnalysis.altBearingImagesCount,
+            altTextQuality: imagesAnalysis.altTextQuality,
+            wcagFailures: imagesAnalysis.wcagFailures,
+            wcagFailuresCount: imagesAnalysis.wcagFailures.length,
+            decorativeImages: imagesAnalysis.decorativeImages,
+            decorativeImagesCount: imagesAnalysis.decorativeImages.length,
             totalImagesFound: imagesAnalysis.totalImagesFound,
             imagesAnalyzed: imagesAnalysis.imagesAnalyzed,
             averageImageSize: imagesAnalysis.averageImageSize,
             totalImageSize: imagesAnalysis.totalImageSize,
             imageTypes: imagesAnalysis.imageTypes,
+            brokenImages: imagesAnalysis.brokenImages,
+            brokenImagesCount: imagesAnalysis.brokenImages.length,
+            mixedContentImages: imagesAnalysis.mixedContentImages,
+            mixedContentImagesCount: imagesAnalysis.mixedContentImages.length,
+            deliveryIssues: imagesAnalysis.deliveryIssues,
+            deliveryIssuesCount: imagesAnalysis.deliveryIssues.length,
+            sourceKinds: imagesAnalysis.sourceKinds,
+            imagesWithoutResponsiveVariants: imagesAnalysis.imagesWithoutResponsiveVariants,
+            imagesWithoutResponsiveVariantsCount: imagesAnalysis.imagesWithoutResponsiveVariants.length,
+            picturesWithoutModernFormat: imagesAnalysis.picturesWithoutModernFormat,
+            picturesWithoutModernFormatCount: imagesAnalysis.picturesWithoutModernFormat.length,
+            oversizedImages: imagesAnalysis.oversizedImages,
+            oversizedImagesCount: imagesAnalysis.oversizedImages.length,
+            estimatedWastedBytes: imagesAnalysis.estimatedWastedBytes,
+            estimatedWastedKb: Math.round((imagesAnalysis.estimatedWastedBytes / 1000) * 100) / 100,
+            formatSavings: imagesAnalysis.formatSavings,
+            imagesWithGpsMetadata: imagesAnalysis.imagesWithGpsMetadata,
+            imagesWithGpsMetadataCount: imagesAnalysis.imagesWithGpsMetadata.length,
+            recoverableMetadataBytes: imagesAnalysis.recoverableMetadataBytes,
+            recoverableMetadataKb: Math.round((imagesAnalysis.recoverableMetadataBytes / 1000) * 100) / 100,
+            preloadedImages: imagesAnalysis.preloadedImages,
+            lcpCandidate: imagesAnalysis.lcpCandidate,
+            imagesMissingLazyLoading: imagesAnalysis.imagesMissingLazyLoading,
+            imagesMissingLazyLoadingCount: imagesAnalysis.imagesMissingLazyLoading.length,
+            layoutShiftRisks: imagesAnalysis.layoutShiftRisks,
+            layoutShiftRisksCount: imagesAnalysis.layoutShiftRisks.length,
+            nonDescriptiveFilenames: imagesAnalysis.nonDescriptiveFilenames,
+            nonDescriptiveFilenamesCount: imagesAnalysis.nonDescriptiveFilenames.length,
+            structuredDataImages: imagesAnalysis.structuredDataImages,
+            structuredDataImageIssuesCount: imagesAnalysis.structuredDataImages.filter(image => image.issues.length > 0).length,
+            openGraphImage: imagesAnalysis.openGraphImage,
+            imagesNotInSitemap: imagesAnalysis.imagesNotInSitemap,
+            imagesNotInSitemapCount: imagesAnalysis.imagesNotInSitemap ? imagesAnalysis.imagesNotInSitemap.length : null,
+            duplicateImages: imagesAnalysis.duplicateImages,
+            duplicateImagesCount: imagesAnalysis.duplicateImages.length,
             
             // Metadata
             analysis_date: new Date().toISOString(),
@@ -56,6 +145,7 @@ class PageImagesAnalyzer {
     /**
      * Extract the correct image source, handling lazy loading
      * If src is a data URI placeholder (like data:image/svg+xml), check for lazy loading attributes
+     * If src is missing, fall back to the first srcset candidate
      * @param {Object} $img - Cheerio image element
      * @returns {string} - The actual image source URL
      */
@@ -87,58 +177,179 @@ class PageImagesAnalyzer {
             }
         }
         
+        if (!src && $img.attr('srcset')) {
+            const firstCandidate = this.responsiveImageAnalyzer.parseSrcset($img.attr('srcset'))[0];
+            if (firstCandidate) {
+                return firstCandidate.url;
+            }
+        }
+        
         // Return original src if not a placeholder or no lazy loading attribute found
         return src;
     }
 
+    /**
+     * Resolve an image source against the page URL
+     * @param {string} src - Raw image source
+     * @param {string} baseUrl - Page URL
+     * @returns {string} - Absolute image URL
+     */
+    resolveImageUrl(src, baseUrl) {
+        if (src.startsWith('http')) {
+            return src;
+        } else if (src.startsWith('/') && !baseUrl.startsWith('file:')) {
+            return new URL(baseUrl).origin + src;
+        }
+        return new URL(src, baseUrl).href;
+    }
+
     extractPageInfo($, url) {
         const title = $('title').first().text().trim() || '';
         const domain = new URL(url).hostname;
+
+        let canonicalUrl = null;
+        const canonicalHref = $('link[rel~="canonical"]').first().attr('href');
+        if (canonicalHref && canonicalHref.trim()) {
+            try {
+                canonicalUrl = new URL(canonicalHref.trim(), url).href;
+            } catch (e) {
+                // Invalid canonical links are ignored
+            }
+        }
         
         return {
             url,
             title,
-            domain
+            domain,
+            canonicalUrl
         };
     }
 
-    async analyzeImages($, baseUrl, maxImagesPerPage, includeImageSizeAnalysis, includeAltTextAnalysis, userAgent) {
-        const imageElements = $('img[src]').toArray();
-        const totalImagesFound = imageElements.length;
+    async analyzeImages($, baseUrl, options) {
+        const {
+            maxImagesPerPage,
+            includeImageSizeAnalysis,
+            includeAltTextAnalysis,
+            userAgent,
+            includeIntrinsicDimensions,
+            oversizedImageThreshold,
+            renderedImages,
+            includeAllImageSources,
+            includeFormatSavingsEstimate,
+            conversionQuality,
+            includeCompressionAudit,
+            includeDuplicateDetection,
+            requestScheduler,
+            imageInfoCache,
+            imageSitemapUrls
+        } = options;
+        const scheduler = requestScheduler || new RequestScheduler();
+        const dimensionAnalyzer = new ImageDimensionAnalyzer({ oversizedImageThreshold });
+        const formatSavingsEstimator = includeFormatSavingsEstimate ? new FormatSavingsEstimator({ quality: conversionQuality }) : null;
+        const imageByteInspector = includeCompressionAudit ? new ImageByteInspector() : null;
+        const imageDuplicateDetector = includeDuplicateDetection ? new ImageDuplicateDetector() : null;
+        const needsImageBytes = includeIntrinsicDimensions || includeFormatSavingsEstimate || includeCompressionAudit || includeDuplicateDetection;
+        const byteAnalyzers = { dimensionAnalyzer, formatSavingsEstimator, imageByteInspector, imageDuplicateDetector };
+        const renderedSizes = this.indexRenderedImages(renderedImages);
+        const preloadedUrls = this.imagePerformanceAnalyzer.getPreloadedImageUrls($, baseUrl);
+        const imageCandidates = $('img[src], img[srcset]').toArray().map(el => ({
+            sourceKind: 'img',
+            src: this.getImageSrc($(el)),
+            $el: $(el)
+        }));
+
+        // CSS backgrounds, inline SVG, <input type="image">, <video poster> and social meta images
+        if (includeAllImageSources) {
+            const imgUrls = new Set(imageCandidates.map(c => {
+                try {
+                    return new URL(c.src, baseUrl).href;
+                } catch (e) {
+                    return null;
+                }
+            }));
+            const imageSourceDiscovery = new ImageSourceDiscovery({
+                userAgent,
+                localFileReader: this.localFileReader,
+                scheduler,
+                stylesheetCache: this.stylesheetImageUrls
+            });
+            imageCandidates.push(...await imageSourceDiscovery.discover($, baseUrl, imgUrls));
+        }
+
+        const totalImagesFound = imageCandidates.length;
         const images = [];
         const imagesWithoutAlt = [];
+        const imagesWithoutResponsiveVariants = [];
+        const picturesWithoutModernFormat = [];
+        // An image repeated on the page is downloaded once, so it is counted once with its largest waste
+        const oversizedImages = new Map();
+        const altTextEntries = [];
+        const wcagFailures = [];
+        const decorativeImages = [];
+        const formatSavings = { imagesEstimated: 0, webpSavingsBytes: 0, avifSavingsBytes: 0 };
+        const imagesWithGpsMetadata = [];
+        const brokenImages = [];
+        const mixedContentImages = [];
+        const deliveryIssues = [];
+        const nonDescriptiveFilenames = [];
+        let recoverableMetadataBytes = 0;
         let totalImageSize = 0;
         const imageTypes = {};
+        const sourceKinds = {};
+        let altBearingImagesCount = 0;
 
         // If maxImagesPerPage is -1, analyze all images; otherwise use the limit
-        const imagesToAnalyze = maxImagesPerPage === -1 ? imageElements.length : Math.min(imageElements.length, maxImagesPerPage);
+        const imagesToAnalyze = maxImagesPerPage === -1 ? imageCandidates.length : Math.min(imageCandidates.length, maxImagesPerPage);
+
+        // HEAD probes run concurrently through the scheduler; results are consumed in document order below.
+        // With a shared cache, images already probed on another page are not requested again.
+        const probes = new Map();
+        const probeImage = imageUrl => {
+            if (!probes.has(imageUrl)) {
+                const request = validators => scheduler.schedule(imageUrl, () => this.detectImageInfo(imageUrl, userAgent, validators));
+                const probe = imageInfoCache ? imageInfoCache.get(imageUrl, request) : request();
+                probe.catch(() => {});
+                probes.set(imageUrl, probe);
+            }
+            return probes.get(imageUrl);
+        };
+
+        // Byte-level analyses are started alongside the probes; downloads go through the scheduler
+        if (includeImageSizeAnalysis || needsImageBytes) {
+            imageCandidates.slice(0, imagesToAnalyze).forEach(({ sourceKind, src }) => {
+                if (!src || sourceKind === 'inline-svg' || (sourceKind === 'img' && src.startsWith('data:image/svg+xml'))) return;
+                try {
+                    const imageUrl = this.resolveImageUrl(src, baseUrl);
+                    if (includeImageSizeAnalysis) probeImage(imageUrl);
+                    if (needsImageBytes) this.analyzeImageBytes(imageUrl, { userAgent, scheduler, ...byteAnalyzers }).catch(() => {});
+                } catch (e) {
+                    // Invalid URLs are skipped in the loop below
+                }
+            });
+        }
 
         for (let i = 0; i < imagesToAnalyze; i++) {
-            const el = imageElements[i];
-            const $img = $(el);
-            const src = this.getImageSrc($img);
+            const { sourceKind, src, $el: $img, inlineSvgMarkup } = imageCandidates[i];
+            const isImgElement = sourceKind === 'img';
+            const supportsAlt = ImageSourceDiscovery.supportsAlt(sourceKind);
+            // Broken og:image / twitter:image URLs are reported with the page's og_image_issues
+            const isSubresource = ImageSourceDiscovery.isSubresource(sourceKind);
 
-            if (!src || src.startsWith('data:image/svg+xml')) continue;
+            if (!src || (isImgElement && src.startsWith('data:image/svg+xml'))) continue;
 
             try {
-                let fullUrl;
-                if (src.startsWith('http')) {
-                    fullUrl = src;
-                } else if (src.startsWith('/')) {
-                    fullUrl = new URL(baseUrl).origin + src;
-                } else {
-                    fullUrl = new URL(src, baseUrl).href;
-                }
+                const fullUrl = this.resolveImageUrl(src, baseUrl);
 
-                const alt = $img.attr('alt') || '';
-                const title = $img.attr('title') || '';
-                const width = $img.attr('width') || '';
-                const height = $img.attr('height') || '';
+                const alt = (supportsAlt && $img.attr('alt')) || '';
+                const title = ($img && $img.attr('title')) || '';
+                const width = ($img && $img.attr('width')) || '';
+                const height = ($img && $img.attr('height')) || '';
 
                 // Image analysis object
                 const imageData = {
                     imageUrl: fullUrl,
                     imageIndex: i + 1,
+                    sourceKind: sourceKind,
                     alt: alt,
                     title: title,
                     width: width,
@@ -151,14 +362,54 @@ class PageImagesAnalyzer {
                     statusCode: 200
                 };
 
-                // Get image size and type information if requested
-                if (includeImageSizeAnalysis) {
+                // Inline SVG markup ships with the HTML; its size is the markup itself
+                if (sourceKind === 'inline-svg') {
+                    imageData.contentType = 'image/svg+xml';
+                    imageData.sizeInBytes = Buffer.byteLength(inlineSvgMarkup);
+                    imageData.sizeInKb = Math.round((imageData.sizeInBytes / 1000) * 100) / 100;
+
+                    totalImageSize += imageData.sizeInBytes;
+                    imageTypes['svg+xml'] = (imageTypes['svg+xml'] || 0) + 1;
+                } else if (includeImageSizeAnalysis) {
                     try {
-                        const imageInfo = await this.detectImageInfo(fullUrl, userAgent);
+                        const imageInfo = await probeImage(fullUrl);
                         imageData.contentType = imageInfo.contentType;
                         imageData.sizeInBytes = imageInfo.sizeInBytes;
                         imageData.sizeInKb = imageInfo.sizeInKb;
                         imageData.statusCode = imageInfo.statusCode;
+                        imageData.redirectCount = imageInfo.redirectCount || 0;
+                        if (imageData.redirectCount > 0) {
+                            imageData.finalUrl = imageInfo.finalUrl;
+                            imageData.redirectChain = imageInfo.redirectChain;
+                        }
+                        imageData.contentTypeMismatch = !!imageInfo.contentTypeMismatch;
+                        if (imageInfo.unchecked) {
+                            imageData.unchecked = true;
+                        }
+                        if (imageInfo.errorType) {
+                            imageData.errorType = imageInfo.errorType;
+                        }
+
+                        // Cache lifetime, compression, content negotiation and CDN of images that loaded
+                        if (imageInfo.headers && imageData.statusCode < 400 && !imageInfo.errorType) {
+                            imageData.delivery = this.imageDeliveryAnalyzer.analyzeImage(imageInfo.headers, imageData);
+                            if (imageData.delivery.issues.length > 0) {
+                                deliveryIssues.push({
+                                    imageUrl: fullUrl,
+                                    imageIndex: i + 1,
+                                    issues: imageData.delivery.issues
+                                });
+                            }
+                        }
+
+                        if (isSubresource && (imageData.statusCode >= 400 || imageInfo.errorType)) {
+                            brokenImages.push({
+                                imageUrl: fullUrl,
+                                imageIndex: i + 1,
+                                statusCode: imageData.statusCode,
+                                errorType: imageInfo.errorType || null
+                            });
+                        }
                         
                         totalImageSize += imageInfo.sizeInBytes;
                         
@@ -168,6 +419,14 @@ class PageImagesAnalyzer {
                     } catch (error) {
                         imageData.statusCode = 500;
                         imageData.error = error.message;
+                        if (isSubresource) {
+                            brokenImages.push({
+                                imageUrl: fullUrl,
+                                imageIndex: i + 1,
+                                statusCode: 500,
+                                errorType: null
+                            });
+                        }
                     }
                 } else {
                     // Detect content type from file extension
@@ -178,8 +437,180 @@ class PageImagesAnalyzer {
                     imageTypes[type] = (imageTypes[type] || 0) + 1;
                 }
 
+                sourceKinds[sourceKind] = (sourceKinds[sourceKind] || 0) + 1;
+
+                // Camera names, hashes and numbers tell image search nothing about the image
+                const filenameCheck = sourceKind !== 'inline-svg' ? this.imageSeoSignalAnalyzer.analyzeFilename(fullUrl) : null;
+                if (filenameCheck) {
+                    imageData.filenameIssue = filenameCheck.issue;
+                    if (filenameCheck.issue) {
+                        nonDescriptiveFilenames.push({
+                            imageUrl: fullUrl,
+                            imageIndex: i + 1,
+                            filename: filenameCheck.filename,
+                            issue: filenameCheck.issue
+                        });
+                    }
+                }
+
+                // http:// subresources on an https:// page are blocked or flagged by browsers
+                imageData.isMixedContent = isSubresource
+                    && baseUrl.startsWith('https:') && fullUrl.startsWith('http:');
+                if (imageData.isMixedContent) {
+                    mixedContentImages.push({
+                        imageUrl: fullUrl,
+                        imageIndex: i + 1
+                    });
+                }
+
+                // Responsive candidates from srcset and <picture> sources
+                if (isImgElement) {
+                    imageData.responsive = this.responsiveImageAnalyzer.analyzeImage($, $img, baseUrl, fullUrl, imageData.contentType);
+                }
+
+                const candidates = isImgElement ? imageData.responsive.candidates : [];
+                const candidateInfos = includeImageSizeAnalysis
+                    ? await Promise.all(candidates.map(candidate => (candidate.url === fullUrl ? imageData : probeImage(candidate.url))))
+                    : [];
+
+                for (const [candidateIndex, candidate] of candidates.entries()) {
+                    if (includeImageSizeAnalysis) {
+                        const candidateInfo = candidateInfos[candidateIndex];
+                        candidate.contentType = candidateInfo.contentType;
+                        candidate.sizeInBytes = candidateInfo.sizeInBytes;
+                        candidate.sizeInKb = candidateInfo.sizeInKb;
+                        candidate.statusCode = candidateInfo.statusCode;
+                    } else {
+                        candidate.contentType = candidate.type || this.detectContentTypeFromUrl(candidate.url);
+                    }
+                }
+
+                // Loading hints and reserved space for the Core Web Vitals checks
+                if (isImgElement) {
+                    imageData.performance = this.imagePerformanceAnalyzer.analyzeImage($img, {
+                        imageUrls: [fullUrl, ...candidates.map(candidate => candidate.url)],
+                        preloadedUrls,
+                        rendered: renderedSizes.get(fullUrl) || null
+                    });
+                }
+
+                if (isImgElement && !imageData.responsive.hasResponsiveVariants) {
+                    imagesWithoutResponsiveVariants.push({
+                        imageUrl: fullUrl,
+                        imageIndex: i + 1
+                    });
+                }
+
+                if (isImgElement && imageData.responsive.inPicture && !imageData.responsive.hasModernFormatSource) {
+                    picturesWithoutModernFormat.push({
+                        imageUrl: fullUrl,
+                        imageIndex: i + 1
+                    });
+                }
+
+                // Byte-level results, computed once per image URL for the whole audit
+                const byteResults = needsImageBytes && sourceKind !== 'inline-svg'
+                    ? await this.analyzeImageBytes(fullUrl, { userAgent, scheduler, ...byteAnalyzers })
+                    : null;
+
+                // Intrinsic dimensions from the image bytes vs. displayed size
+                if (includeIntrinsicDimensions && sourceKind !== 'inline-svg') {
+                    const rendered = renderedSizes.get(fullUrl);
+                    imageData.displayedWidth = rendered ? rendered.width : dimensionAnalyzer.parseLength(width);
+                    imageData.displayedHeight = rendered ? rendered.height : dimensionAnalyzer.parseLength(height);
+                    imageData.displayedSizeSource = rendered ? 'rendered' : 'attributes';
+
+                    const dimensions = byteResults ? byteResults.dimensions : null;
+                    imageData.intrinsicWidth = dimensions ? dimensions.width : null;
+                    imageData.intrinsicHeight = dimensions ? dimensions.height : null;
+
+                    const { isOversized, estimatedWastedBytes: wastedBytes } = dimensionAnalyzer.evaluate({
+                        ...imageData,
+                        sizeInBytes: imageData.sizeInBytes || (byteResults ? byteResults.bytes : 0)
+                    });
+                    imageData.isOversized = isOversized;
+                    imageData.estimatedWastedBytes = wastedBytes;
+
+                    const previousOversized = oversizedImages.get(fullUrl);
+                    if (isOversized && (!previousOversized || wastedBytes > previousOversized.estimatedWastedBytes)) {
+                        oversizedImages.set(fullUrl, {
+                            imageUrl: fullUrl,
+                            imageIndex: i + 1,
+                            intrinsicWidth: imageData.intrinsicWidth,
+                            intrinsicHeight: imageData.intrinsicHeight,
+                            displayedWidth: imageData.displayedWidth,
+                            displayedHeight: imageData.displayedHeight,
+                            estimatedWastedBytes: wastedBytes
+                        });
+                    }
+                }
+
+                // WebP/AVIF re-encoding estimate for JPEG and PNG images
+                if (formatSavingsEstimator && byteResults) {
+                    imageData.formatSavings = byteResults.formatSavings;
+
+                    if (imageData.formatSavings) {
+                        formatSavings.imagesEstimated++;
+                        formatSavings.webpSavingsBytes += imageData.formatSavings.webpSavingsBytes;
+                        formatSavings.avifSavingsBytes += imageData.formatSavings.avifSavingsBytes;
+                    }
+                }
+
+                // Embedded metadata and compression settings from the raw bytes
+                if (imageByteInspector && byteResults) {
+                    imageData.compressionAudit = byteResults.compressionAudit;
+
+                    if (imageData.compressionAudit) {
+                        recoverableMetadataBytes += imageData.compressionAudit.recoverableBytes;
+
+                        if (imageData.compressionAudit.hasGps) {
+                            imagesWithGpsMetadata.push({
+                                imageUrl: fullUrl,
+                                imageIndex: i + 1
+                            });
+                        }
+                    }
+                }
+
+                // Content and perceptual hashes for duplicate detection
+                if (imageDuplicateDetector && byteResults) {
+                    imageData.fingerprint = byteResults.fingerprint;
+                }
+
+                // Decorative vs. informative classification for WCAG 1.1.1
+                // (CSS and meta images are not exposed to assistive technology)
+                if (includeAltTextAnalysis && (supportsAlt || sourceKind === 'inline-svg')) {
+                    imageData.accessibility = this.imageAccessibilityAnalyzer.analyzeImage($, $img);
+
+                    if (imageData.accessibility.wcagStatus === 'fail') {
+                        wcagFailures.push({
+                            imageUrl: fullUrl,
+                            imageIndex: i + 1,
+                            reason: imageData.accessibility.failureReason
+                        });
+                    } else if (imageData.accessibility.isDecorative) {
+                        decorativeImages.push({
+                            imageUrl: fullUrl,
+                            imageIndex: i + 1,
+                            reason: imageData.accessibility.decorativeReason
+                        });
+                    }
+                }
+
                 images.push(imageData);
 
+                if (!supportsAlt) continue;
+
+                altBearingImagesCount++;
+                altTextEntries.push({
+                    imageData,
+                    alt: $img.attr('alt'),
+                    imageUrl: fullUrl,
+                    title,
+                    caption: $img.closest('figure').find('figcaption').first().text().trim(),
+                    isDecorative: !!(imageData.accessibility && imageData.accessibility.isDecorative)
+                });
+
                 // Track images without alt text
                 if (includeAltTextAnalysis && (!alt || alt.trim() === '')) {
                     imagesWithoutAlt.push({
@@ -194,10 +625,37 @@ class PageImagesAnalyzer {
             }
         }
 
+        // Alt text quality needs the whole page to detect duplicated alts
+        let altTextQuality = null;
+        if (includeAltTextAnalysis) {
+            const assessments = this.altTextQualityAnalyzer.assessPage(altTextEntries);
+            altTextEntries.forEach(({ imageData }, index) => {
+                imageData.altQuality = assessments[index];
+            });
+            altTextQuality = this.altTextQualityAnalyzer.aggregate(images);
+        }
+
+        // LCP candidate, eager below-the-fold images and layout-shift risks need the whole page
+        const { lcpCandidate, imagesMissingLazyLoading, layoutShiftRisks } = this.imagePerformanceAnalyzer.analyzePage(images);
+
+        // JSON-LD and og:image files are probed like page images and, when no size is declared, decoded
+        // from the byte-analysis download; without includeImageSizeAnalysis they are not requested
+        const { structuredDataImages, openGraphImage } = await this.imageSeoSignalAnalyzer.analyzePage($, baseUrl, includeImageSizeAnalysis ? {
+            probe: probeImage,
+            measure: imageUrl => this.analyzeImageBytes(imageUrl, { userAgent, scheduler, ...byteAnalyzers })
+                .then(byteResults => (byteResults ? byteResults.dimensions : null))
+        } : {});
+        // The same picture under several URLs on one page is downloaded once per URL
+        const duplicateImages = imageDuplicateDetector ? imageDuplicateDetector.findPageDuplicates(images) : [];
+
+        const imagesNotInSitemap = imageSitemapUrls ? this.imageSeoSignalAnalyzer.checkImageSitemap(images, imageSitemapUrls) : null;
+
         const imagesWithoutAltCount = imagesWithoutAlt.length;
-        const imagesWithAltCount = images.length - imagesWithoutAltCount;
+        const imagesWithAltCount = altBearingImagesCount - imagesWithoutAltCount;
         const averageImageSize = images.length > 0 ? Math.round(totalImageSize / images.length) : 0;
 
+        const oversizedImageList = Array.from(oversizedImages.values());
+
         return {
             totalImagesFound,
             imagesAnalyzed: images.length,
@@ -205,13 +663,143 @@ class PageImagesAnalyzer {
             imagesWithoutAlt,
             imagesWithoutAltCount,
             imagesWithAltCount,
+            altBearingImagesCount,
+            altTextQuality,
+            wcagFailures,
+            decorativeImages,
             averageImageSize,
             totalImageSize,
-            imageTypes
+            imageTypes,
+            sourceKinds,
+            imagesWithoutResponsiveVariants,
+            picturesWithoutModernFormat,
+            oversizedImages: oversizedImageList,
+            estimatedWastedBytes: oversizedImageList.reduce((sum, image) => sum + image.estimatedWastedBytes, 0),
+            formatSavings,
+            imagesWithGpsMetadata,
+            recoverableMetadataBytes,
+            brokenImages,
+            mixedContentImages,
+            deliveryIssues,
+            preloadedImages: [...preloadedUrls],
+            lcpCandidate,
+            imagesMissingLazyLoading,
+            layoutShiftRisks,
+            nonDescriptiveFilenames,
+            structuredDataImages,
+            openGraphImage,
+            imagesNotInSitemap,
+            duplicateImages
         };
     }
 
-    async detectImageInfo(imageUrl, userAgent) {
+    /**
+     * Index image sizes measured in the rendered page by their resolved URLs
+     * @param {Array} renderedImages - Rendered image boxes from PageRenderer
+     * @returns {Map<string, {width: number, height: number, inViewport: boolean}>}
+     */
+    indexRenderedImages(renderedImages = []) {
+        const renderedSizes = new Map();
+
+        for (const rendered of renderedImages) {
+            if (!rendered.width || !rendered.height) continue;
+
+            for (const url of [rendered.src, rendered.currentSrc]) {
+                if (url && !renderedSizes.has(url)) {
+                    renderedSizes.set(url, { width: rendered.width, height: rendered.height, inViewport: !!rendered.inViewport });
+                }
+            }
+        }
+
+        return renderedSizes;
+    }
+
+    /**
+     * Download an image once per audit and run the enabled byte-level analyses on it
+     * Only the results are kept, so the bytes are released once analyzed; pages that share the
+     * image (logos, icons) reuse them instead of downloading and re-encoding it again.
+     * @param {string} imageUrl - Absolute image URL or data URI
+     * Dimensions are always decoded (a header read), so og:image and structured data checks share the download.
+     * @param {Object} options - userAgent, scheduler and the analyzers enabled for the audit
+     * @returns {Promise<{bytes: number, dimensions: Object|null, formatSavings: Object|null, compressionAudit: Object|null, fingerprint: Object|null}|null>} - null when the download fails
+     */
+    analyzeImageBytes(imageUrl, { userAgent, scheduler, dimensionAnalyzer, formatSavingsEstimator, imageByteInspector, imageDuplicateDetector }) {
+        if (!this.imageBytesResults.has(imageUrl)) {
+            const analysis = scheduler.schedule(imageUrl, () => this.downloadImage(imageUrl, userAgent)).then(async download => {
+                if (!download) return null;
+
+                const { buffer } = download;
+                return {
+                    bytes: buffer.length,
+                    dimensions: dimensionAnalyzer.decode(buffer),
+                    formatSavings: formatSavingsEstimator ? await formatSavingsEstimator.estimate(buffer) : null,
+                    compressionAudit: imageByteInspector ? await imageByteInspector.inspect(buffer) : null,
+                    fingerprint: imageDuplicateDetector ? await imageDuplicateDetector.fingerprint(buffer) : null
+                };
+            });
+            this.imageBytesResults.set(imageUrl, analysis);
+        }
+
+        return this.imageBytesResults.get(imageUrl);
+    }
+
+    /**
+     * Download image bytes for byte-level analysis
+     * @param {string} imageUrl - Image URL
+     * @param {string} userAgent - User agent for the request
+     * @returns {Promise<{buffer: Buffer, contentType: string, statusCode: number}|null>} - null when the download fails
+     */
+    async downloadImage(imageUrl, userAgent) {
+        if (imageUrl.startsWith('data:')) {
+            const [header, data = ''] = imageUrl.split(',');
+            const isBase64 = /;base64$/i.test(header);
+            return {
+                buffer: isBase64 ? Buffer.from(data, 'base64') : Buffer.from(decodeURIComponent(data)),
+                contentType: (header.match(/data:([^;]+)/) || [])[1] || 'image/unknown',
+                statusCode: 200
+            };
+        }
+
+        if (this.localFileReader && imageUrl.startsWith('file:')) {
+            return this.localFileReader.download(imageUrl);
+        }
+
+        // Local builds are audited without network
+        if (this.localFileReader) {
+            return null;
+        }
+
+        try {
+            const response = await axios.get(imageUrl, {
+                headers: {
+                    'User-Agent': userAgent,
+                    'Accept': 'image/avif,image/webp,image/*,*/*;q=0.8'
+                },
+                timeout: 15000,
+                maxRedirects: 3,
+                maxContentLength: 25 * 1024 * 1024,
+                responseType: 'arraybuffer'
+            });
+
+            return {
+                buffer: Buffer.from(response.data),
+                contentType: response.headers['content-type'] || this.detectContentTypeFromUrl(imageUrl),
+                statusCode: response.status
+            };
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Probe an image with a HEAD request
+     * @param {string} imageUrl - Absolute image URL or data URI
+     * @param {string} userAgent - User agent header
+     * @param {{etag: string, lastModified: string}} validators - Cached validators for a conditional request
+     * @returns {Promise<Object>} - Content type, size, status code, delivery headers and the response's ETag/Last-Modified;
+     * remote images of a local build are not requested and come back with unchecked: true
+     */
+    async detectImageInfo(imageUrl, userAgent, { etag, lastModified } = {}) {
         // Handle data URIs
         if (imageUrl.startsWith('data:')) {
             const [header, data] = imageUrl.split(',');
@@ -229,22 +817,64 @@ class PageImagesAnalyzer {
                 statusCode: 200 
             };
         }
+
+        if (this.localFileReader && imageUrl.startsWith('file:')) {
+            return this.localFileReader.probe(imageUrl);
+        }
+
+        // Local builds are audited without network: images on other hosts are not requested,
+        // so they have no status and are never reported as broken
+        if (this.localFileReader) {
+            return {
+                contentType: this.detectContentTypeFromUrl(imageUrl),
+                sizeInBytes: 0,
+                sizeInKb: 0,
+                statusCode: null,
+                finalUrl: imageUrl,
+                redirectCount: 0,
+                redirectChain: [],
+                errorType: null,
+                contentTypeMismatch: false,
+                unchecked: true
+            };
+        }
         
+        const redirectChain = [];
+        let currentUrl = imageUrl;
+
         try {
-            // Make a HEAD request to get image information
-            const response = await axios.head(imageUrl, {
-                headers: {
-                    'User-Agent': userAgent,
-                    'Accept': 'image/*'
-                },
-                timeout: 10000,
-                maxRedirects: 3,
-                validateStatus: function (status) {
-                    return status < 500; // Accept all status codes below 500
+            // Make HEAD requests to get image information, following redirects manually to record the chain
+            let response;
+            let tooManyRedirects = false;
+            for (;;) {
+                response = await axios.head(currentUrl, {
+                    headers: {
+                        'User-Agent': userAgent,
+                        'Accept': 'image/*',
+                        ...(etag ? { 'If-None-Match': etag } : {}),
+                        ...(lastModified ? { 'If-Modified-Since': lastModified } : {})
+                    },
+                    timeout: 10000,
+                    maxRedirects: 0,
+                    validateStatus: function (status) {
+                        return status < 500; // Accept all status codes below 500
+                    }
+                });
+
+                const location = response.headers['location'];
+                if (response.status < 300 || response.status >= 400 || response.status === 304 || !location) break;
+
+                if (redirectChain.length >= MAX_IMAGE_REDIRECTS) {
+                    tooManyRedirects = true;
+                    break;
                 }
-            });
 
-            const contentType = response.headers['content-type'] || this.detectContentTypeFromUrl(imageUrl);
+                redirectChain.push({ url: currentUrl, statusCode: response.status });
+                currentUrl = new URL(location, currentUrl).href;
+            }
+
+            const contentTypeHeader = response.headers['content-type'] || '';
+            const contentType = contentTypeHeader || this.detectContentTypeFromUrl(imageUrl);
             const contentLength = parseInt(response.headers['content-length']) || 0;
             const sizeInKb = contentLength > 0 ? Math.round((contentLength / 1000) * 100) / 100 : 0;
 
@@ -252,22 +882,57 @@ class PageImagesAnalyzer {
                 contentType,
                 sizeInBytes: contentLength,
                 sizeInKb,
-                statusCode: response.status
+                statusCode: response.status,
+                finalUrl: currentUrl,
+                redirectCount: redirectChain.length,
+                redirectChain,
+                errorType: tooManyRedirects ? 'too_many_redirects' : null,
+                // e.g. an HTML error or login page served with 200 at an image URL
+                contentTypeMismatch: response.status >= 200 && response.status < 300 && !!contentTypeHeader && !IMAGE_CONTENT_TYPE.test(contentTypeHeader),
+                headers: this.imageDeliveryAnalyzer.pickHeaders(response.headers),
+                etag: response.headers['etag'],
+                lastModified: response.headers['last-modified']
             };
 
         } catch (error) {
             // Fallback to URL-based detection
             const contentType = this.detectContentTypeFromUrl(imageUrl);
-            
+            const errorType = this.getRequestErrorType(error);
+
             return {
                 contentType,
                 sizeInBytes: 0,
                 sizeInKb: 0,
-                statusCode: error.response?.status || 500
+                statusCode: error.response?.status || (errorType === 'timeout' ? 408 : 500),
+                finalUrl: currentUrl,
+                redirectCount: redirectChain.length,
+                redirectChain,
+                errorType,
+                contentTypeMismatch: false
             };
         }
     }
 
+    /**
+     * Classify a failed request that did not produce an HTTP response
+     * @param {Error} error - Axios error
+     * @returns {string|null} - Error type, or null when the server answered with an error status
+     */
+    getRequestErrorType(error) {
+        if (error.response) return null;
+
+        if (error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT' || /timeout/i.test(error.message)) {
+            return 'timeout';
+        } else if (error.code === 'ENOTFOUND' || error.code === 'EAI_AGAIN') {
+            return 'dns_error';
+        } else if (error.code === 'ECONNREFUSED') {
+            return 'connection_refused';
+        } else if (error.code === 'ECONNRESET') {
+            return 'connection_reset';
+        }
+        return 'network_error';
+    }
+
     detectContentTypeFromUrl(imageUrl) {
         const url = new URL(imageUrl);
         const pathname = url.pathname.toLowerCase();
@@ -0,0 +1,169 @@
+/**
+ * Page Renderer for SEO Image Optimization Checker
+ *
+ * @author MySmartDigital
+ * @description Headless Chromium renderer built on Puppeteer. Loads pages in a real browser,
+ * waits for client-side rendering, scrolls the page to trigger lazy loaders and returns the
+ * rendered DOM so it can be analyzed exactly like statically fetched HTML.
+ */
+
+const puppeteer = require('puppeteer');
+
+class PageRenderer {
+    constructor({ userAgent = 'Mozilla/5.0 (compatible; SEO-Image-Optimization-Checker/1.0)', waitForPageLoad = 3000, timeout = 30000 } = {}) {
+        this.userAgent = userAgent;
+        this.waitForPageLoad = waitForPageLoad;
+        this.timeout = timeout;
+        this.browser = null;
+        this.launching = null;
+    }
+
+    async launch() {
+        if (!this.browser) {
+            // Concurrent renders share a single browser launch
+            this.launching = this.launching || puppeteer.launch({
+                headless: 'new',
+                args: ['--no-sandbox', '--disable-setuid-sandbox', '--disable-dev-shm-usage']
+            });
+            this.browser = await this.launching;
+        }
+        return this.browser;
+    }
+
+    /**
+     * Load a page in headless Chromium and return the rendered HTML
+     * Mirrors the axios fetch used in static mode: status codes of 500 and above
+     * are thrown as errors carrying a `response.status`, everything else is returned.
+     * @param {string} url - Page URL to render
+     * @param {Object} options
+     * @param {Function} options.checkRedirect - robots.txt check run on every redirect target of the page
+     *   before it is requested; resolves to {allowed, reason}. Blocked redirects are thrown with a `robotsReason`.
+     * @returns {Promise<{html: string, statusCode: number, finalUrl: string, renderedImages: Array}>}
+     */
+    async render(url, { checkRedirect = null } = {}) {
+        const browser = await this.launch();
+        const page = await browser.newPage();
+        let blockedRedirect = null;
+
+        try {
+            await page.setUserAgent(this.userAgent);
+            await page.setExtraHTTPHeaders({ 'Accept-Language': 'en-US,en;q=0.9' });
+            await page.setViewport({ width: 1366, height: 768 });
+
+            if (checkRedirect) {
+                await page.setRequestInterception(true);
+                page.on('request', async request => {
+                    if (request.isNavigationRequest() && request.frame() === page.mainFrame() && request.redirectChain().length > 0) {
+                        const redirectCheck = await checkRedirect(request.url());
+                        if (!redirectCheck.allowed) {
+                            blockedRedirect = { url: request.url(), reason: redirectCheck.reason };
+                            return request.abort('blockedbyclient');
+                        }
+                    }
+                    return request.continue();
+                });
+            }
+
+            let response;
+            try {
+                response = await page.goto(url, {
+                    waitUntil: 'networkidle2',
+                    timeout: this.timeout
+                });
+            } catch (error) {
+                if (!blockedRedirect) throw error;
+
+                const redirectError = new Error(`Redirect to ${blockedRedirect.url} is not allowed: ${blockedRedirect.reason}`);
+                redirectError.robotsReason = blockedRedirect.reason;
+                redirectError.redirectUrl = blockedRedirect.url;
+                throw redirectError;
+            }
+            const statusCode = response ? response.status() : 200;
+
+            if (statusCode >= 500) {
+                const error = new Error(`Request failed with status code ${statusCode}`);
+                error.response = { status: statusCode };
+                throw error;
+            }
+
+            // Give client-side frameworks time to render, then scroll to trigger lazy loading
+            await this.sleep(this.waitForPageLoad);
+            await this.autoScroll(page);
+
+            // Wait for images requested by lazy loaders (bounded by waitForPageLoad)
+            try {
+                await page.waitForNetworkIdle({ idleTime: 500, timeout: this.waitForPageLoad });
+            } catch (error) {
+                // Pages with long-polling or analytics beacons never go idle
+            }
+
+            const html = await page.content();
+            const renderedImages = await this.collectRenderedImages(page);
+
+            return {
+                html,
+                statusCode,
+                finalUrl: page.url(),
+                renderedImages
+            };
+        } finally {
+            await page.close();
+        }
+    }
+
+    /**
+     * Scroll to the bottom of the page in viewport-sized steps so that
+     * IntersectionObserver and scroll-based lazy loaders fire
+     * @param {Object} page - Puppeteer page
+     */
+    async autoScroll(page) {
+        await page.evaluate(async () => {
+            const maxScrolls = 50;
+            const delay = 200;
+            const step = window.innerHeight;
+
+            for (let i = 0; i < maxScrolls; i++) {
+                const previousY = window.scrollY;
+                window.scrollBy(0, step);
+                await new Promise(resolve => setTimeout(resolve, delay));
+
+                if (window.scrollY === previousY) break;
+            }
+
+            window.scrollTo(0, 0);
+        });
+    }
+
+    /**
+     * Measure the displayed (CSS pixel) size of every <img> in the rendered page and
+     * whether it is in the initial viewport (the page is scrolled back to the top)
+     * @param {Object} page - Puppeteer page
+     * @returns {Promise<Array<{src: string, currentSrc: string, width: number, height: number, inViewport: boolean}>>}
+     */
+    async collectRenderedImages(page) {
+        return page.evaluate(() => Array.from(document.images).map(img => {
+            const rect = img.getBoundingClientRect();
+            return {
+                src: img.src,
+                currentSrc: img.currentSrc,
+                width: Math.round(rect.width),
+                height: Math.round(rect.height),
+                inViewport: rect.bottom > 0 && rect.top < window.innerHeight && rect.right > 0 && rect.left < window.innerWidth
+            };
+        }));
+    }
+
+    sleep(ms) {
+        return new Promise(resolve => setTimeout(resolve, ms));
+    }
+
+    async close() {
+        if (this.browser) {
+            await this.browser.close();
+            this.browser = null;
+            this.launching = null;
+        }
+    }
+}
+
+module.exports = { PageRenderer };
@@ -0,0 +1,519 @@
+/**
+ * Report Exporter for SEO Image Optimization Checker
+ *
+ * @author MySmartDigital
+ * @description Renders a site audit report in formats people can open without tooling: a flat
+ * per-image CSV, a per-page CSV, a self-contained HTML report with image type and alt coverage
+ * charts, and a Markdown summary. CSV files are written with a UTF-8 byte order mark and CRLF
+ * line endings so Excel and Google Sheets open them directly.
+ */
+
+const EXPORT_FORMATS = {
+    images_csv: { key: 'REPORT_IMAGES_CSV', contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+    pages_csv: { key: 'REPORT_PAGES_CSV', contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+    html: { key: 'REPORT_HTML', contentType: 'text/html; charset=utf-8', extension: 'html' },
+    markdown: { key: 'REPORT_MARKDOWN', contentType: 'text/markdown; charset=utf-8', extension: 'md' }
+};
+
+const IMAGE_COLUMNS = [
+    ['page_url', (image, page) => page.url],
+    ['image_url', image => image.imageUrl],
+    ['image_index', image => image.imageIndex],
+    ['source_kind', image => image.sourceKind],
+    ['alt', image => image.alt],
+    ['has_alt', image => image.hasAlt],
+    ['alt_quality_category', image => image.altQuality && image.altQuality.category],
+    ['alt_quality_score', image => image.altQuality && image.altQuality.score],
+    ['wcag_status', image => image.accessibility && image.accessibility.wcagStatus],
+    ['content_type', image => image.contentType],
+    ['size_kb', image => image.sizeInKb],
+    ['status_code', image => image.statusCode],
+    ['error_type', image => image.errorType],
+    ['redirect_count', image => image.redirectCount],
+    ['intrinsic_width', image => image.intrinsicWidth],
+    ['intrinsic_height', image => image.intrinsicHeight],
+    ['displayed_width', image => image.displayedWidth],
+    ['displayed_height', image => image.displayedHeight],
+    ['is_oversized', image => image.isOversized],
+    ['estimated_wasted_bytes', image => image.estimatedWastedBytes],
+    ['webp_savings_bytes', image => image.formatSavings && image.formatSavings.webpSavingsBytes],
+    ['avif_savings_bytes', image => image.formatSavings && image.formatSavings.avifSavingsBytes],
+    ['recoverable_metadata_bytes', image => image.compressionAudit && image.compressionAudit.recoverableBytes],
+    ['has_gps_metadata', image => image.compressionAudit && image.compressionAudit.hasGps],
+    ['loading', image => image.performance && image.performance.loading],
+    ['fetch_priority', image => image.performance && image.performance.fetchPriority],
+    ['is_lcp_candidate', image => image.performance && image.performance.isLcpCandidate],
+    ['has_dimensions', image => image.performance && image.performance.hasDimensions],
+    ['cache_lifetime_seconds', image => image.delivery && image.delivery.cacheLifetimeSeconds],
+    ['content_encoding', image => image.delivery && image.delivery.contentEncoding],
+    ['cdn', image => image.delivery && image.delivery.cdn],
+    ['delivery_issues', image => image.delivery && image.delivery.issues.join(' ')],
+    ['filename_issue', image => image.filenameIssue],
+    ['in_image_sitemap', image => image.inImageSitemap],
+    ['content_hash', image => image.fingerprint && image.fingerprint.contentHash],
+    ['dhash', image => image.fingerprint && image.fingerprint.dHash]
+];
+
+const PAGE_COLUMNS = [
+    ['url', page => page.url],
+    ['status_code', page => page.statusCode],
+    ['error', page => page.error],
+    ['title', page => page.title],
+    ['total_images_found', page => page.totalImagesFound],
+    ['images_analyzed', page => page.imagesAnalyzed],
+    ['images_without_alt', page => page.imagesWithoutAltCount],
+    ['wcag_failures', page => page.wcagFailuresCount],
+    ['decorative_images', page => page.decorativeImagesCount],
+    ['average_alt_text_score', page => page.altTextQuality && page.altTextQuality.averageScore],
+    ['total_image_size_bytes', page => page.totalImageSize],
+    ['average_image_size_bytes', page => page.averageImageSize],
+    ['broken_images', page => page.brokenImagesCount],
+    ['mixed_content_images', page => page.mixedContentImagesCount],
+    ['images_without_responsive_variants', page => page.imagesWithoutResponsiveVariantsCount],
+    ['oversized_images', page => page.oversizedImagesCount],
+    ['estimated_wasted_kb', page => page.estimatedWastedKb],
+    ['images_with_gps_metadata', page => page.imagesWithGpsMetadataCount],
+    ['recoverable_metadata_kb', page => page.recoverableMetadataKb],
+    ['delivery_issues', page => page.deliveryIssuesCount],
+    ['lcp_image_url', page => page.lcpCandidate && page.lcpCandidate.imageUrl],
+    ['lcp_issues', page => page.lcpCandidate && page.lcpCandidate.issues.join(' ')],
+    ['images_missing_lazy_loading', page => page.imagesMissingLazyLoadingCount],
+    ['layout_shift_risks', page => page.layoutShiftRisksCount],
+    ['non_descriptive_filenames', page => page.nonDescriptiveFilenamesCount],
+    ['structured_data_image_issues', page => page.structuredDataImageIssuesCount],
+    ['og_image_url', page => page.openGraphImage && page.openGraphImage.imageUrl],
+    ['og_image_issues', page => page.openGraphImage && page.openGraphImage.issues.join(' ')],
+    ['images_not_in_sitemap', page => page.imagesNotInSitemapCount],
+    ['duplicate_images', page => page.duplicateImagesCount],
+    ['image_seo_score', page => page.seoScore && page.seoScore.score],
+    ['violated_rules', page => page.seoScore && page.seoScore.violations.map(v => v.rule).join(' ')],
+    ['analysis_date', page => page.analysis_date]
+];
+
+const CHART_COLORS = ['#2563eb', '#16a34a', '#f59e0b', '#dc2626', '#7c3aed', '#0891b2', '#db2777', '#65a30d'];
+
+class ReportExporter {
+    static get formats() {
+        return Object.keys(EXPORT_FORMATS);
+    }
+
+    /**
+     * Key-value store key, content type and file extension of an export format
+     * @param {string} format - Export format
+     * @returns {Object|null}
+     */
+    static getFormat(format) {
+        return EXPORT_FORMATS[format] || null;
+    }
+
+    /**
+     * Render the report in one export format
+     * @param {Object} report - SiteAudit report ({domain, pages, skipped_urls, analysis})
+     * @param {string} format - One of images_csv, pages_csv, html or markdown
+     * @returns {{key: string, contentType: string, fileName: string, body: string}}
+     */
+    export(report, format) {
+        const formatInfo = ReportExporter.getFormat(format);
+        if (!formatInfo) {
+            throw new Error(`Unknown export format "${format}". Use ${ReportExporter.formats.join(', ')}.`);
+        }
+
+        const renderers = {
+            images_csv: () => this.toImagesCsv(report),
+            pages_csv: () => this.toPagesCsv(report),
+            html: () => this.toHtml(report),
+            markdown: () => this.toMarkdown(report)
+        };
+
+        const domainName = (report.domain && report.domain.domain_name) || 'site';
+
+        return {
+            key: formatInfo.key,
+            contentType: formatInfo.contentType,
+            fileName: `${domainName}-${format.replace('_', '-')}.${formatInfo.extension}`,
+            body: renderers[format]()
+        };
+    }
+
+    /**
+     * One row per analyzed image
+     * @param {Object} report - SiteAudit report
+     * @returns {string}
+     */
+    toImagesCsv(report) {
+        const rows = [];
+        (report.pages || []).forEach(page => {
+            (page.images || []).forEach(image => {
+                rows.push(IMAGE_COLUMNS.map(([, getValue]) => getValue(image, page)));
+            });
+        });
+
+        return this.toCsv(IMAGE_COLUMNS.map(([name]) => name), rows);
+    }
+
+    /**
+     * One row per page, including pages that failed to load
+     * @param {Object} report - SiteAudit report
+     * @returns {string}
+     */
+    toPagesCsv(report) {
+        const rows = (report.pages || []).map(page => PAGE_COLUMNS.map(([, getValue]) => getValue(page)));
+        return this.toCsv(PAGE_COLUMNS.map(([name]) => name), rows);
+    }
+
+    toCsv(header, rows) {
+        const lines = [header, ...rows].map(row => row.map(value => this.escapeCsvValue(value)).join(','));
+        return `\uFEFF${lines.join('\r\n')}\r\n`;
+    }
+
+    escapeCsvValue(value) {
+        if (value === null || value === undefined) return '';
+
+        let text = String(value);
+
+        // Keep spreadsheets from evaluating scraped alt text as a formula
+        if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+            text = `'${text}`;
+        }
+
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    /**
+     * Markdown summary of the domain report
+     * @param {Object} report - SiteAudit report
+     * @returns {string}
+     */
+    toMarkdown(report) {
+        const domain = report.domain || {};
+        const brokenImages = domain.broken_images || {};
+        const lines = [];
+
+        lines.push(`# Image SEO Report: ${domain.domain_name || ''}`);
+        lines.push('');
+        lines.push(`Generated ${(report.analysis && report.analysis.analysis_completed_at) || new Date().toISOString()}`);
+        lines.push('');
+        lines.push('## Summary');
+        lines.push('');
+        lines.push('| Metric | Value |');
+        lines.push('| --- | --- |');
+        this.getSummaryRows(report).forEach(([label, value]) => {
+            lines.push(`| ${label} | ${this.escapeMarkdown(value)} |`);
+        });
+
+        const imageTypes = Object.entries(domain.image_types || {}).sort((a, b) => b[1] - a[1]);
+        if (imageTypes.length > 0) {
+            lines.push('');
+            lines.push('## Image Types');
+            lines.push('');
+            lines.push('| Type | Images |');
+            lines.push('| --- | --- |');
+            imageTypes.forEach(([type, count]) => lines.push(`| ${this.escapeMarkdown(type)} | ${count} |`));
+        }
+
+        const actions = this.getRecommendedActions(domain);
+        if (actions.length > 0) {
+            lines.push('');
+            lines.push('## Recommended Actions');
+            lines.push('');
+            actions.forEach(action => lines.push(`- ${action}`));
+        }
+
+        const pagesWithIssues = this.getPagesWithMostIssues(report);
+        if (pagesWithIssues.length > 0) {
+            lines.push('');
+            lines.push('## Pages With Most Missing Alt Text');
+            lines.push('');
+            lines.push('| Page | Images | Without alt |');
+            lines.push('| --- | --- | --- |');
+            pagesWithIssues.forEach(page => {
+                lines.push(`| ${this.escapeMarkdown(page.url)} | ${page.imagesAnalyzed} | ${page.imagesWithoutAltCount} |`);
+            });
+        }
+
+        if ((brokenImages.broken_images || []).length > 0) {
+            lines.push('');
+            lines.push('## Broken Images');
+            lines.push('');
+            lines.push('| Image | Status | Pages |');
+            lines.push('| --- | --- | --- |');
+            brokenImages.broken_images.forEach(image => {
+                lines.push(`| ${this.escapeMarkdown(image.image_url)} | ${image.error_type || image.status_code} | ${image.pages.length} |`);
+            });
+        }
+
+        if (actions.length === 0) {
+            lines.push('');
+            lines.push('No image issues found.');
+        }
+
+        return `${lines.join('\n')}\n`;
+    }
+
+    escapeMarkdown(value) {
+        return String(value === null || value === undefined ? '' : value).replace(/\|/g, '\\|').replace(/\r?\n/g, ' ');
+    }
+
+    /**
+     * Self-contained HTML report with inline SVG charts
+     * @param {Object} report - SiteAudit report
+     * @returns {string}
+     */
+    toHtml(report) {
+        const domain = report.domain || {};
+        const brokenImages = domain.broken_images || {};
+        const totalImages = domain.total_images_analyzed || 0;
+        const withoutAlt = domain.total_images_without_alt || 0;
+
+        const imageTypes = Object.entries(domain.image_types || {}).sort((a, b) => b[1] - a[1]);
+        const altCoverage = [
+            ['With alt text', Math.max(0, totalImages - withoutAlt)],
+            ['Without alt text', withoutAlt]
+        ];
+
+        const summaryRows = this.getSummaryRows(report)
+            .map(([label, value]) => `<tr><th>${this.escapeHtml(label)}</th><td>${this.escapeHtml(value)}</td></tr>`)
+            .join('\n');
+
+        const actions = this.getRecommendedActions(domain)
+            .map(action => `<li>${this.escapeHtml(action)}</li>`)
+            .join('\n');
+
+        const pageRows = (report.pages || []).map(page => `<tr>
+<td><a href="${this.escapeHtml(page.url)}">${this.escapeHtml(page.url)}</a></td>
+<td>${this.escapeHtml(page.statusCode)}</td>
+<td>${this.escapeHtml(page.error ? '' : page.imagesAnalyzed)}</td>
+<td>${this.escapeHtml(page.error ? '' : page.imagesWithoutAltCount)}</td>
+<td>${this.escapeHtml(page.error ? '' : page.brokenImagesCount)}</td>
+<td>${this.escapeHtml(page.error ? '' : Math.round((page.totalImageSize || 0) / 10) / 100)}</td>
+</tr>`).join('\n');
+
+        const brokenRows = (brokenImages.broken_images || []).map(image => `<tr>
+<td>${this.escapeHtml(image.image_url)}</td>
+<td>${this.escapeHtml(image.error_type || image.status_code)}</td>
+<td>${this.escapeHtml(image.pages.join(', '))}</td>
+</tr>`).join('\n');
+
+        return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>Image SEO Report: ${this.escapeHtml(domain.domain_name)}</title>
+<style>
+body { font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif; margin: 2rem auto; max-width: 1100px; padding: 0 1rem; color: #1f2937; }
+h1 { margin-bottom: 0.25rem; }
+.meta { color: #6b7280; margin-top: 0; }
+.charts { display: flex; flex-wrap: wrap; gap: 2rem; }
+.chart { flex: 1 1 400px; }
+table { border-collapse: collapse; width: 100%; margin-bottom: 2rem; font-size: 0.9rem; }
+th, td { border-bottom: 1px solid #e5e7eb; padding: 0.4rem 0.6rem; text-align: left; vertical-align: top; word-break: break-all; }
+.summary th { width: 45%; font-weight: normal; color: #4b5563; }
+svg text { font-size: 12px; fill: #374151; }
+</style>
+</head>
+<body>
+<h1>Image SEO Report: ${this.escapeHtml(domain.domain_name)}</h1>
+<p class="meta">Generated ${this.escapeHtml((report.analysis && report.analysis.analysis_completed_at) || new Date().toISOString())}</p>
+
+<h2>Summary</h2>
+<table class="summary">
+${summaryRows}
+</table>
+
+<div class="charts">
+<div class="chart">
+<h2>Image Types</h2>
+${this.renderBarChart(imageTypes)}
+</div>
+<div class="chart">
+<h2>Alt Text Coverage</h2>
+${this.renderBarChart(altCoverage, ['#16a34a', '#dc2626'])}
+</div>
+</div>
+${actions ? `
+<h2>Recommended Actions</h2>
+<ul>
+${actions}
+</ul>
+` : ''}
+<h2>Pages</h2>
+<table>
+<thead><tr><th>Page</th><th>Status</th><th>Images</th><th>Without alt</th><th>Broken</th><th>Image size (KB)</th></tr></thead>
+<tbody>
+${pageRows}
+</tbody>
+</table>
+${brokenRows ? `
+<h2>Broken Images</h2>
+<table>
+<thead><tr><th>Image</th><th>Status</th><th>Pages</th></tr></thead>
+<tbody>
+${brokenRows}
+</tbody>
+</table>
+` : ''}
+</body>
+</html>
+`;
+    }
+
+    /**
+     * Horizontal bar chart as inline SVG
+     * @param {Array<[string, number]>} entries - Label and value pairs
+     * @param {string[]} colors - Bar colors, cycled
+     * @returns {string}
+     */
+    renderBarChart(entries, colors = CHART_COLORS) {
+        if (entries.length === 0) {
+            return '<p>No data</p>';
+        }
+
+        const barHeight = 24;
+        const gap = 8;
+        const labelWidth = 140;
+        const chartWidth = 260;
+        const total = entries.reduce((sum, [, value]) => sum + value, 0);
+        const max = Math.max(...entries.map(([, value]) => value), 1);
+        const height = entries.length * (barHeight + gap);
+
+        const bars = entries.map(([label, value], index) => {
+            const y = index * (barHeight + gap);
+            const width = Math.round((value / max) * chartWidth);
+            const percentage = total > 0 ? Math.round((value / total) * 100) : 0;
+            return `<text x="0" y="${y + 16}">${this.escapeHtml(label)}</text>
+<rect x="${labelWidth}" y="${y}" width="${width}" height="${barHeight}" fill="${colors[index % colors.length]}" rx="3"></rect>
+<text x="${labelWidth + width + 6}" y="${y + 16}">${value} (${percentage}%)</text>`;
+        }).join('\n');
+
+        return `<svg xmlns="http://www.w3.org/2000/svg" width="100%" viewBox="0 0 ${labelWidth + chartWidth + 90} ${height}" role="img">
+${bars}
+</svg>`;
+    }
+
+    escapeHtml(value) {
+        return String(value === null || value === undefined ? '' : value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
+    getSummaryRows(report) {
+        const domain = report.domain || {};
+        const analysis = report.analysis || {};
+        const rows = [
+            ['Image SEO score', domain.image_seo_score && domain.image_seo_score.score],
+            ['Rules violated', domain.image_seo_score && (domain.image_seo_score.violations.map(v => v.rule).join(', ') || 'none')],
+            ['Pages analyzed', domain.total_pages_analyzed],
+            ['Pages with errors', domain.pages_with_error_status],
+            ['Pages skipped (robots.txt)', (report.skipped_urls || []).length],
+            ['Images found', domain.total_images_found],
+            ['Images analyzed', domain.total_images_analyzed],
+            ['Images without alt text', `${domain.total_images_without_alt || 0} (${domain.total_images_without_alt_percentage || 0}%)`],
+            ['Total image size (KB)', domain.total_image_size_kb],
+            ['Average image size (KB)', domain.average_image_size_kb],
+            ['Most common image type', domain.most_common_image_type]
+        ];
+
+        if (domain.alt_text_quality) {
+            rows.push(['Average alt text score', domain.alt_text_quality.average_alt_text_score]);
+        }
+        if (domain.accessibility) {
+            rows.push(['WCAG 1.1.1 failures', domain.accessibility.wcag_1_1_1_failures]);
+        }
+        if (domain.broken_images) {
+            rows.push(['Broken images', domain.broken_images.broken_images_count]);
+        }
+        if (analysis.cancelled) {
+            rows.push(['Crawl cancelled', 'yes']);
+        }
+
+        return rows.filter(([, value]) => value !== undefined);
+    }
+
+    getRecommendedActions(domain) {
+        const recommendations = domain.optimization_recommendations || {};
+        const actions = [];
+
+        if (recommendations.needs_alt_text_optimization) {
+            actions.push(`Add alt text to ${recommendations.images_without_alt} images (${recommendations.images_without_alt_percentage}% of analyzed images)`);
+        }
+        if (recommendations.needs_alt_text_quality_fixes) {
+            actions.push(`Rewrite ${recommendations.images_with_low_quality_alt} low-quality alt texts`);
+        }
+        if (recommendations.needs_broken_image_fixes) {
+            actions.push(`Fix ${recommendations.broken_images} broken images`);
+        }
+        if (recommendations.mixed_content_images > 0) {
+            actions.push(`Serve ${recommendations.mixed_content_images} mixed-content images over HTTPS`);
+        }
+        if (recommendations.redirected_images > 0) {
+            actions.push(`Point ${recommendations.redirected_images} redirected image URLs at their final location`);
+        }
+        if (recommendations.needs_responsive_images) {
+            actions.push(`Add srcset/sizes to ${recommendations.images_without_responsive_variants} images`);
+        }
+        if (recommendations.needs_image_resizing) {
+            actions.push(`Resize ${recommendations.oversized_images} oversized images (about ${recommendations.estimated_wasted_kb} KB wasted)`);
+        }
+        if (recommendations.needs_modern_format_conversion) {
+            actions.push(`Convert images to WebP/AVIF (up to ${Math.max(recommendations.potential_webp_savings_kb, recommendations.potential_avif_savings_kb)} KB saved)`);
+        }
+        if (recommendations.needs_cache_policy_fixes) {
+            const minDays = Math.round(((domain.image_delivery && domain.image_delivery.min_cache_lifetime_seconds) || 0) / 86400);
+            actions.push(`Serve ${recommendations.images_with_short_cache_lifetime} images with a cache lifetime of at least ${minDays} days`);
+        }
+        if (recommendations.uncompressed_images > 0) {
+            actions.push(`Enable gzip or Brotli compression for ${recommendations.uncompressed_images} SVG/ICO/BMP images`);
+        }
+        if (recommendations.images_missing_vary_accept > 0) {
+            actions.push(`Add "Vary: Accept" to ${recommendations.images_missing_vary_accept} format-negotiated images`);
+        }
+        if (recommendations.lcp_images_lazy_loaded > 0) {
+            actions.push(`Remove lazy loading from the LCP image on ${recommendations.lcp_images_lazy_loaded} pages`);
+        }
+        if (recommendations.lcp_images_not_preloaded > 0) {
+            actions.push(`Preload or set fetchpriority="high" on the LCP image on ${recommendations.lcp_images_not_preloaded} pages`);
+        }
+        if (recommendations.images_missing_lazy_loading > 0) {
+            actions.push(`Add loading="lazy" to ${recommendations.images_missing_lazy_loading} below-the-fold images`);
+        }
+        if (recommendations.layout_shift_risk_images > 0) {
+            actions.push(`Set width and height (or aspect-ratio) on ${recommendations.layout_shift_risk_images} images to prevent layout shifts`);
+        }
+        if (recommendations.non_descriptive_filenames > 0) {
+            actions.push(`Rename ${recommendations.non_descriptive_filenames} images with non-descriptive filenames (camera names, hashes, numbers)`);
+        }
+        if (recommendations.structured_data_image_issues > 0) {
+            actions.push(`Fix ${recommendations.structured_data_image_issues} broken or too small structured data images`);
+        }
+        if (recommendations.og_image_issues > 0) {
+            actions.push(`Add or fix the og:image on ${recommendations.og_image_issues} pages`);
+        }
+        if (recommendations.images_not_in_sitemap > 0) {
+            actions.push(`List ${recommendations.images_not_in_sitemap} images in the image sitemap`);
+        }
+        if (recommendations.exact_duplicate_images > 0) {
+            actions.push(`Serve ${recommendations.exact_duplicate_images} duplicate image copies from a single URL (${recommendations.duplicate_wasted_kb} KB downloaded again)`);
+        }
+        if (recommendations.near_duplicate_clusters > 0) {
+            actions.push(`Review ${recommendations.near_duplicate_clusters} groups of near-identical images uploaded under different URLs`);
+        }
+        if (recommendations.needs_metadata_stripping) {
+            actions.push(`Strip image metadata (${recommendations.recoverable_metadata_kb} KB recoverable${recommendations.images_with_gps_metadata > 0 ? `, ${recommendations.images_with_gps_metadata} images leak GPS location` : ''})`);
+        }
+
+        return actions;
+    }
+
+    getPagesWithMostIssues(report, limit = 10) {
+        return (report.pages || [])
+            .filter(page => !page.error && page.imagesWithoutAltCount > 0)
+            .sort((a, b) => b.imagesWithoutAltCount - a.imagesWithoutAltCount)
+            .slice(0, limit);
+    }
+}
+
+module.exports = { ReportExporter };
@@ -0,0 +1,175 @@
+/**
+ * Request Scheduler for SEO Image Optimization Checker
+ *
+ * @author MySmartDigital
+ * @description Bounded-concurrency scheduler shared by page fetches and image requests. Caps the
+ * number of requests in flight overall and per host, spaces requests to a host to a maximum
+ * rate, and retries 429/503 responses with exponential backoff (honoring Retry-After), pausing
+ * the whole host while it backs off.
+ */
+
+const RETRY_STATUS_CODES = [429, 503];
+
+class RequestScheduler {
+    constructor({ maxConcurrency = 20, maxConcurrencyPerHost = 4, maxRequestsPerSecond = 0, maxRetries = 3, initialBackoffMs = 1000, maxBackoffMs = 30000 } = {}) {
+        this.maxConcurrency = Math.max(1, maxConcurrency);
+        this.maxConcurrencyPerHost = Math.max(1, maxConcurrencyPerHost);
+        this.maxRequestsPerSecond = maxRequestsPerSecond;
+        this.maxRetries = maxRetries;
+        this.initialBackoffMs = initialBackoffMs;
+        this.maxBackoffMs = maxBackoffMs;
+        this.active = 0;
+        this.waiting = [];
+        this.hosts = new Map();
+        this.timer = null;
+        this.timerAt = Infinity;
+        this.cancelled = false;
+    }
+
+    /**
+     * Reject every waiting request and any request scheduled afterwards; requests already running complete
+     */
+    cancel() {
+        this.cancelled = true;
+        clearTimeout(this.timer);
+        this.timer = null;
+        this.timerAt = Infinity;
+
+        const waiting = this.waiting.splice(0);
+        waiting.forEach(({ reject }) => reject(new Error('Request cancelled')));
+    }
+
+    getHostState(host) {
+        if (!this.hosts.has(host)) {
+            this.hosts.set(host, { active: 0, nextStartAt: 0, pausedUntil: 0 });
+        }
+        return this.hosts.get(host);
+    }
+
+    /**
+     * Run a request task once a slot for its host is free
+     * Tasks resolving with (or rejecting with a response carrying) status 429 or 503 are retried.
+     * @param {string} url - URL the task requests; non-HTTP URLs (data:) run immediately
+     * @param {Function} task - Async function performing the request
+     * @returns {Promise<*>} - Result of the last attempt
+     */
+    async schedule(url, task) {
+        let host;
+        try {
+            const parsedUrl = new URL(url);
+            if (!['http:', 'https:'].includes(parsedUrl.protocol)) return task();
+            host = parsedUrl.host;
+        } catch (e) {
+            return task();
+        }
+
+        for (let attempt = 0; ; attempt++) {
+            const release = await this.acquire(host);
+            let result;
+            let error = null;
+
+            try {
+                result = await task();
+            } catch (e) {
+                error = e;
+            } finally {
+                release();
+            }
+
+            const response = error ? error.response : result;
+            const status = response ? (response.status || response.statusCode) : undefined;
+
+            if (!RETRY_STATUS_CODES.includes(status) || attempt >= this.maxRetries) {
+                if (error) throw error;
+                return result;
+            }
+
+            const delay = this.getBackoffDelay(attempt, response);
+            const state = this.getHostState(host);
+            state.pausedUntil = Math.max(state.pausedUntil, Date.now() + delay);
+            console.warn(`Received ${status} from ${host}, retrying ${url} in ${delay}ms (attempt ${attempt + 2}/${this.maxRetries + 1})`);
+        }
+    }
+
+    /**
+     * Exponential backoff delay, or the server's Retry-After when it sends one
+     * @param {number} attempt - Zero-based attempt that just failed
+     * @param {Object} response - Response (or result) of the failed attempt
+     * @returns {number} - Delay in milliseconds
+     */
+    getBackoffDelay(attempt, response) {
+        const retryAfter = response && response.headers ? response.headers['retry-after'] : undefined;
+        if (retryAfter !== undefined) {
+            const seconds = Number(retryAfter);
+            const retryAt = Number.isFinite(seconds) ? Date.now() + seconds * 1000 : Date.parse(retryAfter);
+            if (Number.isFinite(retryAt)) {
+                return Math.min(this.maxBackoffMs, Math.max(0, retryAt - Date.now()));
+            }
+        }
+
+        return Math.min(this.maxBackoffMs, this.initialBackoffMs * 2 ** attempt);
+    }
+
+    acquire(host) {
+        return new Promise((resolve, reject) => {
+            if (this.cancelled) {
+                reject(new Error('Request cancelled'));
+                return;
+            }
+            this.waiting.push({ host, resolve, reject });
+            this.drain();
+        });
+    }
+
+    /**
+     * Start waiting requests, in FIFO order per host, while the limits allow it
+     */
+    drain() {
+        const now = Date.now();
+        let nextWakeAt = Infinity;
+
+        for (let i = 0; i < this.waiting.length && this.active < this.maxConcurrency;) {
+            const { host, resolve } = this.waiting[i];
+            const state = this.getHostState(host);
+            const readyAt = Math.max(state.nextStartAt, state.pausedUntil);
+
+            if (state.active >= this.maxConcurrencyPerHost) {
+                i++;
+                continue;
+            }
+
+            if (readyAt > now) {
+                nextWakeAt = Math.min(nextWakeAt, readyAt);
+                i++;
+                continue;
+            }
+
+            this.waiting.splice(i, 1);
+            this.active++;
+            state.active++;
+            state.nextStartAt = this.maxRequestsPerSecond > 0 ? now + 1000 / this.maxRequestsPerSecond : 0;
+
+            let released = false;
+            resolve(() => {
+                if (released) return;
+                released = true;
+                this.active--;
+                state.active--;
+                this.drain();
+            });
+        }
+
+        // Wake up when the earliest rate-limited or paused host becomes ready
+        if (nextWakeAt < this.timerAt) {
+            clearTimeout(this.timer);
+            this.timerAt = nextWakeAt;
+            this.timer = setTimeout(() => {
+                this.timer = null;
+                this.timerAt = Infinity;
+                this.drain();
+            }, nextWakeAt - now);
+        }
+    }
+}
+
+module.exports = { RequestScheduler };
@@ -0,0 +1,191 @@
+/**
+ * Responsive Image Analyzer for SEO Image Optimization Checker
+ *
+ * @author MySmartDigital
+ * @description Extracts responsive image candidates from srcset, sizes and <picture> sources,
+ * flags images served without responsive variants and <picture> blocks without a modern
+ * format (AVIF/WebP) source, and aggregates these findings at domain level.
+ */
+
+const MODERN_FORMAT_TYPES = ['image/avif', 'image/webp'];
+const MODERN_FORMAT_EXTENSION = /\.(avif|webp)$/i;
+
+class ResponsiveImageAnalyzer {
+    /**
+     * Parse a srcset attribute into candidates
+     * Follows the HTML srcset grammar: a URL is a run of non-whitespace characters
+     * (a trailing comma ends it), followed by an optional width or density descriptor.
+     * @param {string} srcset - srcset attribute value
+     * @returns {Array<{url: string, descriptor: string}>}
+     */
+    parseSrcset(srcset) {
+        const candidates = [];
+        if (!srcset) return candidates;
+
+        let position = 0;
+        const input = String(srcset);
+
+        while (position < input.length) {
+            // Skip whitespace and separating commas
+            while (position < input.length && /[\s,]/.test(input[position])) position++;
+            if (position >= input.length) break;
+
+            let url = '';
+            while (position < input.length && !/\s/.test(input[position])) {
+                url += input[position++];
+            }
+
+            let descriptor = '';
+            if (url.endsWith(',')) {
+                url = url.replace(/,+$/, '');
+            } else {
+                while (position < input.length && input[position] !== ',') {
+                    descriptor += input[position++];
+                }
+            }
+
+            if (url) {
+                candidates.push({ url, descriptor: descriptor.trim() || '1x' });
+            }
+        }
+
+        return candidates;
+    }
+
+    /**
+     * Collect every responsive candidate for an image element
+     * @param {Function} $ - Cheerio root
+     * @param {Object} $img - Cheerio image element
+     * @param {string} baseUrl - Page URL used to resolve relative candidates
+     * @param {string} imageUrl - Resolved URL of the image's effective src
+     * @param {string} contentType - Content type of the effective src
+     * @returns {Object} - Responsive analysis for the image record
+     */
+    analyzeImage($, $img, baseUrl, imageUrl, contentType) {
+        const candidates = [];
+        const seenUrls = new Set();
+
+        const addCandidates = (srcset, origin, attributes = {}) => {
+            for (const candidate of this.parseSrcset(srcset)) {
+                const url = this.resolveUrl(candidate.url, baseUrl);
+                const key = `${origin}|${attributes.type || ''}|${url}`;
+                if (!url || seenUrls.has(key)) continue;
+                seenUrls.add(key);
+
+                candidates.push({
+                    url,
+                    descriptor: candidate.descriptor,
+                    origin,
+                    ...attributes
+                });
+            }
+        };
+
+        addCandidates($img.attr('srcset') || $img.attr('data-srcset'), 'srcset');
+
+        const $picture = $img.parent().is('picture') ? $img.parent() : null;
+        const pictureSources = [];
+
+        if ($picture) {
+            $picture.children('source').each((i, el) => {
+                const $source = $(el);
+                const type = $source.attr('type') || '';
+                const media = $source.attr('media') || '';
+                const sizes = $source.attr('sizes') || '';
+                const srcset = $source.attr('srcset') || $source.attr('data-srcset') || '';
+
+                pictureSources.push({ type, media, sizes });
+                addCandidates(srcset, 'picture-source', { type, media });
+            });
+        }
+
+        // Width descriptors, pixel densities or media queries select between sizes;
+        // a single 1x source only offers an alternative format. Vectors scale on their own.
+        const isVector = contentType === 'image/svg+xml';
+        const hasResponsiveVariants = isVector || candidates.some(c =>
+            /^\d+w$/.test(c.descriptor) || (/x$/.test(c.descriptor) && c.descriptor !== '1x') || !!c.media
+        );
+
+        const hasModernFormatSource = $picture
+            ? this.isModernFormat(contentType, imageUrl) ||
+              pictureSources.some(s => MODERN_FORMAT_TYPES.includes(s.type.toLowerCase())) ||
+              candidates.some(c => c.origin === 'picture-source' && this.isModernFormat(c.type, c.url))
+            : null;
+
+        return {
+            sizes: $img.attr('sizes') || '',
+            candidates,
+            candidatesCount: candidates.length,
+            inPicture: !!$picture,
+            pictureSources,
+            hasResponsiveVariants,
+            hasModernFormatSource
+        };
+    }
+
+    isModernFormat(contentType, url) {
+        if (contentType && MODERN_FORMAT_TYPES.includes(String(contentType).toLowerCase())) {
+            return true;
+        }
+
+        try {
+            return MODERN_FORMAT_EXTENSION.test(new URL(url).pathname);
+        } catch (e) {
+            return false;
+        }
+    }
+
+    resolveUrl(src, baseUrl) {
+        try {
+            return new URL(src, baseUrl).href;
+        } catch (e) {
+            return null;
+        }
+    }
+
+    /**
+     * Aggregate responsive image findings across page results
+     * @param {Array} results - Page results
+     * @returns {Object} - Domain-level responsive image summary
+     */
+    summarize(results) {
+        let imagesWithResponsiveVariants = 0;
+        let imagesWithoutResponsiveVariants = 0;
+        let pictureElements = 0;
+        let pictureElementsWithoutModernFormat = 0;
+        let totalCandidates = 0;
+
+        results.forEach(r => {
+            (r.images || []).forEach(image => {
+                if (!image.responsive) return;
+
+                totalCandidates += image.responsive.candidatesCount;
+                if (image.responsive.hasResponsiveVariants) {
+                    imagesWithResponsiveVariants++;
+                } else {
+                    imagesWithoutResponsiveVariants++;
+                }
+
+                if (image.responsive.inPicture) {
+                    pictureElements++;
+                    if (!image.responsive.hasModernFormatSource) {
+                        pictureElementsWithoutModernFormat++;
+                    }
+                }
+            });
+        });
+
+        const totalImages = imagesWithResponsiveVariants + imagesWithoutResponsiveVariants;
+
+        return {
+            images_with_responsive_variants: imagesWithResponsiveVariants,
+            images_without_responsive_variants: imagesWithoutResponsiveVariants,
+            images_without_responsive_variants_percentage: totalImages > 0 ? Math.round((imagesWithoutResponsiveVariants / totalImages) * 100) : 0,
+            total_responsive_candidates: totalCandidates,
+            picture_elements: pictureElements,
+            picture_elements_without_modern_format: pictureElementsWithoutModernFormat
+        };
+    }
+}
+
+module.exports = { ResponsiveImageAnalyzer };
@@ -0,0 +1,148 @@
+/**
+ * Robots.txt Manager for SEO Image Optimization Checker
+ *
+ * @author MySmartDigital
+ * @description Downloads and caches robots.txt per origin, decides whether the crawler
+ * may fetch a URL for the configured user agent and enforces Crawl-delay between
+ * requests to the same origin.
+ */
+
+const axios = require('axios');
+const robotsParser = require('robots-parser');
+
+class RobotsManager {
+    constructor({ userAgent = 'Mozilla/5.0 (compatible; SEO-Image-Optimization-Checker/1.0)', timeout = 10000 } = {}) {
+        this.userAgent = userAgent;
+        this.robotsUserAgent = this.getRobotsUserAgent(userAgent);
+        this.timeout = timeout;
+        this.cache = new Map();
+        this.lastRequestAt = new Map();
+    }
+
+    /**
+     * Extract the product token robots.txt groups are matched against
+     * e.g. "Mozilla/5.0 (compatible; SEO-Image-Optimization-Checker/1.0)" -> "SEO-Image-Optimization-Checker"
+     * @param {string} userAgent - Full User-Agent header value
+     * @returns {string} - Product token
+     */
+    getRobotsUserAgent(userAgent) {
+        const compatibleMatch = userAgent.match(/compatible;\s*([^\/;)\s]+)/i);
+        if (compatibleMatch) {
+            return compatibleMatch[1];
+        }
+
+        return userAgent.split('/')[0].trim() || '*';
+    }
+
+    /**
+     * Get the parsed robots.txt for the origin of a URL (fetched once per origin)
+     * Follows RFC 9309: a missing robots.txt (4xx, or more than 5 redirects) allows everything,
+     * an unreachable one (5xx or network error) is treated as a full disallow.
+     * @param {string} url - Any URL on the origin
+     * @returns {Promise<{robots: Object, available: boolean}>}
+     */
+    async getRobots(url) {
+        const origin = new URL(url).origin;
+
+        if (!this.cache.has(origin)) {
+            this.cache.set(origin, this.fetchRobots(origin));
+        }
+
+        return this.cache.get(origin);
+    }
+
+    async fetchRobots(origin) {
+        const robotsUrl = `${origin}/robots.txt`;
+
+        try {
+            const response = await axios.get(robotsUrl, {
+                headers: {
+                    'User-Agent': this.userAgent,
+                    'Accept': 'text/plain,*/*;q=0.8'
+                },
+                timeout: this.timeout,
+                maxRedirects: 5,
+                responseType: 'text',
+                validateStatus: function () {
+                    return true; // Status handling is done below
+                }
+            });
+
+            if (response.status >= 200 && response.status < 300) {
+                console.log(`Loaded robots.txt for ${origin}`);
+                return { robots: robotsParser(robotsUrl, String(response.data || '')), available: true };
+            }
+
+            // A redirect that could not be followed leaves robots.txt unavailable, like a 4xx (RFC 9309 2.3.1.2)
+            if (response.status >= 300 && response.status < 500) {
+                console.log(`No robots.txt for ${origin} (Status: ${response.status}), all paths allowed`);
+                return { robots: robotsParser(robotsUrl, ''), available: true };
+            }
+
+            console.warn(`robots.txt for ${origin} is unavailable (Status: ${response.status}), crawling disallowed`);
+        } catch (error) {
+            if (error.code === 'ERR_FR_TOO_MANY_REDIRECTS') {
+                console.log(`No robots.txt for ${origin} (more than 5 redirects), all paths allowed`);
+                return { robots: robotsParser(robotsUrl, ''), available: true };
+            }
+
+            console.warn(`Failed to fetch robots.txt for ${origin}: ${error.message}, crawling disallowed`);
+        }
+
+        return { robots: robotsParser(robotsUrl, 'User-agent: *\nDisallow: /'), available: false };
+    }
+
+    /**
+     * Check whether the crawler may fetch a URL
+     * @param {string} url - URL to check
+     * @returns {Promise<{allowed: boolean, reason: string|null}>}
+     */
+    async check(url) {
+        const { robots, available } = await this.getRobots(url);
+
+        if (!available) {
+            return { allowed: false, reason: 'robots_txt_unavailable' };
+        }
+
+        if (robots.isAllowed(url, this.robotsUserAgent) === false) {
+            return { allowed: false, reason: 'disallowed_by_robots_txt' };
+        }
+
+        return { allowed: true, reason: null };
+    }
+
+    async getCrawlDelay(url) {
+        const { robots } = await this.getRobots(url);
+        const crawlDelay = Number(robots.getCrawlDelay(this.robotsUserAgent));
+
+        return Number.isFinite(crawlDelay) && crawlDelay > 0 ? crawlDelay : 0;
+    }
+
+    async getSitemaps(url) {
+        const { robots } = await this.getRobots(url);
+        return robots.getSitemaps();
+    }
+
+    /**
+     * Wait until the origin's Crawl-delay has elapsed since the previous request to it
+     * @param {string} url - URL about to be fetched
+     */
+    async waitForCrawlDelay(url) {
+        const origin = new URL(url).origin;
+        const crawlDelayMs = (await this.getCrawlDelay(url)) * 1000;
+        const lastRequestAt = this.lastRequestAt.get(origin);
+        const now = Date.now();
+        const requestAt = crawlDelayMs > 0 && lastRequestAt ? Math.max(now, lastRequestAt + crawlDelayMs) : now;
+
+        // Reserve the slot before waiting so concurrent requests to the origin queue up behind each other
+        this.lastRequestAt.set(origin, requestAt);
+
+        const waitMs = requestAt - now;
+        if (waitMs > 0) {
+            console.log(`Respecting Crawl-delay for ${origin}: waiting ${waitMs}ms`);
+            await new Promise(resolve => setTimeout(resolve, waitMs));
+        }
+    }
+}
+
+module.exports = { RobotsManager };
@@ -0,0 +1,621 @@
+/**
+ * Site Audit for SEO Image Optimization Checker
+ *
+ * @author MySmartDigital
+ * @description Crawl engine shared by the Apify Actor and the local API server. Seeds the queue
+ * (start URL, sitemaps or a URL list), honors robots.txt, fetches or renders pages concurrently
+ * while committing results in queue order, analyzes every page's images and rolls the results up
+ * into the domain report. Callers observe progress through onPage, onImage and onError hooks.
+ */
+
+const axios = require('axios');
+const { PageImagesAnalyzer } = require('./page-images-analyzer');
+const { URLNormalizer } = require('./url-normalizer');
+const { PageRenderer } = require('./page-renderer');
+const { RobotsManager } = require('./robots-manager');
+const { SitemapDiscovery } = require('./sitemap-discovery');
+const { RequestScheduler } = require('./request-scheduler');
+const { ImageInfoCache } = require('./image-info-cache');
+const { calculateDomainAnalysis } = require('./domain-analysis');
+const { ReportExporter } = require('./report-exporter');
+const { AuditComparator } = require('./audit-comparator');
+const { ImageSeoScorer } = require('./image-seo-scorer');
+const { LocalFileReader } = require('./local-file-reader');
+
+// Redirects followed per page fetch; every hop is checked against robots.txt
+const MAX_REDIRECTS = 5;
+
+const DEFAULT_OPTIONS = {
+    startUrl: null,
+    crawlUrls: false,
+    maxPages: 5,
+    maxImagesPerPage: -1,
+    includeImageSizeAnalysis: true,
+    includeAltTextAnalysis: true,
+    userAgent: 'Mozilla/5.0 (compatible; SEO-Image-Optimization-Checker/1.0)',
+    waitForPageLoad: 3000,
+    renderMode: 'static',
+    respectRobotsTxt: true,
+    discoveryMode: 'links',
+    urlList: [],
+    includeIntrinsicDimensions: false,
+    oversizedImageThreshold: 1.5,
+    includeAllImageSources: true,
+    includeFormatSavingsEstimate: false,
+    conversionQuality: 75,
+    includeCompressionAudit: false,
+    includeDuplicateDetection: false,
+    maxConcurrency: 5,
+    maxConcurrencyPerHost: 4,
+    maxRequestsPerSecond: 10,
+    // Shared image probe cache; pass a store- or file-backed instance to persist it
+    imageInfoCache: null,
+    persistImageInfoCache: false,
+    // Report of a previous run to compare against
+    previousReport: null,
+    sizeRegressionThreshold: 10,
+    // Rule overrides for the image SEO score; see ImageSeoScorer
+    scoringRules: {},
+    // Static build directory that file:// URLs are read from; file:// URLs are refused without it
+    localRoot: null,
+    // Compare page images with the image entries of the site's sitemaps
+    checkImageSitemap: false,
+    // Event hooks, awaited in crawl order
+    onPage: null,
+    onImage: null,
+    onError: null
+};
+
+class SiteAudit {
+    /**
+     * @param {Object} options - Audit options; see DEFAULT_OPTIONS for names and defaults
+     */
+    constructor(options = {}) {
+        // Undefined values fall back to defaults, like destructuring defaults in the entry points
+        this.options = { ...DEFAULT_OPTIONS };
+        Object.entries(options).forEach(([key, value]) => {
+            if (value !== undefined) this.options[key] = value;
+        });
+
+        this.localFileReader = this.options.localRoot ? new LocalFileReader({ rootDir: this.options.localRoot }) : null;
+        this.pageImagesAnalyzer = new PageImagesAnalyzer({ localFileReader: this.localFileReader });
+        this.urlNormalizer = new URLNormalizer();
+        this.requestScheduler = new RequestScheduler({
+            maxConcurrencyPerHost: this.options.maxConcurrencyPerHost,
+            maxRequestsPerSecond: this.options.maxRequestsPerSecond
+        });
+        this.imageInfoCache = this.options.imageInfoCache || new ImageInfoCache();
+        this.imageSeoScorer = new ImageSeoScorer(this.options.scoringRules);
+        this.pageRenderer = null;
+        this.robotsManager = null;
+        // Queued (normalized) URL -> URL as first discovered, e.g. with the trailing slash robots.txt rules match on
+        this.discoveredUrls = new Map();
+        this.sitemapDiscovery = new SitemapDiscovery({ userAgent: this.options.userAgent });
+        // Image URLs of the site's image sitemaps, loaded by run() when checkImageSitemap is set
+        this.imageSitemapUrls = null;
+        this.cancelled = false;
+        this.crawlState = null;
+    }
+
+    /**
+     * Stop the crawl: no new pages are started, queued requests are dropped and
+     * run() resolves with the pages completed so far
+     */
+    cancel() {
+        if (this.cancelled) return;
+
+        console.log('Cancelling site audit...');
+        this.cancelled = true;
+        this.requestScheduler.cancel();
+    }
+
+    /**
+     * Live crawl counters
+     * @returns {Object} - Pages queued, in progress, done, failed and skipped, images analyzed and image requests made
+     */
+    getProgress() {
+        const { urlsToProcess = [], inFlight = [], results = [], skippedUrls = [] } = this.crawlState || {};
+
+        return {
+            pages_queued: urlsToProcess.length,
+            pages_in_progress: inFlight.length,
+            pages_done: results.filter(r => !r.error).length,
+            pages_failed: results.filter(r => r.error).length,
+            pages_skipped: skippedUrls.length,
+            images_analyzed: results.reduce((sum, r) => sum + (r.imagesAnalyzed || 0), 0),
+            images_probed: this.imageInfoCache.getStats().requests_made
+        };
+    }
+
+    /**
+     * Check the options before starting an audit
+     * @param {Object} options - Audit options
+     * @param {boolean} requireStartUrl - Whether a start URL is mandatory (false for single-page analysis)
+     * @returns {{error: string, message: string}|null} - Validation failure, or null when the options are valid
+     */
+    static validate(options, requireStartUrl = true) {
+        const { startUrl, renderMode = 'static', discoveryMode = 'links', exportFormats = [], scoringRules = {}, imageSitemapBaseUrl = null, conversionQuality = 75 } = options;
+
+        if (requireStartUrl && !startUrl) {
+            return { error: 'startUrl is required', message: 'Please provide a valid startUrl' };
+        }
+
+        if (!['static', 'browser'].includes(renderMode)) {
+            return { error: 'Invalid renderMode', message: `Invalid renderMode "${renderMode}". Use "static" or "browser".` };
+        }
+
+        if (!['links', 'sitemap', 'urlList'].includes(discoveryMode)) {
+            return { error: 'Invalid discoveryMode', message: `Invalid discoveryMode "${discoveryMode}". Use "links", "sitemap" or "urlList".` };
+        }
+
+        const invalidFormat = exportFormats.find(format => !ReportExporter.getFormat(format));
+        if (invalidFormat) {
+            return { error: 'Invalid exportFormats', message: `Invalid export format "${invalidFormat}". Use ${ReportExporter.formats.map(f => `"${f}"`).join(', ')}.` };
+        }
+
+        if (!Number.isInteger(conversionQuality) || conversionQuality < 1 || conversionQuality > 100) {
+            return { error: 'Invalid conversionQuality', message: `Invalid conversionQuality "${conversionQuality}". Use an integer from 1 to 100.` };
+        }
+
+        if (imageSitemapBaseUrl && !/^https?:\/\/[^/]/i.test(imageSitemapBaseUrl)) {
+            return { error: 'Invalid imageSitemapBaseUrl', message: `Invalid imageSitemapBaseUrl "${imageSitemapBaseUrl}". Use an absolute http(s) URL.` };
+        }
+
+        const rulesError = ImageSeoScorer.validateRules(scoringRules);
+        if (rulesError) {
+            return { error: 'Invalid scoringRules', message: rulesError };
+        }
+
+        return null;
+    }
+
+    /**
+     * Map a failed page request to the status code reported for the page
+     * @param {Error} error - Fetch, render or analysis error
+     * @returns {number}
+     */
+    getErrorStatusCode(error) {
+        if (error.response) {
+            return error.response.status;
+        } else if (error.code === 'ENOTFOUND' || error.code === 'ECONNREFUSED') {
+            return 404; // DNS resolution failed or connection refused
+        } else if (error.code === 'ETIMEDOUT' || error.code === 'ECONNABORTED' || error.name === 'TimeoutError') {
+            return 408; // Request timeout
+        } else if (error.code === 'ECONNRESET') {
+            return 503; // Connection reset
+        }
+        return 500; // Default to server error
+    }
+
+    getPageRenderer() {
+        if (this.options.renderMode === 'browser' && !this.pageRenderer) {
+            this.pageRenderer = new PageRenderer({ userAgent: this.options.userAgent, waitForPageLoad: this.options.waitForPageLoad });
+        }
+        return this.pageRenderer;
+    }
+
+    /**
+     * Fetch (or render) a single page and analyze its images
+     * @param {string} url - Page URL
+     * @returns {Promise<Object>} - Page result; fetch failures are thrown
+     */
+    async analyzeUrl(url) {
+        const { userAgent } = this.options;
+        const pageRenderer = this.getPageRenderer();
+
+        // Honor Crawl-delay for our user agent
+        if (this.robotsManager) {
+            await this.robotsManager.waitForCrawlDelay(url);
+        }
+
+        let html;
+        let statusCode;
+        let finalUrl = url;
+        let renderedImages = [];
+
+        if (LocalFileReader.isFileUrl(url)) {
+            if (!this.localFileReader) {
+                throw new Error('Local files can only be audited with the localRoot option');
+            }
+            ({ html, statusCode } = await this.localFileReader.readPage(url));
+        } else if (pageRenderer) {
+            // Render page in headless Chromium so JavaScript-injected images are present
+            ({ html, statusCode, finalUrl, renderedImages } = await this.requestScheduler.schedule(url, () => pageRenderer.render(url, {
+                checkRedirect: this.robotsManager ? redirectUrl => this.checkRobots(redirectUrl) : null
+            })));
+        } else {
+            ({ html, statusCode, finalUrl } = await this.fetchPage(url));
+        }
+
+        // Perform comprehensive image analysis
+        const imageData = await this.pageImagesAnalyzer.analyzePage({
+            url: this.urlNormalizer.normalize(url),
+            html,
+            maxImagesPerPage: this.options.maxImagesPerPage,
+            includeImageSizeAnalysis: this.options.includeImageSizeAnalysis,
+            includeAltTextAnalysis: this.options.includeAltTextAnalysis,
+            userAgent,
+            includeIntrinsicDimensions: this.options.includeIntrinsicDimensions,
+            oversizedImageThreshold: this.options.oversizedImageThreshold,
+            renderedImages,
+            includeAllImageSources: this.options.includeAllImageSources,
+            includeFormatSavingsEstimate: this.options.includeFormatSavingsEstimate,
+            conversionQuality: this.options.conversionQuality,
+            includeCompressionAudit: this.options.includeCompressionAudit,
+            includeDuplicateDetection: this.options.includeDuplicateDetection,
+            requestScheduler: this.requestScheduler,
+            imageInfoCache: this.imageInfoCache,
+            imageSitemapUrls: this.imageSitemapUrls
+        });
+
+        // Add status code to result
+        const result = {
+            ...imageData,
+            finalUrl,
+            statusCode: statusCode,
+            analysis_date: new Date().toISOString(),
+            data_source: 'msd_page_images'
+        };
+        result.seoScore = this.imageSeoScorer.scorePage(result);
+
+        return result;
+    }
+
+    /**
+     * Fetch a page with axios, following redirects one hop at a time
+     * Each redirect target is checked against robots.txt before it is requested, so a
+     * redirect cannot lead the crawler into a disallowed path.
+     * @param {string} url - Page URL
+     * @returns {Promise<{html: string, statusCode: number, finalUrl: string}>} - Redirects into disallowed paths are thrown with a `robotsReason`
+     */
+    async fetchPage(url) {
+        let currentUrl = url;
+
+        for (let redirects = 0; ; redirects++) {
+            const response = await this.requestScheduler.schedule(currentUrl, () => axios.get(currentUrl, {
+                headers: {
+                    'User-Agent': this.options.userAgent,
+                    'Accept-Language': 'en-US,en;q=0.9',
+                    'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/webp,*/*;q=0.8'
+                },
+                timeout: 30000,
+                maxRedirects: 0,
+                validateStatus: function (status) {
+                    return status < 500; // Accept all status codes below 500
+                }
+            }));
+
+            const location = response.headers.location;
+            if (response.status < 300 || response.status >= 400 || !location) {
+                return { html: response.data, statusCode: response.status, finalUrl: currentUrl };
+            }
+
+            if (redirects >= MAX_REDIRECTS) {
+                throw new Error('Maximum number of redirects exceeded');
+            }
+
+            const nextUrl = new URL(location, currentUrl).href;
+            if (this.robotsManager) {
+                const robotsCheck = await this.checkRobots(nextUrl);
+                if (!robotsCheck.allowed) {
+                    const error = new Error(`Redirect to ${nextUrl} is not allowed: ${robotsCheck.reason}`);
+                    error.robotsReason = robotsCheck.reason;
+                    error.redirectUrl = nextUrl;
+                    throw error;
+                }
+                await this.robotsManager.waitForCrawlDelay(nextUrl);
+            }
+            currentUrl = nextUrl;
+        }
+    }
+
+    /**
+     * Check a URL against robots.txt in its normalized form and in the form it was discovered in
+     * The normalizer drops trailing slashes, which rules such as "Disallow: /private/" depend on.
+     * @param {string} url - URL to check
+     * @param {string} discoveredUrl - The URL as found in the page, sitemap or input
+     * @returns {Promise<{allowed: boolean, reason: string|null}>}
+     */
+    async checkRobots(url, discoveredUrl = url) {
+        for (const candidate of new Set([discoveredUrl, url])) {
+            const robotsCheck = await this.robotsManager.check(candidate);
+            if (!robotsCheck.allowed) return robotsCheck;
+        }
+
+        return { allowed: true, reason: null };
+    }
+
+    /**
+     * Remember the form a URL was discovered in, keyed by its normalized form
+     * @param {string} normalizedUrl - Queued URL
+     * @param {string} rawUrl - URL as discovered
+     */
+    rememberDiscoveredUrl(normalizedUrl, rawUrl) {
+        if (!this.discoveredUrls.has(normalizedUrl)) {
+            this.discoveredUrls.set(normalizedUrl, String(rawUrl).trim());
+        }
+    }
+
+    /**
+     * Build the initial queue: the start URL followed by sitemap or URL list seeds
+     * @returns {Promise<string[]>} - Normalized URLs
+     */
+    async seedQueue() {
+        const { startUrl, discoveryMode, urlList, userAgent } = this.options;
+
+        // Normalize start URL before adding to processing queue
+        const normalizedStartUrl = this.urlNormalizer.normalize(startUrl);
+        const urlsToProcess = [normalizedStartUrl];
+        this.rememberDiscoveredUrl(normalizedStartUrl, startUrl);
+
+        // Seed the queue from sitemaps or an explicit URL list
+        let seedUrls = [];
+        if (discoveryMode === 'sitemap') {
+            const robotsSitemaps = await (this.robotsManager || new RobotsManager({ userAgent })).getSitemaps(normalizedStartUrl);
+            seedUrls = await this.sitemapDiscovery.discover(normalizedStartUrl, robotsSitemaps);
+        } else if (discoveryMode === 'urlList') {
+            seedUrls = urlList;
+        }
+
+        for (const seedUrl of seedUrls) {
+            const normalizedSeedUrl = this.urlNormalizer.normalize(seedUrl);
+            const isLocalSeed = this.localFileReader && LocalFileReader.isFileUrl(normalizedSeedUrl);
+            if ((/^https?:\/\//i.test(normalizedSeedUrl) || isLocalSeed) && !urlsToProcess.includes(normalizedSeedUrl)) {
+                urlsToProcess.push(normalizedSeedUrl);
+                this.rememberDiscoveredUrl(normalizedSeedUrl, seedUrl);
+            }
+        }
+
+        return urlsToProcess;
+    }
+
+    /**
+     * Read the image entries of the site's sitemaps
+     * Sitemaps already read for sitemap discovery are not fetched again. A site without image
+     * entries has no image sitemap to compare against, and a partial read (more sitemaps than
+     * maxSitemaps) would report listed images as missing, so coverage is not reported for either.
+     * @returns {Promise<Set<string>|null>} - Image URLs, or null for local builds and sites without image sitemap entries
+     */
+    async loadImageSitemap() {
+        const { startUrl, userAgent } = this.options;
+        if (!/^https?:\/\//i.test(startUrl)) return null;
+
+        const normalizedStartUrl = this.urlNormalizer.normalize(startUrl);
+        const robotsSitemaps = await (this.robotsManager || new RobotsManager({ userAgent })).getSitemaps(normalizedStartUrl);
+        const { imageUrls, partial } = await this.sitemapDiscovery.discoverImages(normalizedStartUrl, robotsSitemaps);
+        if (imageUrls.size === 0) {
+            console.log('No image sitemap entries found, image sitemap coverage is not checked');
+            return null;
+        }
+        // Images listed in the sitemaps left unread would be reported as missing
+        if (partial) {
+            console.warn('Not every sitemap could be read, image sitemap coverage is not checked');
+            return null;
+        }
+        return imageUrls;
+    }
+
+    /**
+     * Same-origin links of an analyzed page, resolved and normalized
+     * @param {Object} result - Page result
+     * @returns {string[]}
+     */
+    extractInternalLinks(result) {
+        // Local builds are audited from their file listing, not by following links
+        if (LocalFileReader.isFileUrl(result.url)) return [];
+
+        const links = [];
+        const baseDomain = new URL(result.url).origin;
+
+        for (const linkObj of result._internalLinks || []) {
+            try {
+                const link = linkObj.url || linkObj; // Handle both object and string formats
+                let fullUrl;
+                if (link.startsWith('http')) {
+                    fullUrl = link;
+                } else if (link.startsWith('/')) {
+                    fullUrl = baseDomain + link;
+                } else {
+                    fullUrl = new URL(link, result.url).href;
+                }
+
+                const normalizedLink = this.urlNormalizer.normalize(fullUrl);
+                if (normalizedLink.startsWith(baseDomain)) {
+                    links.push(normalizedLink);
+                    this.rememberDiscoveredUrl(normalizedLink, fullUrl);
+                }
+            } catch (e) {
+                // Skip invalid URLs
+                continue;
+            }
+        }
+
+        return links;
+    }
+
+    /**
+     * Crawl the site and build the full report
+     * @returns {Promise<{domain: Object, pages: Array, skipped_urls: Array, analysis: Object, comparison?: Object}>}
+     */
+    async run() {
+        const { crawlUrls, maxPages, discoveryMode, renderMode, maxConcurrency, maxConcurrencyPerHost, maxRequestsPerSecond, respectRobotsTxt, userAgent, onPage, onImage, onError } = this.options;
+
+        const validationError = SiteAudit.validate(this.options);
+        if (validationError) {
+            throw new Error(validationError.message);
+        }
+
+        try {
+            console.log(`Analyzing images for domain: ${new URL(this.options.startUrl).hostname}`);
+
+            const results = [];
+            const visitedUrls = new Set();
+            const skippedUrls = [];
+            this.robotsManager = respectRobotsTxt ? new RobotsManager({ userAgent }) : null;
+
+            if (this.options.persistImageInfoCache) {
+                await this.imageInfoCache.load();
+            }
+
+            const urlsToProcess = await this.seedQueue();
+            if (this.options.checkImageSitemap) {
+                this.imageSitemapUrls = await this.loadImageSitemap();
+            }
+            let processedCount = 0;
+
+            // Determine the maximum pages to process (sitemap and URL list discovery always use maxPages)
+            const effectiveMaxPages = crawlUrls || discoveryMode !== 'links' ? maxPages : 1;
+
+            console.log(`Crawl mode: ${crawlUrls ? 'Multi-page crawling enabled' : 'Link crawling disabled'}`);
+            console.log(`Discovery mode: ${discoveryMode} (${urlsToProcess.length} URLs queued)`);
+            console.log(`Maximum pages to process: ${effectiveMaxPages}`);
+            console.log(`Render mode: ${renderMode === 'browser' ? 'Headless browser (JavaScript executed)' : 'Static HTML'}`);
+            console.log(`Concurrency: ${maxConcurrency} pages, ${maxConcurrencyPerHost} requests per host, ${maxRequestsPerSecond > 0 ? `${maxRequestsPerSecond} requests/s per host` : 'no rate limit'}`);
+
+            // Pages are analyzed concurrently but committed in queue order, so the output matches a sequential crawl
+            const inFlight = [];
+            this.crawlState = { urlsToProcess, inFlight, results, skippedUrls };
+
+            while (!this.cancelled && (urlsToProcess.length > 0 || inFlight.length > 0) && processedCount < effectiveMaxPages) {
+                // Start pages in queue order while there is room; pages in flight count toward the page limit
+                while (!this.cancelled && urlsToProcess.length > 0 && inFlight.length < maxConcurrency && processedCount + inFlight.length < effectiveMaxPages) {
+                    const currentUrl = urlsToProcess.shift();
+
+                    // Check if already visited (currentUrl is already normalized)
+                    if (visitedUrls.has(currentUrl)) {
+                        console.log(`Skipping already processed URL: ${currentUrl}`);
+                        continue;
+                    }
+                    visitedUrls.add(currentUrl);
+
+                    // Honor robots.txt rules for our user agent
+                    if (this.robotsManager) {
+                        const robotsCheck = await this.checkRobots(currentUrl, this.discoveredUrls.get(currentUrl));
+                        if (!robotsCheck.allowed) {
+                            console.log(`Skipping ${currentUrl}: ${robotsCheck.reason}`);
+                            skippedUrls.push({
+                                url: currentUrl,
+                                reason: robotsCheck.reason
+                            });
+                            continue;
+                        }
+                    }
+
+                    console.log(`Processing: ${currentUrl} (${processedCount + inFlight.length + 1}/${effectiveMaxPages})`);
+
+                    inFlight.push({
+                        currentUrl,
+                        outcome: this.analyzeUrl(currentUrl).then(result => ({ result }), error => ({ error }))
+                    });
+                }
+
+                if (inFlight.length === 0) continue;
+
+                const { currentUrl, outcome } = inFlight[0];
+                const { result, error } = await outcome;
+                inFlight.shift();
+
+                // Pages still in flight when the crawl is cancelled are dropped
+                if (this.cancelled) break;
+
+                // Redirected into a path robots.txt disallows: the target was not fetched
+                if (error && error.robotsReason) {
+                    console.log(`Skipping ${currentUrl}: redirects to ${error.redirectUrl} (${error.robotsReason})`);
+                    skippedUrls.push({
+                        url: currentUrl,
+                        reason: error.robotsReason,
+                        redirect_url: error.redirectUrl
+                    });
+                    continue;
+                }
+
+                if (error) {
+                    console.error(`Error analyzing ${currentUrl}:`, error.message);
+
+                    const errorResult = {
+                        url: currentUrl,
+                        error: error.message,
+                        statusCode: this.getErrorStatusCode(error),
+                        analysis_date: new Date().toISOString(),
+                        data_source: 'msd_page_images'
+                    };
+                    results.push(errorResult);
+
+                    if (onError) {
+                        await onError(errorResult, error);
+                    }
+                    continue;
+                }
+
+                results.push(result);
+                processedCount++;
+
+                console.log(`Completed analysis for: ${result.url} (Status: ${result.statusCode})`);
+                console.log(`Images found: ${result.totalImagesFound}, Analyzed: ${result.imagesAnalyzed}`);
+                console.log(`Images without alt: ${result.imagesWithoutAltCount}`);
+
+                if (onImage) {
+                    for (const image of result.images) {
+                        await onImage(image, result);
+                    }
+                }
+
+                if (onPage) {
+                    await onPage(result);
+                }
+
+                // If crawling is enabled, queue internal links for further processing
+                if (crawlUrls) {
+                    for (const link of this.extractInternalLinks(result)) {
+                        // Only add if not already visited or queued
+                        if (!visitedUrls.has(link) && !urlsToProcess.includes(link)) {
+                            urlsToProcess.push(link);
+                            console.log(`Added to crawl queue: ${link}`);
+                        }
+                    }
+                }
+            }
+
+            if (this.options.persistImageInfoCache) {
+                await this.imageInfoCache.save();
+            }
+
+            // Calculate domain-level analysis
+            const domainAnalysis = calculateDomainAnalysis(results, { imageSeoScorer: this.imageSeoScorer, skippedUrls, localRoot: this.options.localRoot });
+
+            // Create comprehensive result structure
+            const report = {
+                domain: domainAnalysis,
+                pages: results,
+                skipped_urls: skippedUrls,
+                analysis: {
+                    total_pages_processed: results.length,
+                    total_pages_skipped: skippedUrls.length,
+                    image_info_cache: this.imageInfoCache.getStats(),
+                    cancelled: this.cancelled,
+                    analysis_completed_at: new Date().toISOString(),
+                    images_engine_version: '1.0.0',
+                    data_format_version: '1.0'
+                }
+            };
+
+            if (this.options.previousReport) {
+                const auditComparator = new AuditComparator({ sizeRegressionThreshold: this.options.sizeRegressionThreshold });
+                report.comparison = auditComparator.compare(this.options.previousReport, report);
+            }
+
+            return report;
+        } finally {
+            await this.close();
+        }
+    }
+
+    async close() {
+        if (this.pageRenderer) {
+            await this.pageRenderer.close();
+            this.pageRenderer = null;
+        }
+    }
+}
+
+module.exports = { SiteAudit };
@@ -0,0 +1,167 @@
+/**
+ * Sitemap Discovery for SEO Image Optimization Checker
+ *
+ * @author MySmartDigital
+ * @description Discovers page URLs, and the images of image sitemaps, from XML sitemaps. Reads
+ * /sitemap.xml and any sitemaps declared in robots.txt, follows sitemap indexes and transparently
+ * decompresses gzipped sitemaps. Sitemaps over 50 MB, compressed or not, are skipped.
+ */
+
+const axios = require('axios');
+const cheerio = require('cheerio');
+const zlib = require('zlib');
+
+// Sitemaps are capped at 50 MB uncompressed by the protocol; larger bodies are not sitemaps
+const MAX_SITEMAP_BYTES = 50 * 1024 * 1024;
+
+class SitemapDiscovery {
+    constructor({ userAgent = 'Mozilla/5.0 (compatible; SEO-Image-Optimization-Checker/1.0)', timeout = 30000, maxSitemaps = 50, maxUrls = 10000 } = {}) {
+        this.userAgent = userAgent;
+        this.timeout = timeout;
+        this.maxSitemaps = maxSitemaps;
+        this.maxUrls = maxUrls;
+        this.reading = null;
+    }
+
+    /**
+     * Collect page URLs from the sitemaps of the start URL's origin
+     * @param {string} startUrl - Any URL on the site
+     * @param {string[]} robotsSitemaps - Sitemap URLs declared in robots.txt
+     * @returns {Promise<string[]>} - Page URLs in sitemap order (same origin only)
+     */
+    async discover(startUrl, robotsSitemaps = []) {
+        const { pageUrls } = await this.read(startUrl, robotsSitemaps);
+        return pageUrls;
+    }
+
+    /**
+     * Collect the image URLs listed in the site's image sitemaps (<image:image><image:loc>)
+     * @param {string} startUrl - Any URL on the site
+     * @param {string[]} robotsSitemaps - Sitemap URLs declared in robots.txt
+     * @returns {Promise<{imageUrls: Set<string>, sitemapsRead: number, partial: boolean}>} - partial when maxSitemaps left sitemaps unread
+     */
+    async discoverImages(startUrl, robotsSitemaps = []) {
+        const { imageUrls, sitemapsRead, partial } = await this.read(startUrl, robotsSitemaps);
+        return { imageUrls, sitemapsRead, partial };
+    }
+
+    /**
+     * Read the sitemaps once per instance; page and image discovery share the result
+     */
+    read(startUrl, robotsSitemaps) {
+        if (!this.reading) {
+            this.reading = this.readSitemaps(startUrl, robotsSitemaps);
+        }
+        return this.reading;
+    }
+
+    async readSitemaps(startUrl, robotsSitemaps) {
+        const origin = new URL(startUrl).origin;
+        const sitemapQueue = [...new Set([...robotsSitemaps, `${origin}/sitemap.xml`])];
+        const visitedSitemaps = new Set();
+        const pageUrls = [];
+        const seenPageUrls = new Set();
+        const imageUrls = new Set();
+        let sitemapsRead = 0;
+
+        // Reading continues past maxUrls so image discovery sees every <image:loc>, not the first pages' images
+        while (sitemapQueue.length > 0 && visitedSitemaps.size < this.maxSitemaps) {
+            const sitemapUrl = sitemapQueue.shift();
+
+            if (visitedSitemaps.has(sitemapUrl)) continue;
+            visitedSitemaps.add(sitemapUrl);
+
+            try {
+                const xml = await this.fetchSitemap(sitemapUrl);
+                const sitemap = this.parseSitemap(xml);
+                sitemapsRead++;
+
+                if (sitemap.type === 'index') {
+                    console.log(`Sitemap index ${sitemapUrl}: ${sitemap.locs.length} sitemaps`);
+                    sitemapQueue.push(...sitemap.locs);
+                    continue;
+                }
+
+                console.log(`Sitemap ${sitemapUrl}: ${sitemap.locs.length} URLs${sitemap.imageLocs.length > 0 ? `, ${sitemap.imageLocs.length} images` : ''}`);
+                sitemap.imageLocs.forEach(loc => imageUrls.add(loc));
+
+                for (const loc of sitemap.locs) {
+                    if (pageUrls.length >= this.maxUrls) break;
+
+                    try {
+                        // Sitemaps may only list URLs of their own site
+                        if (new URL(loc).origin !== origin || seenPageUrls.has(loc)) continue;
+                    } catch (e) {
+                        // Skip invalid URLs
+                        continue;
+                    }
+
+                    seenPageUrls.add(loc);
+                    pageUrls.push(loc);
+                }
+            } catch (error) {
+                console.warn(`Failed to read sitemap ${sitemapUrl}: ${error.message}`);
+            }
+        }
+
+        const partial = sitemapQueue.some(sitemapUrl => !visitedSitemaps.has(sitemapUrl));
+        console.log(`Sitemap discovery found ${pageUrls.length} URLs and ${imageUrls.size} images in ${visitedSitemaps.size} sitemaps${partial ? ` (stopped at ${this.maxSitemaps} sitemaps)` : ''}`);
+
+        return { pageUrls, imageUrls, sitemapsRead, partial };
+    }
+
+    async fetchSitemap(sitemapUrl) {
+        const response = await axios.get(sitemapUrl, {
+            headers: {
+                'User-Agent': this.userAgent,
+                'Accept': 'application/xml,text/xml,application/x-gzip,*/*;q=0.8'
+            },
+            timeout: this.timeout,
+            maxRedirects: 5,
+            maxContentLength: MAX_SITEMAP_BYTES,
+            maxBodyLength: MAX_SITEMAP_BYTES,
+            responseType: 'arraybuffer'
+        });
+
+        let buffer = Buffer.from(response.data);
+
+        // Gzipped sitemaps (.xml.gz) are served as files, not with Content-Encoding
+        if (buffer.length > 2 && buffer[0] === 0x1f && buffer[1] === 0x8b) {
+            // Throws past the limit, so a gzip bomb fails like any unreadable sitemap
+            buffer = zlib.gunzipSync(buffer, { maxOutputLength: MAX_SITEMAP_BYTES });
+        }
+
+        return buffer.toString('utf8');
+    }
+
+    /**
+     * Parse a sitemap or sitemap index document
+     * @param {string} xml - Sitemap XML
+     * @returns {{type: string, locs: string[], imageLocs: string[]}} - type is "index" or "urlset"
+     */
+    parseSitemap(xml) {
+        const $ = cheerio.load(xml, { xmlMode: true });
+        const isIndex = $('sitemapindex').length > 0;
+        const selector = isIndex ? 'sitemapindex > sitemap > loc' : 'urlset > url > loc';
+
+        const locs = $(selector)
+            .map((i, el) => $(el).text().trim())
+            .get()
+            .filter(Boolean);
+
+        // Image sitemap extension: <url><image:image><image:loc>
+        const imageLocs = isIndex ? [] : $('urlset > url').children().filter((i, el) => /(^|:)image$/.test(el.name))
+            .children().filter((i, el) => /(^|:)loc$/.test(el.name))
+            .map((i, el) => $(el).text().trim())
+            .get()
+            .filter(Boolean);
+
+        return {
+            type: isIndex ? 'index' : 'urlset',
+            locs,
+            imageLocs
+        };
+    }
+}
+
+module.exports = { SitemapDiscovery };
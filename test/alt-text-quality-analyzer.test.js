@@ -0,0 +1,109 @@
+const { AltTextQualityAnalyzer } = require('../src/alt-text-quality-analyzer');
+
+const IMAGE_URL = 'https://example.com/images/red-running-shoes.jpg';
+
+describe('AltTextQualityAnalyzer', () => {
+    const analyzer = new AltTextQualityAnalyzer();
+
+    describe('assess', () => {
+        it('scores a descriptive alt as good', () => {
+            expect(analyzer.assess({ alt: 'Runner lacing red trail shoes before a race', imageUrl: IMAGE_URL })).toEqual({
+                category: 'good',
+                score: 100,
+                issues: []
+            });
+        });
+
+        it('reports a missing alt attribute', () => {
+            expect(analyzer.assess({ alt: undefined, imageUrl: IMAGE_URL })).toEqual({ category: 'missing', score: 0, issues: ['missing'] });
+        });
+
+        it.each([
+            ['an empty alt', { alt: '' }],
+            ['a whitespace alt', { alt: '   ' }],
+            ['a decorative image without alt', { alt: undefined, isDecorative: true }]
+        ])('does not score %s', (name, entry) => {
+            expect(analyzer.assess({ imageUrl: IMAGE_URL, ...entry })).toEqual({ category: 'empty_decorative', score: null, issues: [] });
+        });
+
+        it.each([
+            ['IMG_2041.JPG'],
+            ['DSC 0042'],
+            ['a3f9c0e1b2d4e5f6'],
+            ['red-running-shoes'],
+            ['Red Running Shoes']
+        ])('flags %p as filename-like', alt => {
+            expect(analyzer.assess({ alt, imageUrl: IMAGE_URL })).toEqual({ category: 'filename_like', score: 30, issues: ['filename_like'] });
+        });
+
+        it.each([['image'], ['Photo'], ['logo.'], ['Alt text']])('flags %p as a generic placeholder', alt => {
+            expect(analyzer.assess({ alt, imageUrl: IMAGE_URL }).issues).toEqual(['generic_placeholder']);
+        });
+
+        it.each([
+            ['repeated words', 'shoes running shoes trail shoes'],
+            ['comma-separated terms', 'shoes, sneakers, trainers, running, sale']
+        ])('flags %s as keyword stuffing', (name, alt) => {
+            expect(analyzer.assess({ alt, imageUrl: IMAGE_URL }).issues).toEqual(['keyword_stuffed']);
+        });
+
+        it('flags alts over the maximum length', () => {
+            const shortAnalyzer = new AltTextQualityAnalyzer({ maxAltLength: 20 });
+
+            expect(shortAnalyzer.assess({ alt: 'Runner lacing red trail shoes', imageUrl: IMAGE_URL })).toEqual({
+                category: 'too_long',
+                score: 70,
+                issues: ['too_long']
+            });
+        });
+
+        it('flags alts repeating the caption or title', () => {
+            expect(analyzer.assess({ alt: 'Our team in 2024', imageUrl: IMAGE_URL, caption: ' our team  in 2024 ' }).issues).toEqual(['duplicates_caption_or_title']);
+            expect(analyzer.assess({ alt: 'Our team in 2024', imageUrl: IMAGE_URL, title: 'Our team in 2024' }).issues).toEqual(['duplicates_caption_or_title']);
+        });
+
+        it('floors the score at 0', () => {
+            const assessment = analyzer.assess({ alt: 'image', imageUrl: IMAGE_URL, title: 'image' }, new Map([['image', new Set(['a', 'b'])]]));
+
+            expect(assessment.issues).toEqual(['generic_placeholder', 'duplicate_on_page', 'duplicates_caption_or_title']);
+            expect(assessment.score).toBe(0);
+        });
+    });
+
+    describe('assessPage', () => {
+        it('flags an alt shared by different images, not by the same image repeated', () => {
+            const assessments = analyzer.assessPage([
+                { alt: 'Team photo at the offsite', imageUrl: 'https://example.com/a.jpg' },
+                { alt: 'team photo at the offsite', imageUrl: 'https://example.com/b.jpg' },
+                { alt: 'Company logo in blue', imageUrl: 'https://example.com/logo.svg' },
+                { alt: 'Company logo in blue', imageUrl: 'https://example.com/logo.svg' }
+            ]);
+
+            expect(assessments.map(assessment => assessment.issues)).toEqual([['duplicate_on_page'], ['duplicate_on_page'], [], []]);
+        });
+    });
+
+    describe('summarize', () => {
+        it('averages scored images and counts low-quality alts apart from missing ones', () => {
+            const images = [
+                { altQuality: { category: 'good', score: 100, issues: [] } },
+                { altQuality: { category: 'filename_like', score: 30, issues: ['filename_like'] } },
+                { altQuality: { category: 'too_long', score: 50, issues: ['too_long', 'duplicate_on_page'] } },
+                { altQuality: { category: 'missing', score: 0, issues: ['missing'] } },
+                { altQuality: { category: 'empty_decorative', score: null, issues: [] } },
+                { altQuality: null }
+            ];
+
+            expect(analyzer.summarize([{ images: images.slice(0, 3) }, { images: images.slice(3) }])).toEqual({
+                average_alt_text_score: 45,
+                categories: { good: 1, filename_like: 1, too_long: 1, missing: 1, empty_decorative: 1 },
+                issues: { filename_like: 1, too_long: 1, duplicate_on_page: 1, missing: 1 },
+                images_with_low_quality_alt: 2
+            });
+        });
+
+        it('has no average when no image was scored', () => {
+            expect(analyzer.summarize([{ images: [] }]).average_alt_text_score).toBeNull();
+        });
+    });
+});
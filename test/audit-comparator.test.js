@@ -0,0 +1,137 @@
+const { AuditComparator } = require('../src/audit-comparator');
+
+/**
+ * Image record as produced by PageImagesAnalyzer
+ */
+function image(imageUrl, fields = {}) {
+    return { imageUrl, sourceKind: 'img', statusCode: 200, errorType: null, sizeInBytes: 10000, hasAlt: true, alt: 'Alt', ...fields };
+}
+
+/**
+ * Report with one page per entry of a map of page URL to images
+ */
+function report(pages, domain = {}, completedAt = null) {
+    return {
+        domain,
+        pages: Object.entries(pages).map(([url, images]) => ({ url, images })),
+        analysis: { analysis_completed_at: completedAt }
+    };
+}
+
+describe('AuditComparator', () => {
+    const comparator = new AuditComparator();
+
+    it('lists added and removed pages and images', () => {
+        const comparison = comparator.compare(
+            report({ 'https://example.com/': [image('https://example.com/a.jpg')], 'https://example.com/old': [image('https://example.com/b.jpg')] }, {}, '2026-01-01T00:00:00.000Z'),
+            report({ 'https://example.com/': [image('https://example.com/a.jpg')], 'https://example.com/new': [image('https://example.com/c.jpg')] }, {}, '2026-02-01T00:00:00.000Z')
+        );
+
+        expect(comparison).toMatchObject({
+            previous_analysis_completed_at: '2026-01-01T00:00:00.000Z',
+            current_analysis_completed_at: '2026-02-01T00:00:00.000Z',
+            pages_available: true,
+            pages_added: ['https://example.com/new'],
+            pages_removed: ['https://example.com/old'],
+            new_images_count: 1,
+            removed_images_count: 1,
+            new_images: [{ image_url: 'https://example.com/c.jpg', pages: ['https://example.com/new'] }],
+            removed_images: [{ image_url: 'https://example.com/b.jpg', pages: ['https://example.com/old'] }]
+        });
+    });
+
+    it('reports alt text gained and lost on the same page', () => {
+        const comparison = comparator.compare(
+            report({ 'https://example.com/': [image('https://example.com/a.jpg', { hasAlt: false, alt: null }), image('https://example.com/b.jpg', { alt: 'Team photo' })] }),
+            report({ 'https://example.com/': [image('https://example.com/a.jpg', { alt: 'Product shot' }), image('https://example.com/b.jpg', { hasAlt: false, alt: null })] })
+        );
+
+        expect(comparison.images_gained_alt).toEqual([{ page_url: 'https://example.com/', image_url: 'https://example.com/a.jpg', alt: 'Product shot' }]);
+        expect(comparison.images_lost_alt).toEqual([{ page_url: 'https://example.com/', image_url: 'https://example.com/b.jpg', previous_alt: 'Team photo' }]);
+    });
+
+    it('ignores alt changes of images that cannot carry alt text', () => {
+        const comparison = comparator.compare(
+            report({ 'https://example.com/': [image('https://example.com/bg.jpg', { sourceKind: 'css-inline', hasAlt: true })] }),
+            report({ 'https://example.com/': [image('https://example.com/bg.jpg', { sourceKind: 'css-inline', hasAlt: false })] })
+        );
+
+        expect(comparison.images_lost_alt_count).toBe(0);
+    });
+
+    it('reports size regressions above the threshold and at least 1 KB, largest first', () => {
+        const comparison = new AuditComparator({ sizeRegressionThreshold: 20 }).compare(
+            report({ 'https://example.com/': [
+                image('https://example.com/grew.jpg', { sizeInBytes: 100000 }),
+                image('https://example.com/grew-more.jpg', { sizeInBytes: 100000 }),
+                image('https://example.com/below-threshold.jpg', { sizeInBytes: 100000 }),
+                image('https://example.com/tiny.png', { sizeInBytes: 1000 })
+            ] }),
+            report({ 'https://example.com/': [
+                image('https://example.com/grew.jpg', { sizeInBytes: 125000 }),
+                image('https://example.com/grew-more.jpg', { sizeInBytes: 200000 }),
+                image('https://example.com/below-threshold.jpg', { sizeInBytes: 110000 }),
+                image('https://example.com/tiny.png', { sizeInBytes: 2000 })
+            ] })
+        );
+
+        expect(comparison.size_regressions).toEqual([
+            { image_url: 'https://example.com/grew-more.jpg', previous_size_kb: 100, current_size_kb: 200, increase_kb: 100, increase_percentage: 100, pages: ['https://example.com/'] },
+            { image_url: 'https://example.com/grew.jpg', previous_size_kb: 100, current_size_kb: 125, increase_kb: 25, increase_percentage: 25, pages: ['https://example.com/'] }
+        ]);
+    });
+
+    it('reports images that broke and images that were fixed', () => {
+        const comparison = comparator.compare(
+            report({ 'https://example.com/': [image('https://example.com/a.jpg'), image('https://example.com/b.jpg', { statusCode: 404 })] }),
+            report({ 'https://example.com/': [
+                image('https://example.com/a.jpg', { statusCode: 0, errorType: 'timeout' }),
+                image('https://example.com/b.jpg'),
+                image('https://example.com/c.jpg', { statusCode: 500 })
+            ] })
+        );
+
+        expect(comparison.newly_broken_images).toEqual([
+            { image_url: 'https://example.com/a.jpg', status_code: 0, error_type: 'timeout', pages: ['https://example.com/'] },
+            { image_url: 'https://example.com/c.jpg', status_code: 500, error_type: null, pages: ['https://example.com/'] }
+        ]);
+        expect(comparison.fixed_broken_images).toEqual([{ image_url: 'https://example.com/b.jpg', previous_status_code: 404, pages: ['https://example.com/'] }]);
+    });
+
+    it('does not report a failing og:image as a newly broken image', () => {
+        const comparison = comparator.compare(
+            report({ 'https://example.com/': [image('https://example.com/og.jpg', { sourceKind: 'meta-og-image' })] }),
+            report({ 'https://example.com/': [image('https://example.com/og.jpg', { sourceKind: 'meta-og-image', statusCode: 404 })] })
+        );
+
+        expect(comparison.newly_broken_images_count).toBe(0);
+    });
+
+    it('computes the change of domain metrics present in both reports', () => {
+        const comparison = comparator.compare(
+            report({}, { total_images_found: 40, total_images_without_alt_percentage: 12.5, broken_images: { broken_images_count: 3 } }),
+            report({}, { total_images_found: 45, total_images_without_alt_percentage: 10.25, broken_images: { broken_images_count: 1 }, total_image_size_kb: 900 })
+        );
+
+        expect(comparison.domain_deltas).toEqual({
+            total_images_found: { previous: 40, current: 45, change: 5 },
+            total_images_without_alt_percentage: { previous: 12.5, current: 10.25, change: -2.25 },
+            broken_images_count: { previous: 3, current: 1, change: -2 }
+        });
+    });
+
+    it('leaves page-based changes out when the previous report has no pages', () => {
+        const comparison = comparator.compare(
+            { domain: { total_images_found: 1 } },
+            report({ 'https://example.com/': [image('https://example.com/a.jpg', { statusCode: 404 })] }, { total_images_found: 1 })
+        );
+
+        expect(comparison).toMatchObject({
+            pages_available: false,
+            pages_added: [],
+            new_images_count: 0,
+            newly_broken_images_count: 0,
+            newly_broken_images: []
+        });
+    });
+});
@@ -0,0 +1,118 @@
+const { BrokenImageReporter } = require('../src/broken-image-reporter');
+const { PageImagesAnalyzer } = require('../src/page-images-analyzer');
+
+/**
+ * Image record as produced by PageImagesAnalyzer
+ */
+function image(imageUrl, fields = {}) {
+    return { imageUrl, sourceKind: 'img', statusCode: 200, errorType: null, redirectCount: 0, ...fields };
+}
+
+describe('BrokenImageReporter', () => {
+    const reporter = new BrokenImageReporter();
+
+    it('groups broken images by URL with every referencing page', () => {
+        const report = reporter.summarize([
+            { url: 'https://example.com/a', images: [image('https://example.com/missing.jpg', { statusCode: 404 }), image('https://example.com/ok.jpg')] },
+            { url: 'https://example.com/b', images: [image('https://example.com/missing.jpg', { statusCode: 404 })] }
+        ]);
+
+        expect(report.broken_images_count).toBe(1);
+        expect(report.broken_images).toEqual([{
+            image_url: 'https://example.com/missing.jpg',
+            status_code: 404,
+            error_type: null,
+            pages: ['https://example.com/a', 'https://example.com/b']
+        }]);
+    });
+
+    it('counts client errors, server errors, timeouts and request errors', () => {
+        const report = reporter.summarize([{
+            url: 'https://example.com/',
+            images: [
+                image('https://example.com/404.jpg', { statusCode: 404 }),
+                image('https://example.com/410.jpg', { statusCode: 410 }),
+                image('https://example.com/503.jpg', { statusCode: 503 }),
+                image('https://example.com/slow.jpg', { statusCode: 0, errorType: 'timeout' }),
+                image('https://example.com/dns.jpg', { statusCode: 0, errorType: 'dns' })
+            ]
+        }]);
+
+        expect(report).toMatchObject({
+            broken_images_count: 5,
+            client_error_images: 2,
+            server_error_images: 1,
+            timed_out_images: 1,
+            request_error_images: 1
+        });
+    });
+
+    it('reports redirects, mixed content and content type mismatches', () => {
+        const report = reporter.summarize([{
+            url: 'https://example.com/',
+            images: [
+                image('http://example.com/old.jpg', { redirectCount: 1, finalUrl: 'https://example.com/old.jpg', redirectChain: ['http://example.com/old.jpg'], isMixedContent: true }),
+                image('https://example.com/page.jpg', { contentType: 'text/html', contentTypeMismatch: true })
+            ]
+        }]);
+
+        expect(report.broken_images_count).toBe(0);
+        expect(report.redirected_images).toEqual([{
+            image_url: 'http://example.com/old.jpg',
+            hops: 1,
+            final_url: 'https://example.com/old.jpg',
+            final_status_code: 200,
+            redirect_chain: ['http://example.com/old.jpg'],
+            pages: ['https://example.com/']
+        }]);
+        expect(report.mixed_content_images_count).toBe(1);
+        expect(report.content_type_mismatches).toEqual([{ image_url: 'https://example.com/page.jpg', content_type: 'text/html', pages: ['https://example.com/'] }]);
+    });
+
+    it('leaves failing og:image and twitter:image URLs out of the broken images', () => {
+        const report = reporter.summarize([
+            {
+                url: 'https://example.com/a',
+                images: [
+                    image('https://example.com/og.jpg', { sourceKind: 'meta-og-image', statusCode: 404 }),
+                    image('https://example.com/card.jpg', { sourceKind: 'meta-twitter-image', statusCode: 0, errorType: 'timeout' }),
+                    image('https://example.com/bg.jpg', { sourceKind: 'css-stylesheet', statusCode: 404 })
+                ]
+            },
+            { url: 'https://example.com/b', images: [image('https://example.com/og.jpg', { statusCode: 404 })] }
+        ]);
+
+        expect(report.broken_images.map(entry => [entry.image_url, entry.pages])).toEqual([
+            ['https://example.com/bg.jpg', ['https://example.com/a']],
+            ['https://example.com/og.jpg', ['https://example.com/b']]
+        ]);
+    });
+
+    describe('with PageImagesAnalyzer', () => {
+        beforeEach(() => {
+            jest.spyOn(console, 'log').mockImplementation(() => {});
+        });
+
+        afterEach(() => {
+            jest.restoreAllMocks();
+        });
+
+        it('does not count a broken og:image as a broken page image', async () => {
+            const analyzer = new PageImagesAnalyzer();
+            jest.spyOn(analyzer, 'detectImageInfo').mockResolvedValue({
+                contentType: 'image/jpeg', sizeInBytes: 0, sizeInKb: 0, statusCode: 404, finalUrl: 'https://example.com/og.jpg',
+                redirectCount: 0, redirectChain: [], errorType: null, contentTypeMismatch: false
+            });
+
+            const page = await analyzer.analyzePage({
+                url: 'https://example.com/',
+                html: '<html><head><meta property="og:image" content="/og.jpg"></head><body></body></html>'
+            });
+
+            expect(page.images.map(i => [i.sourceKind, i.statusCode])).toEqual([['meta-og-image', 404]]);
+            expect(page.brokenImagesCount).toBe(0);
+            expect(page.openGraphImage.issues).toContain('broken');
+            expect(reporter.summarize([page]).broken_images_count).toBe(0);
+        });
+    });
+});
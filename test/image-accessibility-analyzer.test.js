@@ -0,0 +1,102 @@
+const cheerio = require('cheerio');
+const { ImageAccessibilityAnalyzer } = require('../src/image-accessibility-analyzer');
+
+/**
+ * Analyze the element marked with data-test (or the first <img>) of an HTML fragment
+ */
+function analyze(html) {
+    const $ = cheerio.load(html);
+    const $target = $('[data-test]').length > 0 ? $('[data-test]').first() : $('img').first();
+    return new ImageAccessibilityAnalyzer().analyzeImage($, $target);
+}
+
+describe('ImageAccessibilityAnalyzer', () => {
+    describe('decorative classification', () => {
+        it.each([
+            ['an empty alt', '<img src="a.png" alt="">', 'empty_alt'],
+            ['a whitespace alt', '<img src="a.png" alt="  ">', 'empty_alt'],
+            ['role="presentation"', '<img src="a.png" role="presentation">', 'role_presentation'],
+            ['role="none"', '<img src="a.png" role="None" alt="Chart">', 'role_none'],
+            ['aria-hidden on the image', '<img src="a.png" aria-hidden="true" alt="Chart">', 'aria_hidden'],
+            ['aria-hidden on an ancestor', '<div aria-hidden="true"><img src="a.png"></div>', 'aria_hidden']
+        ])('treats an image with %s as decorative', (name, html, decorativeReason) => {
+            expect(analyze(html)).toMatchObject({
+                isDecorative: true,
+                decorativeReason,
+                accessibleName: '',
+                wcagStatus: 'decorative',
+                failureReason: null
+            });
+        });
+
+        it('does not treat aria-hidden="false" as decorative', () => {
+            expect(analyze('<img src="a.png" aria-hidden="false" alt="Chart">')).toMatchObject({ isDecorative: false, wcagStatus: 'pass' });
+        });
+
+        it('tells a missing alt attribute from an empty one', () => {
+            expect(analyze('<img src="a.png">')).toMatchObject({
+                altAttribute: 'missing',
+                isDecorative: false,
+                wcagStatus: 'fail',
+                failureReason: 'missing_alt_attribute'
+            });
+            expect(analyze('<img src="a.png" alt="">').altAttribute).toBe('empty');
+        });
+    });
+
+    describe('accessible name', () => {
+        it.each([
+            ['aria-labelledby', '<span id="l1">Sales</span><span id="l2">2024</span><img src="a.png" aria-labelledby="l1 l2" aria-label="Label" alt="Alt">', 'Sales 2024'],
+            ['aria-label', '<img src="a.png" aria-label="Label" alt="Alt" title="Title">', 'Label'],
+            ['alt', '<img src="a.png" alt=" Quarterly   sales " title="Title">', 'Quarterly sales'],
+            ['title', '<img src="a.png" title="Title">', 'Title'],
+            ['svg-title', '<svg data-test role="img"><title>Company logo</title></svg>', 'Company logo'],
+            ['figcaption', '<figure><img src="a.png"><figcaption>Sales by quarter</figcaption></figure>', 'Sales by quarter']
+        ])('is taken from %s', (source, html, accessibleName) => {
+            expect(analyze(html)).toMatchObject({ accessibleName, accessibleNameSource: source, wcagStatus: 'pass' });
+        });
+
+        it('skips aria-labelledby pointing at missing elements', () => {
+            expect(analyze('<img src="a.png" aria-labelledby="missing" alt="Alt">')).toMatchObject({ accessibleName: 'Alt', accessibleNameSource: 'alt' });
+        });
+
+        it('fails an SVG without a name as having no accessible name', () => {
+            expect(analyze('<svg data-test><path d="M0 0"/></svg>')).toMatchObject({ wcagStatus: 'fail', failureReason: 'no_accessible_name' });
+        });
+    });
+
+    describe('images in links and buttons', () => {
+        it.each([
+            ['link text', '<a href="/cart"><img src="cart.png"> Cart</a>'],
+            ['an aria-label on the link', '<a href="/cart" aria-label="Cart"><img src="cart.png"></a>'],
+            ['another image\'s alt', '<button><img data-test src="icon.png"><img src="label.png" alt="Checkout"></button>']
+        ])('passes an unnamed image when the control is named by %s', (name, html) => {
+            expect(analyze(html)).toMatchObject({ wcagStatus: 'pass', accessibleNameSource: 'parent_control' });
+        });
+
+        it('fails an unnamed image that is the only content of a link', () => {
+            expect(analyze('<a href="/cart"><img src="cart.png"></a>')).toMatchObject({
+                wcagStatus: 'fail',
+                failureReason: 'unnamed_image_in_unnamed_control'
+            });
+        });
+    });
+
+    describe('summarize', () => {
+        it('counts failures, decorative and named images', () => {
+            const accessibility = (wcagStatus, altAttribute) => ({ accessibility: { wcagStatus, altAttribute } });
+
+            expect(new ImageAccessibilityAnalyzer().summarize([
+                { images: [accessibility('fail', 'missing'), accessibility('decorative', 'empty'), { accessibility: null }] },
+                { images: [accessibility('pass', 'present'), accessibility('pass', 'missing')] }
+            ])).toEqual({
+                wcag_1_1_1_failures: 1,
+                wcag_1_1_1_failures_percentage: 25,
+                decorative_images: 1,
+                images_with_accessible_name: 2,
+                images_missing_alt_attribute: 2,
+                images_with_empty_alt: 1
+            });
+        });
+    });
+});
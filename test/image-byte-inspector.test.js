@@ -0,0 +1,240 @@
+const fs = require('fs');
+const path = require('path');
+const { ImageByteInspector } = require('../src/image-byte-inspector');
+
+const FIXTURES = path.join(__dirname, 'fixtures');
+const fixture = name => fs.readFileSync(path.join(FIXTURES, name));
+
+/**
+ * Insert a JPEG marker segment right after SOI
+ */
+function withJpegSegment(jpeg, marker, payload) {
+    const header = Buffer.from([0xff, marker, 0, 0]);
+    header.writeUInt16BE(payload.length + 2, 2);
+    return Buffer.concat([jpeg.subarray(0, 2), header, payload, jpeg.subarray(2)]);
+}
+
+/**
+ * Minimal little-endian TIFF block whose IFD0 holds one GPS IFD pointer
+ */
+function tiffWithGpsPointer(gpsIfdOffset, gpsEntries = 1) {
+    const tiff = Buffer.alloc(40);
+    tiff.write('II', 0, 'ascii');
+    tiff.writeUInt16LE(42, 2);
+    tiff.writeUInt32LE(8, 4);
+    tiff.writeUInt16LE(1, 8);
+    tiff.writeUInt16LE(0x8825, 10);
+    tiff.writeUInt16LE(4, 12);
+    tiff.writeUInt32LE(1, 14);
+    tiff.writeUInt32LE(gpsIfdOffset, 18);
+    if (gpsIfdOffset + 2 <= tiff.length) tiff.writeUInt16LE(gpsEntries, gpsIfdOffset);
+    return tiff;
+}
+
+describe('ImageByteInspector', () => {
+    const inspector = new ImageByteInspector();
+
+    describe('JPEG', () => {
+        it('measures EXIF, detects GPS coordinates and estimates the quality', async () => {
+            const report = await inspector.inspect(fixture('gps-exif.jpg'));
+
+            expect(report.format).toBe('jpeg');
+            expect(report.metadata.exifBytes).toBeGreaterThan(0);
+            expect(report.hasGps).toBe(true);
+            expect(report.isProgressive).toBe(false);
+            expect(report.estimatedJpegQuality).toBe(95);
+            expect(report.recoverableBytes).toBe(report.metadata.exifBytes);
+            expect(report.issues).toEqual(['gps_metadata', 'exif_metadata', 'high_jpeg_quality']);
+        });
+
+        it('detects progressive encoding and ICC profiles', async () => {
+            const report = await inspector.inspect(fixture('progressive-icc.jpg'));
+
+            expect(report.isProgressive).toBe(true);
+            expect(report.metadata.iccBytes).toBeGreaterThan(0);
+            expect(report.metadata.exifBytes).toBe(0);
+            expect(report.hasGps).toBe(false);
+            expect(report.estimatedJpegQuality).toBe(60);
+            expect(report.issues).toEqual(['icc_profile']);
+        });
+
+        it('counts XMP packets and comments with their segment headers', async () => {
+            const xmp = Buffer.from('http://ns.adobe.com/xap/1.0/\0<x:xmpmeta xmlns:x="adobe:ns:meta/"/>');
+            const comment = Buffer.from('Created with a camera');
+            const jpeg = withJpegSegment(withJpegSegment(fixture('progressive-icc.jpg'), 0xe1, xmp), 0xfe, comment);
+
+            const report = await inspector.inspect(jpeg);
+
+            expect(report.metadata.xmpBytes).toBe(xmp.length + 4);
+            expect(report.metadata.commentBytes).toBe(comment.length + 4);
+            expect(report.issues).toContain('xmp_metadata');
+        });
+
+        it('ignores segments after the start of scan', async () => {
+            // Bytes after SOS are entropy-coded data, even when they look like an EXIF block
+            const report = await inspector.inspect(withJpegSegment(fixture('gps-exif.jpg'), 0xda, Buffer.alloc(0)));
+
+            expect(report.metadata.exifBytes).toBe(0);
+            expect(report.hasGps).toBe(false);
+            expect(report.estimatedJpegQuality).toBeNull();
+        });
+    });
+
+    describe('PNG', () => {
+        it('reads eXIf chunks and their GPS IFD', async () => {
+            const report = await inspector.inspect(fixture('gps-exif.png'));
+
+            expect(report.format).toBe('png');
+            expect(report.metadata.exifBytes).toBeGreaterThan(0);
+            expect(report.hasGps).toBe(true);
+        });
+
+        it('flags an alpha channel that is fully opaque', async () => {
+            const report = await inspector.inspect(fixture('opaque-alpha.png'));
+
+            expect(report.hasAlpha).toBe(true);
+            expect(report.hasUnnecessaryAlpha).toBe(true);
+            expect(report.issues).toEqual(['unnecessary_alpha']);
+        });
+
+        it('keeps an alpha channel that is used', async () => {
+            const report = await inspector.inspect(fixture('transparent.png'));
+
+            expect(report.hasAlpha).toBe(true);
+            expect(report.hasUnnecessaryAlpha).toBe(false);
+        });
+
+        it('reports nothing for a plain RGB image', async () => {
+            const report = await inspector.inspect(fixture('rgb.png'));
+
+            expect(report.hasAlpha).toBe(false);
+            expect(report.recoverableBytes).toBe(0);
+            expect(report.issues).toEqual([]);
+        });
+    });
+
+    describe('WebP', () => {
+        it('reads the EXIF chunk of an extended WebP', async () => {
+            const report = await inspector.inspect(fixture('gps-exif.webp'));
+
+            expect(report.format).toBe('webp');
+            expect(report.metadata.exifBytes).toBeGreaterThan(0);
+            expect(report.hasGps).toBe(true);
+        });
+
+        it.each(['lossy.webp', 'lossless.webp'])('reports no metadata for %s', async name => {
+            const report = await inspector.inspect(fixture(name));
+
+            expect(report.format).toBe('webp');
+            expect(report.recoverableBytes).toBe(0);
+        });
+    });
+
+    describe('unsupported input', () => {
+        it.each(['image.gif', 'image.avif'])('returns null for %s', async name => {
+            await expect(inspector.inspect(fixture(name))).resolves.toBeNull();
+        });
+
+        it('returns null for missing, tiny and non-image buffers', async () => {
+            await expect(inspector.inspect(null)).resolves.toBeNull();
+            await expect(inspector.inspect(Buffer.from([0xff, 0xd8, 0xff]))).resolves.toBeNull();
+            await expect(inspector.inspect(Buffer.from('<html><body>Not found</body></html>'))).resolves.toBeNull();
+        });
+    });
+
+    describe('truncated and corrupt input', () => {
+        const fixtures = ['gps-exif.jpg', 'progressive-icc.jpg', 'gps-exif.png', 'opaque-alpha.png', 'transparent.png', 'rgb.png', 'gps-exif.webp', 'lossy.webp', 'lossless.webp'];
+
+        it.each(fixtures)('never throws on a truncated %s', async name => {
+            const bytes = fixture(name);
+
+            for (let length = 0; length < bytes.length; length++) {
+                const report = await inspector.inspect(bytes.subarray(0, length));
+                if (report) expect(report.issues).toEqual(expect.any(Array));
+            }
+        });
+
+        it.each(fixtures)('never throws on a corrupted %s', async name => {
+            const bytes = fixture(name);
+
+            // Overwrite each header byte in turn with values that break lengths and offsets
+            for (let position = 0; position < Math.min(bytes.length, 64); position++) {
+                for (const value of [0x00, 0xff]) {
+                    const corrupt = Buffer.from(bytes);
+                    corrupt[position] = value;
+                    const report = await inspector.inspect(corrupt);
+                    if (report) expect(report.issues).toEqual(expect.any(Array));
+                }
+            }
+        });
+
+        it('does not estimate the quality from a cut quantization table', async () => {
+            const jpeg = fixture('gps-exif.jpg');
+            const dqtStart = jpeg.indexOf(Buffer.from([0xff, 0xdb]));
+
+            const report = await inspector.inspect(jpeg.subarray(0, dqtStart + 20));
+
+            expect(report.estimatedJpegQuality).toBeNull();
+        });
+
+        it('ignores a JPEG segment length pointing past the end', async () => {
+            const jpeg = Buffer.from(fixture('gps-exif.jpg'));
+            jpeg.writeUInt16BE(0xfff0, 4);
+
+            const report = await inspector.inspect(jpeg);
+
+            expect(report.format).toBe('jpeg');
+        });
+
+        it('stops at a PNG chunk length pointing past the end', async () => {
+            const png = Buffer.from(fixture('rgb.png'));
+            png.writeUInt32BE(0xffffffff, 33);
+
+            const report = await inspector.inspect(png);
+
+            expect(report.format).toBe('png');
+            expect(report.recoverableBytes).toBe(0);
+        });
+
+        it('stops at a WebP chunk length pointing past the end', async () => {
+            const webp = Buffer.from(fixture('gps-exif.webp'));
+            webp.writeUInt32LE(0xfffffff0, 16);
+
+            const report = await inspector.inspect(webp);
+
+            expect(report.format).toBe('webp');
+            expect(report.hasGps).toBe(false);
+        });
+    });
+
+    describe('tiffHasGps', () => {
+        it('finds a non-empty GPS IFD', () => {
+            expect(inspector.tiffHasGps(tiffWithGpsPointer(30))).toBe(true);
+        });
+
+        it('ignores an empty GPS IFD', () => {
+            expect(inspector.tiffHasGps(tiffWithGpsPointer(30, 0))).toBe(false);
+        });
+
+        it('ignores IFD offsets outside the block', () => {
+            const tiff = tiffWithGpsPointer(30);
+            expect(inspector.tiffHasGps(tiffWithGpsPointer(4000))).toBe(false);
+
+            tiff.writeUInt32LE(4000, 4);
+            expect(inspector.tiffHasGps(tiff)).toBe(false);
+        });
+
+        it('stops at an entry count larger than the block', () => {
+            const tiff = tiffWithGpsPointer(30);
+            tiff.writeUInt16LE(0xffff, 8);
+            tiff.writeUInt16LE(0x0110, 10);
+
+            expect(inspector.tiffHasGps(tiff)).toBe(false);
+        });
+
+        it('rejects blocks without a TIFF byte order mark', () => {
+            expect(inspector.tiffHasGps(Buffer.from('XX*\0\u0008\0\0\0'))).toBe(false);
+            expect(inspector.tiffHasGps(Buffer.alloc(4))).toBe(false);
+        });
+    });
+});
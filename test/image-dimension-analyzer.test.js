@@ -0,0 +1,135 @@
+const fs = require('fs');
+const path = require('path');
+const { ImageDimensionAnalyzer } = require('../src/image-dimension-analyzer');
+const { PageImagesAnalyzer } = require('../src/page-images-analyzer');
+
+const FIXTURES = path.join(__dirname, 'fixtures');
+const fixture = name => fs.readFileSync(path.join(FIXTURES, name));
+
+const FIXTURE_FORMATS = {
+    'gps-exif.jpg': 'jpeg',
+    'progressive-icc.jpg': 'jpeg',
+    'rgb.png': 'png',
+    'transparent.png': 'png',
+    'image.gif': 'gif',
+    'lossy.webp': 'webp',
+    'lossless.webp': 'webp',
+    'gps-exif.webp': 'webp',
+    'image.avif': 'avif'
+};
+
+describe('ImageDimensionAnalyzer', () => {
+    const analyzer = new ImageDimensionAnalyzer();
+
+    describe('decode', () => {
+        it.each(Object.entries(FIXTURE_FORMATS))('reads the dimensions of %s', (name, format) => {
+            expect(analyzer.decode(fixture(name))).toEqual({ format, width: 32, height: 24 });
+        });
+
+        it.each([
+            ['lossy.webp', 'VP8 '],
+            ['lossless.webp', 'VP8L'],
+            ['gps-exif.webp', 'VP8X']
+        ])('covers the %s bitstream (%s chunk)', (name, chunk) => {
+            expect(fixture(name).toString('ascii', 12, 16)).toBe(chunk);
+        });
+
+        it('reads SVG width and height attributes', () => {
+            const svg = Buffer.from('<?xml version="1.0"?><svg xmlns="http://www.w3.org/2000/svg" width="120px" height="80"></svg>');
+
+            expect(analyzer.decode(svg)).toEqual({ format: 'svg', width: 120, height: 80 });
+        });
+
+        it('falls back to the SVG viewBox for relative sizes', () => {
+            const svg = Buffer.from('<svg xmlns="http://www.w3.org/2000/svg" width="100%" viewBox="0 0 300 150"></svg>');
+
+            expect(analyzer.decode(svg)).toEqual({ format: 'svg', width: 300, height: 150 });
+        });
+
+        it('returns null for an SVG without a usable size', () => {
+            expect(analyzer.decode(Buffer.from('<svg xmlns="http://www.w3.org/2000/svg"></svg>'))).toBeNull();
+        });
+    });
+
+    describe('truncated and corrupt input', () => {
+        it.each(Object.keys(FIXTURE_FORMATS))('returns null or the full dimensions for every prefix of %s', name => {
+            const bytes = fixture(name);
+            const expected = analyzer.decode(bytes);
+
+            for (let length = 0; length < bytes.length; length++) {
+                const dimensions = analyzer.decode(bytes.subarray(0, length));
+                if (dimensions !== null) expect(dimensions).toEqual(expected);
+            }
+        });
+
+        it.each(Object.keys(FIXTURE_FORMATS))('never throws on a corrupted %s', name => {
+            const bytes = fixture(name);
+
+            for (let position = 0; position < Math.min(bytes.length, 64); position++) {
+                for (const value of [0x00, 0xff]) {
+                    const corrupt = Buffer.from(bytes);
+                    corrupt[position] = value;
+                    expect(() => analyzer.decode(corrupt)).not.toThrow();
+                }
+            }
+        });
+
+        it('returns null for a JPEG without a frame header', () => {
+            const jpeg = fixture('gps-exif.jpg');
+            const frameStart = jpeg.indexOf(Buffer.from([0xff, 0xc0]));
+
+            expect(analyzer.decode(jpeg.subarray(0, frameStart))).toBeNull();
+        });
+
+        it('returns null for a PNG that does not start with IHDR', () => {
+            const png = Buffer.from(fixture('rgb.png'));
+            png.write('IDAT', 12, 'ascii');
+
+            expect(analyzer.decode(png)).toBeNull();
+        });
+
+        it('returns null for an unknown WebP bitstream chunk', () => {
+            const webp = Buffer.from(fixture('lossy.webp'));
+            webp.write('VP9 ', 12, 'ascii');
+
+            expect(analyzer.decode(webp)).toBeNull();
+        });
+
+        it('returns null for missing, tiny and non-image buffers', () => {
+            expect(analyzer.decode(null)).toBeNull();
+            expect(analyzer.decode(Buffer.from([0x89, 0x50, 0x4e, 0x47]))).toBeNull();
+            expect(analyzer.decode(Buffer.from('<html><body>Not found</body></html>'))).toBeNull();
+        });
+    });
+
+    describe('oversized images on a page', () => {
+        beforeEach(() => {
+            jest.spyOn(console, 'log').mockImplementation(() => {});
+        });
+
+        afterEach(() => {
+            jest.restoreAllMocks();
+        });
+
+        it('counts an image used several times once, at its largest waste', async () => {
+            const pageAnalyzer = new PageImagesAnalyzer();
+            jest.spyOn(pageAnalyzer, 'detectImageInfo').mockResolvedValue({
+                contentType: 'image/jpeg', sizeInBytes: 100000, sizeInKb: 100, statusCode: 200, finalUrl: 'https://example.com/hero.jpg',
+                redirectCount: 0, redirectChain: [], errorType: null, contentTypeMismatch: false
+            });
+            jest.spyOn(pageAnalyzer, 'analyzeImageBytes').mockResolvedValue({ bytes: 100000, dimensions: { format: 'jpeg', width: 1000, height: 1000 } });
+
+            const page = await pageAnalyzer.analyzePage({
+                url: 'https://example.com/',
+                html: '<img src="/hero.jpg" alt="Hero" width="500" height="500"><img src="/hero.jpg" alt="Hero" width="100" height="100">',
+                includeIntrinsicDimensions: true,
+                includeAllImageSources: false
+            });
+
+            expect(page.images.map(image => image.estimatedWastedBytes)).toEqual([75000, 99000]);
+            expect(page.oversizedImages).toEqual([expect.objectContaining({ imageUrl: 'https://example.com/hero.jpg', imageIndex: 2, estimatedWastedBytes: 99000 })]);
+            expect(page.oversizedImagesCount).toBe(1);
+            expect(page.estimatedWastedBytes).toBe(99000);
+        });
+    });
+});
@@ -0,0 +1,149 @@
+const sharp = require('sharp');
+const { ImageDuplicateDetector } = require('../src/image-duplicate-detector');
+
+/**
+ * 64x64 grey image whose brightness varies along both axes, so it has a distinctive hash
+ */
+function pattern({ invert = false } = {}) {
+    const pixels = Buffer.alloc(64 * 64);
+    for (let y = 0; y < 64; y++) {
+        for (let x = 0; x < 64; x++) {
+            const value = (x * 4 + (y < 32 ? 0 : 128) + ((x + y) % 16 < 8 ? 40 : 0)) % 256;
+            pixels[y * 64 + x] = invert ? 255 - value : value;
+        }
+    }
+    return sharp(pixels, { raw: { width: 64, height: 64, channels: 1 } });
+}
+
+/**
+ * Fingerprint with the given hashes (16 hex digits each)
+ */
+function fingerprint(contentHash, aHash, dHash = aHash, bytes = 1000) {
+    return { contentHash, aHash, dHash, width: 100, height: 100, bytes };
+}
+
+/**
+ * Image record as produced by PageImagesAnalyzer
+ */
+function image(imageUrl, imageFingerprint, fields = {}) {
+    return { imageUrl, fingerprint: imageFingerprint, sizeInBytes: imageFingerprint ? imageFingerprint.bytes : 0, ...fields };
+}
+
+describe('ImageDuplicateDetector', () => {
+    const detector = new ImageDuplicateDetector();
+
+    describe('fingerprint', () => {
+        beforeEach(() => {
+            jest.spyOn(console, 'warn').mockImplementation(() => {});
+        });
+
+        afterEach(() => {
+            jest.restoreAllMocks();
+        });
+
+        it('gives resized and re-encoded copies of a picture nearly the same hashes', async () => {
+            const original = await detector.fingerprint(await pattern().png().toBuffer());
+            const resized = await detector.fingerprint(await pattern().resize(48, 48).jpeg({ quality: 60 }).toBuffer());
+            const different = await detector.fingerprint(await pattern({ invert: true }).png().toBuffer());
+
+            expect(original).toMatchObject({ width: 64, height: 64 });
+            expect(original.aHash).toMatch(/^[0-9a-f]{16}$/);
+            expect(resized.contentHash).not.toBe(original.contentHash);
+            expect(detector.compare(original, resized)).not.toBeNull();
+            expect(detector.compare(original, different)).toBeNull();
+        });
+
+        it('returns null for bytes that are not an image', async () => {
+            await expect(detector.fingerprint(Buffer.from('<html></html>'))).resolves.toBeNull();
+        });
+    });
+
+    describe('compare', () => {
+        it('matches hashes within the distance threshold only when both hashes agree', () => {
+            const a = fingerprint('a', '0f0f0f0f0f0f0f0f', '00ff00ff00ff00ff');
+
+            expect(detector.hammingDistance('0f0f0f0f0f0f0f0f', '0f0f0f0f0f0f0f3f')).toBe(2);
+            expect(detector.compare(a, fingerprint('b', '0f0f0f0f0f0f0f3f', '00ff00ff00ff00fc'))).toBe(2);
+            expect(detector.compare(a, fingerprint('b', '0f0f0f0f0f0f0f0f', '00ff00ff00ffffff'))).toBeNull();
+            expect(detector.compare(a, fingerprint('b', 'f0f0f0f0f0f0f0f0', '00ff00ff00ff00ff'))).toBeNull();
+        });
+
+        it('never matches single-color images by their hashes', () => {
+            expect(detector.compare(fingerprint('a', 'ffffffffffffffff'), fingerprint('b', 'ffffffffffffffff'))).toBeNull();
+        });
+    });
+
+    describe('findPageDuplicates', () => {
+        it('reports later images repeating an earlier one under another URL', () => {
+            const duplicates = detector.findPageDuplicates([
+                image('https://example.com/a.jpg', fingerprint('a', '0f0f0f0f0f0f0f0f'), { imageIndex: 1 }),
+                image('https://example.com/a.jpg', fingerprint('a', '0f0f0f0f0f0f0f0f'), { imageIndex: 2 }),
+                image('https://cdn.example.com/a.jpg', fingerprint('a', '0f0f0f0f0f0f0f0f'), { imageIndex: 3 }),
+                image('https://example.com/a-small.jpg', fingerprint('b', '0f0f0f0f0f0f0f1f'), { imageIndex: 4 }),
+                image('https://example.com/other.jpg', fingerprint('c', 'f0f0f0f0f0f0f0f0'), { imageIndex: 5 }),
+                image('https://example.com/broken.jpg', null, { imageIndex: 6 })
+            ]);
+
+            expect(duplicates).toEqual([
+                { imageUrl: 'https://cdn.example.com/a.jpg', imageIndex: 3, duplicateOf: 'https://example.com/a.jpg', kind: 'exact', distance: 0 },
+                { imageUrl: 'https://example.com/a-small.jpg', imageIndex: 4, duplicateOf: 'https://example.com/a.jpg', kind: 'near', distance: 1 }
+            ]);
+        });
+    });
+
+    describe('summarize', () => {
+        it('clusters identical files and counts the bytes of the extra copies', () => {
+            const summary = detector.summarize([
+                { url: 'https://example.com/', images: [image('https://example.com/a.jpg', fingerprint('a', '0f0f0f0f0f0f0f0f', '0f0f0f0f0f0f0f0f', 3000))] },
+                { url: 'https://example.com/about', images: [
+                    image('https://cdn.example.com/a.jpg', fingerprint('a', '0f0f0f0f0f0f0f0f', '0f0f0f0f0f0f0f0f', 3000)),
+                    image('https://example.com/a.jpg', fingerprint('a', '0f0f0f0f0f0f0f0f', '0f0f0f0f0f0f0f0f', 3000))
+                ] }
+            ]);
+
+            expect(summary).toMatchObject({
+                images_fingerprinted: 2,
+                exact_duplicate_clusters_count: 1,
+                exact_duplicate_images: 1,
+                duplicate_wasted_bytes: 3000,
+                duplicate_wasted_kb: 3,
+                near_duplicate_clusters_count: 0
+            });
+            expect(summary.exact_duplicate_clusters[0].images.map(member => [member.image_url, member.pages])).toEqual([
+                ['https://example.com/a.jpg', ['https://example.com/', 'https://example.com/about']],
+                ['https://cdn.example.com/a.jpg', ['https://example.com/about']]
+            ]);
+        });
+
+        it('joins near-identical files through a chain of matches', () => {
+            // a-b and b-c are within 6 bits, a-c (8 bits) only through b
+            const summary = detector.summarize([{
+                url: 'https://example.com/',
+                images: [
+                    image('https://example.com/a.jpg', fingerprint('a', '0000000000000000', '0f0f0f0f0f0f0f0f')),
+                    image('https://example.com/b.jpg', fingerprint('b', '000000000000000f', '0f0f0f0f0f0f0f00')),
+                    image('https://example.com/c.jpg', fingerprint('c', '00000000000000ff', '0f0f0f0f0f0f0ff0')),
+                    image('https://example.com/other.jpg', fingerprint('d', 'ff00ff00ff00ff00', 'f0f0f0f0f0f0f0f0'))
+                ]
+            }]);
+
+            expect(detector.compare(fingerprint('a', '0000000000000000', '0f0f0f0f0f0f0f0f'), fingerprint('c', '00000000000000ff', '0f0f0f0f0f0f0ff0'))).toBeNull();
+            expect(summary.near_duplicate_clusters).toEqual([{
+                images_count: 3,
+                max_hash_distance: 4,
+                total_bytes: 3000,
+                images: ['a', 'b', 'c'].map(name => expect.objectContaining({ image_url: `https://example.com/${name}.jpg` }))
+            }]);
+            expect(summary.near_duplicate_images).toBe(3);
+        });
+
+        it('does not report copies of one file as near duplicates', () => {
+            const summary = detector.summarize([{
+                url: 'https://example.com/',
+                images: [image('https://example.com/a.jpg', fingerprint('a', '0f0f0f0f0f0f0f0f')), image('https://cdn.example.com/a.jpg', fingerprint('a', '0f0f0f0f0f0f0f0f'))]
+            }]);
+
+            expect(summary.near_duplicate_clusters_count).toBe(0);
+        });
+    });
+});
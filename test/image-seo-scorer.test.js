@@ -0,0 +1,189 @@
+const { ImageSeoScorer } = require('../src/image-seo-scorer');
+
+/**
+ * Page result with the fields the scorer reads
+ */
+function page(url, images = [], fields = {}) {
+    return {
+        url,
+        images,
+        totalImageSize: images.reduce((sum, image) => sum + (image.sizeInBytes || 0), 0),
+        wcagFailures: [],
+        brokenImages: [],
+        ...fields
+    };
+}
+
+function image(name, sizeInKb, contentType = 'image/jpeg') {
+    return {
+        imageUrl: `https://example.com/${name}`,
+        sizeInBytes: sizeInKb * 1000,
+        sizeInKb,
+        contentType,
+        accessibility: { wcagFailure: false }
+    };
+}
+
+function scored(scorer, pages) {
+    return pages.map(p => ({ ...p, seoScore: scorer.scorePage(p) }));
+}
+
+describe('ImageSeoScorer', () => {
+    describe('validateRules', () => {
+        it('accepts partial overrides and disabled rules', () => {
+            expect(ImageSeoScorer.validateRules({})).toBeNull();
+            expect(ImageSeoScorer.validateRules({ maxImageKb: 150, minScore: 80, forbiddenFormats: ['gif'], maxBrokenImages: null })).toBeNull();
+        });
+
+        it('rejects anything but a plain object', () => {
+            expect(ImageSeoScorer.validateRules(null)).toBe('scoringRules must be an object');
+            expect(ImageSeoScorer.validateRules([])).toBe('scoringRules must be an object');
+            expect(ImageSeoScorer.validateRules('strict')).toBe('scoringRules must be an object');
+        });
+
+        it('rejects unknown rules', () => {
+            expect(ImageSeoScorer.validateRules({ maxImageSize: 100 })).toMatch(/^Unknown scoring rule "maxImageSize"/);
+        });
+
+        it.each([
+            ['maxImageKb', -1],
+            ['maxImageKb', '200'],
+            ['maxPageImageKb', Infinity],
+            ['maxBrokenImages', NaN],
+            ['minAltCoveragePercentage', 101],
+            ['minScore', 150],
+            ['forbiddenFormats', 'bmp'],
+            ['forbiddenFormats', ['bmp', 1]]
+        ])('rejects %s = %p', (rule, value) => {
+            expect(ImageSeoScorer.validateRules({ [rule]: value })).toBe(`Invalid value for scoring rule "${rule}"`);
+        });
+    });
+
+    describe('scorePage', () => {
+        it('gives a compliant page a full score', () => {
+            const scorer = new ImageSeoScorer();
+
+            expect(scorer.scorePage(page('https://example.com/', [image('a.jpg', 50)]))).toEqual({ score: 100, violations: [] });
+        });
+
+        it('does not score pages that failed to load', () => {
+            const scorer = new ImageSeoScorer();
+
+            expect(scorer.scorePage({ url: 'https://example.com/', error: 'timeout' })).toEqual({ score: null, violations: [] });
+        });
+
+        it('lists each violated rule with its threshold and offending images', () => {
+            const scorer = new ImageSeoScorer({ maxImageKb: 100, maxPageImageKb: 300 });
+            const heavy = image('heavy.jpg', 250);
+            const bitmap = image('old.bmp', 80, 'image/bmp');
+            const broken = image('broken.jpg', 0);
+            const result = scorer.scorePage(page('https://example.com/', [heavy, bitmap, broken], {
+                wcagFailures: [bitmap],
+                brokenImages: [broken]
+            }));
+
+            expect(result.violations).toEqual([
+                { rule: 'max_image_kb', threshold: 100, actual: 250, images: [heavy.imageUrl] },
+                { rule: 'max_page_image_kb', threshold: 300, actual: 330 },
+                { rule: 'min_alt_coverage_percentage', threshold: 90, actual: 67, images: [bitmap.imageUrl] },
+                { rule: 'forbidden_formats', threshold: ['bmp', 'tiff'], actual: ['bmp'], images: [bitmap.imageUrl] },
+                { rule: 'max_broken_images', threshold: 0, actual: 1, images: [broken.imageUrl] }
+            ]);
+            expect(result.score).toBeGreaterThan(0);
+            expect(result.score).toBeLessThan(100);
+        });
+
+        it('leaves disabled rules out of the score', () => {
+            const scorer = new ImageSeoScorer({ maxImageKb: null });
+
+            expect(scorer.scorePage(page('https://example.com/', [image('heavy.jpg', 900)])).score).toBe(100);
+        });
+
+        it('flags a page below minScore', () => {
+            const scorer = new ImageSeoScorer({ maxImageKb: 100, minScore: 95 });
+            const result = scorer.scorePage(page('https://example.com/', [image('heavy.jpg', 250)]));
+
+            expect(result.violations.map(v => v.rule)).toEqual(['max_image_kb', 'min_score']);
+        });
+    });
+
+    describe('summarize', () => {
+        it('passes when every page complies', () => {
+            const scorer = new ImageSeoScorer();
+            const summary = scorer.summarize(scored(scorer, [
+                page('https://example.com/', [image('a.jpg', 50)]),
+                page('https://example.com/about', [image('b.jpg', 60)])
+            ]));
+
+            expect(summary).toMatchObject({ score: 100, passed: true, pages_scored: 2, pages_with_violations: 0, violations: [] });
+        });
+
+        it('averages page scores and merges page violations per rule', () => {
+            const scorer = new ImageSeoScorer({ maxImageKb: 100 });
+            const summary = scorer.summarize(scored(scorer, [
+                page('https://example.com/', [image('a.jpg', 150), image('shared.jpg', 120)]),
+                page('https://example.com/about', [image('shared.jpg', 120), image('b.jpg', 50)])
+            ]));
+
+            expect(summary.passed).toBe(false);
+            expect(summary.violations).toEqual([{
+                rule: 'max_image_kb',
+                threshold: 100,
+                actual: 150,
+                images: ['https://example.com/a.jpg', 'https://example.com/shared.jpg'],
+                pages: ['https://example.com/', 'https://example.com/about']
+            }]);
+            expect(summary.lowest_scoring_pages[0].url).toBe('https://example.com/');
+        });
+
+        it('checks alt coverage and broken images domain-wide', () => {
+            const scorer = new ImageSeoScorer({ minAltCoveragePercentage: 95, maxBrokenImages: 1 });
+            const summary = scorer.summarize(scored(scorer, [page('https://example.com/', [image('a.jpg', 50)])]), {
+                wcag_1_1_1_failures_percentage: 10,
+                broken_images: { broken_images_count: 2 }
+            });
+
+            expect(summary.violations.map(({ rule, actual }) => [rule, actual])).toEqual([
+                ['min_alt_coverage_percentage', 90],
+                ['max_broken_images', 2]
+            ]);
+        });
+
+        it('fails when no page was scored', () => {
+            const scorer = new ImageSeoScorer();
+            const summary = scorer.summarize(scored(scorer, [{ url: 'https://nonexistent.invalid/', error: 'getaddrinfo ENOTFOUND' }]));
+
+            expect(summary.score).toBeNull();
+            expect(summary.passed).toBe(false);
+            expect(summary.violations).toEqual([
+                { rule: 'no_pages_scored', threshold: 1, actual: 0 },
+                { rule: 'pages_not_analyzed', threshold: 0, actual: 1, pages: ['https://nonexistent.invalid/'] }
+            ]);
+        });
+
+        it('fails an empty audit even with every rule disabled', () => {
+            const scorer = new ImageSeoScorer({ maxImageKb: null, maxPageImageKb: null, minAltCoveragePercentage: null, forbiddenFormats: null, maxBrokenImages: null });
+
+            expect(scorer.summarize([]).passed).toBe(false);
+        });
+
+        it('fails when pages errored or were skipped by robots.txt', () => {
+            const scorer = new ImageSeoScorer();
+            const summary = scorer.summarize(scored(scorer, [
+                page('https://example.com/', [image('a.jpg', 50)]),
+                { url: 'https://example.com/down', error: 'Request failed with status code 503' }
+            ]), {
+                skipped_urls: [{ url: 'https://example.com/private', reason: 'disallowed_by_robots_txt' }]
+            });
+
+            expect(summary.score).toBe(100);
+            expect(summary.passed).toBe(false);
+            expect(summary.violations).toEqual([{
+                rule: 'pages_not_analyzed',
+                threshold: 0,
+                actual: 2,
+                pages: ['https://example.com/down', 'https://example.com/private']
+            }]);
+        });
+    });
+});
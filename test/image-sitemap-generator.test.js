@@ -0,0 +1,134 @@
+const { ImageSitemapGenerator } = require('../src/image-sitemap-generator');
+const { SitemapDiscovery } = require('../src/sitemap-discovery');
+
+/**
+ * Image record as produced by PageImagesAnalyzer
+ */
+function image(imageUrl, fields = {}) {
+    return { imageUrl, sourceKind: 'img', statusCode: 200, errorType: null, accessibility: { isDecorative: false }, ...fields };
+}
+
+/**
+ * Report with one page per entry of a map of page URL to images
+ */
+function report(pages) {
+    return { pages: Object.entries(pages).map(([url, images]) => ({ url, statusCode: 200, images })) };
+}
+
+describe('ImageSitemapGenerator', () => {
+    const parse = xml => new SitemapDiscovery().parseSitemap(xml);
+
+    describe('collectEntries', () => {
+        it('lists the <img> images of each page once', () => {
+            const entries = new ImageSitemapGenerator().collectEntries(report({
+                'https://example.com/': [
+                    image('https://example.com/a.jpg'),
+                    image('https://example.com/a.jpg'),
+                    image('https://example.com/bg.jpg', { sourceKind: 'css-inline' }),
+                    image('https://example.com/og.jpg', { sourceKind: 'meta-og-image' }),
+                    image('data:image/png;base64,AAAA')
+                ],
+                'https://example.com/empty': []
+            }));
+
+            expect(entries).toEqual([{ pageUrl: 'https://example.com/', images: [{ loc: 'https://example.com/a.jpg' }] }]);
+        });
+
+        it('leaves out broken and decorative images unless disabled', () => {
+            const pages = report({
+                'https://example.com/': [
+                    image('https://example.com/ok.jpg'),
+                    image('https://example.com/404.jpg', { statusCode: 404 }),
+                    image('https://example.com/timeout.jpg', { statusCode: 0, errorType: 'timeout' }),
+                    image('https://example.com/spacer.gif', { accessibility: { isDecorative: true } })
+                ]
+            });
+
+            expect(new ImageSitemapGenerator().collectEntries(pages)[0].images).toEqual([{ loc: 'https://example.com/ok.jpg' }]);
+            expect(new ImageSitemapGenerator({ excludeBrokenImages: false, excludeDecorativeImages: false }).collectEntries(pages)[0].images).toHaveLength(4);
+        });
+
+        it('lists pages under their canonical or final URL and merges pages sharing it', () => {
+            const entries = new ImageSitemapGenerator().collectEntries({
+                pages: [
+                    { url: 'https://example.com/shoes?ref=nav', canonicalUrl: 'https://example.com/shoes', images: [image('https://example.com/a.jpg')] },
+                    { url: 'https://example.com/shoes?ref=footer', canonicalUrl: 'https://example.com/shoes', images: [image('https://example.com/b.jpg')] },
+                    { url: 'https://example.com/blog', finalUrl: 'https://example.com/blog/', images: [image('https://example.com/c.jpg')] },
+                    { url: 'https://example.com/gone', statusCode: 404, images: [image('https://example.com/d.jpg')] },
+                    { url: 'https://example.com/failed', error: 'timeout', images: [image('https://example.com/e.jpg')] }
+                ]
+            });
+
+            expect(entries.map(entry => [entry.pageUrl, entry.images.map(i => i.loc)])).toEqual([
+                ['https://example.com/shoes', ['https://example.com/a.jpg', 'https://example.com/b.jpg']],
+                ['https://example.com/blog/', ['https://example.com/c.jpg']]
+            ]);
+        });
+    });
+
+    describe('escaping', () => {
+        it('escapes XML special characters and drops control characters', () => {
+            const generator = new ImageSitemapGenerator();
+
+            expect(generator.escapeXml('https://example.com/a.jpg?w=100&h=<50>&q="1"&n=\'x\'\u0001')).toBe(
+                'https://example.com/a.jpg?w=100&amp;h=&lt;50&gt;&amp;q=&quot;1&quot;&amp;n=&apos;x&apos;'
+            );
+        });
+
+        it('writes a sitemap that parses back to the same URLs', () => {
+            const pageUrl = 'https://example.com/search?q=shoes&sort=price';
+            const imageUrl = 'https://example.com/img.jpg?w=100&h=100';
+
+            const { files } = new ImageSitemapGenerator().generate(report({ [pageUrl]: [image(imageUrl)] }));
+
+            expect(files.map(file => [file.key, file.fileName, file.contentType])).toEqual([['IMAGE_SITEMAP', 'image-sitemap.xml', 'application/xml; charset=utf-8']]);
+            expect(files[0].body).toContain('<loc>https://example.com/search?q=shoes&amp;sort=price</loc>');
+            expect(parse(files[0].body)).toEqual({ type: 'urlset', locs: [pageUrl], imageLocs: [imageUrl] });
+        });
+    });
+
+    describe('splitting', () => {
+        const pages = report({
+            'https://example.com/a': [image('https://example.com/a.jpg')],
+            'https://example.com/b': [image('https://example.com/b.jpg')],
+            'https://example.com/c': [image('https://example.com/c.jpg')]
+        });
+
+        it('splits into numbered sitemaps listed in a sitemap index', () => {
+            const sitemap = new ImageSitemapGenerator({ maxUrlsPerSitemap: 2 }).generate(pages);
+
+            expect(sitemap.files.map(file => file.key)).toEqual(['IMAGE_SITEMAP_INDEX', 'IMAGE_SITEMAP_1', 'IMAGE_SITEMAP_2']);
+            expect(parse(sitemap.files[0].body)).toEqual({
+                type: 'index',
+                locs: ['https://example.com/image-sitemap-1.xml', 'https://example.com/image-sitemap-2.xml'],
+                imageLocs: []
+            });
+            expect(parse(sitemap.files[1].body).locs).toEqual(['https://example.com/a', 'https://example.com/b']);
+            expect(parse(sitemap.files[2].body).locs).toEqual(['https://example.com/c']);
+            expect(sitemap).toMatchObject({ pages_count: 3, images_count: 3 });
+        });
+
+        it('lists the split files under the base URL', () => {
+            const { files } = new ImageSitemapGenerator({ maxUrlsPerSitemap: 2 }).generate(pages, { baseUrl: 'https://cdn.example.com/sitemaps/' });
+
+            expect(parse(files[0].body).locs).toEqual(['https://cdn.example.com/sitemaps/image-sitemap-1.xml', 'https://cdn.example.com/sitemaps/image-sitemap-2.xml']);
+        });
+
+        it('never puts more than 50,000 URLs in a sitemap', () => {
+            expect(new ImageSitemapGenerator({ maxUrlsPerSitemap: 100000 }).maxUrlsPerSitemap).toBe(50000);
+        });
+
+        it('starts a new sitemap before one would pass 50 MB', () => {
+            const url = 'x'.repeat(26 * 1024 * 1024);
+
+            expect(new ImageSitemapGenerator().split([url, url, 'small']).map(chunk => chunk.length)).toEqual([1, 2]);
+        });
+
+        it('writes an empty urlset when no page has images', () => {
+            const { files, pages_count: pagesCount } = new ImageSitemapGenerator().generate(report({ 'https://example.com/': [] }));
+
+            expect(pagesCount).toBe(0);
+            expect(parse(files[0].body)).toEqual({ type: 'urlset', locs: [], imageLocs: [] });
+        });
+    });
+});
@@ -0,0 +1,126 @@
+jest.mock('axios');
+
+const axios = require('axios');
+const cheerio = require('cheerio');
+const { ImageSourceDiscovery } = require('../src/image-source-discovery');
+const { RequestScheduler } = require('../src/request-scheduler');
+
+const PAGE_URL = 'https://example.com/blog/post';
+
+function page(head, body = '') {
+    return cheerio.load(`<html><head>${head}</head><body>${body}</body></html>`);
+}
+
+describe('ImageSourceDiscovery', () => {
+    beforeEach(() => {
+        axios.get.mockReset();
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    describe('extractCssImageUrls', () => {
+        it('reads the URLs of image-painting declarations only', () => {
+            const discovery = new ImageSourceDiscovery();
+            const css = `
+                .hero { background: #000 url("/img/hero.jpg") no-repeat; }
+                .icon { background-image: url(icon.svg), url('sprite.png'); }
+                /* .old { background: url(commented.png); } */
+                @font-face { src: url(font.woff2); }
+                .mask { mask-image: url(#clip); }
+            `;
+
+            expect(discovery.extractCssImageUrls(css)).toEqual(['/img/hero.jpg', 'icon.svg', 'sprite.png']);
+        });
+    });
+
+    describe('linked stylesheets', () => {
+        it('resolves stylesheet URLs against the stylesheet', async () => {
+            axios.get.mockResolvedValue({ status: 200, data: '.a { background: url(../img/a.png); }' });
+            const discovery = new ImageSourceDiscovery();
+
+            const candidates = await discovery.discover(page('<link rel="stylesheet" href="/css/site.css">'), PAGE_URL);
+
+            expect(candidates).toEqual([{ sourceKind: 'css-stylesheet', src: 'https://example.com/img/a.png', $el: null }]);
+        });
+
+        it('fetches each stylesheet once for all pages sharing the cache', async () => {
+            axios.get.mockResolvedValue({ status: 200, data: '.a { background: url(/img/a.png); }' });
+            const stylesheetCache = new Map();
+            const $ = page('<link rel="stylesheet" href="/css/site.css">');
+
+            for (const url of [PAGE_URL, 'https://example.com/about']) {
+                const discovery = new ImageSourceDiscovery({ stylesheetCache });
+                await expect(discovery.discover($, url)).resolves.toHaveLength(1);
+            }
+
+            expect(axios.get).toHaveBeenCalledTimes(1);
+        });
+
+        it('schedules stylesheet requests through the request scheduler', async () => {
+            axios.get.mockResolvedValue({ status: 200, data: '' });
+            const scheduler = new RequestScheduler();
+            jest.spyOn(scheduler, 'schedule');
+            const discovery = new ImageSourceDiscovery({ scheduler });
+
+            await discovery.discover(page('<link rel="stylesheet" href="/a.css"><link rel="stylesheet" href="https://cdn.example.com/b.css">'), PAGE_URL);
+
+            expect(scheduler.schedule.mock.calls.map(([url]) => url)).toEqual(['https://example.com/a.css', 'https://cdn.example.com/b.css']);
+        });
+
+        it('backs off and retries a stylesheet answering 503', async () => {
+            jest.useFakeTimers({ now: 0 });
+            const unavailable = Object.assign(new Error('Request failed with status code 503'), { response: { status: 503 } });
+            axios.get
+                .mockRejectedValueOnce(unavailable)
+                .mockResolvedValueOnce({ status: 200, data: '.a { background: url(/a.png); }' });
+            const discovery = new ImageSourceDiscovery({ scheduler: new RequestScheduler({ initialBackoffMs: 1000 }) });
+
+            const candidates = discovery.discover(page('<link rel="stylesheet" href="/a.css">'), PAGE_URL);
+            await jest.advanceTimersByTimeAsync(1000);
+
+            await expect(candidates).resolves.toHaveLength(1);
+            expect(axios.get).toHaveBeenCalledTimes(2);
+            jest.useRealTimers();
+        });
+
+        it('reads at most maxStylesheets stylesheets', async () => {
+            axios.get.mockResolvedValue({ status: 200, data: '' });
+            const discovery = new ImageSourceDiscovery({ maxStylesheets: 2 });
+
+            await discovery.discover(page('<link rel="stylesheet" href="/1.css"><link rel="stylesheet" href="/2.css"><link rel="stylesheet" href="/3.css">'), PAGE_URL);
+
+            expect(axios.get).toHaveBeenCalledTimes(2);
+        });
+
+        it('skips stylesheets that fail to load', async () => {
+            axios.get.mockRejectedValue(new Error('getaddrinfo ENOTFOUND cdn.example.com'));
+            const discovery = new ImageSourceDiscovery();
+
+            await expect(discovery.discover(page('<link rel="stylesheet" href="https://cdn.example.com/a.css">'), PAGE_URL)).resolves.toEqual([]);
+        });
+    });
+
+    describe('discover', () => {
+        it('tags each non-<img> image with its source kind and skips known URLs', async () => {
+            const discovery = new ImageSourceDiscovery();
+            const $ = page(
+                '<meta property="og:image" content="/og.jpg"><meta name="twitter:image" content="/og.jpg"><style>.b { background: url(/b.png) }</style>',
+                '<div style="background-image: url(/c.png)"></div><input type="image" src="/go.png" alt="Go"><video poster="/poster.jpg"></video><svg><svg></svg></svg><img src="/known.png">'
+            );
+
+            const candidates = await discovery.discover($, PAGE_URL, new Set(['https://example.com/known.png']));
+
+            expect(candidates.map(({ sourceKind, src }) => [sourceKind, src])).toEqual([
+                ['input-image', 'https://example.com/go.png'],
+                ['video-poster', 'https://example.com/poster.jpg'],
+                ['css-inline', 'https://example.com/c.png'],
+                ['css-style-block', 'https://example.com/b.png'],
+                ['inline-svg', '#inline-svg-1'],
+                ['meta-og-image', 'https://example.com/og.jpg']
+            ]);
+        });
+    });
+});
@@ -0,0 +1,74 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { LocalFileReader } = require('../src/local-file-reader');
+const { PageImagesAnalyzer } = require('../src/page-images-analyzer');
+const { BrokenImageReporter } = require('../src/broken-image-reporter');
+
+describe('LocalFileReader', () => {
+    let tmpDir;
+    let rootDir;
+    let reader;
+
+    beforeEach(() => {
+        tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'local-file-reader-'));
+        rootDir = path.join(tmpDir, 'build');
+        fs.mkdirSync(path.join(rootDir, 'blog'), { recursive: true });
+        fs.writeFileSync(path.join(rootDir, 'index.html'), '<html></html>');
+        fs.writeFileSync(path.join(rootDir, 'blog', 'index.html'), '<html></html>');
+        fs.writeFileSync(path.join(rootDir, 'about.html'), '<html></html>');
+        fs.writeFileSync(path.join(tmpDir, 'secret.png'), 'outside');
+        reader = new LocalFileReader({ rootDir });
+    });
+
+    afterEach(() => {
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    it('resolves files, directory indexes and extensionless pages', async () => {
+        await expect(reader.resolveFile('file:///index.html')).resolves.toBe(path.join(rootDir, 'index.html'));
+        await expect(reader.resolveFile('file:///blog/')).resolves.toBe(path.join(rootDir, 'blog', 'index.html'));
+        await expect(reader.resolveFile('file:///about')).resolves.toBe(path.join(rootDir, 'about.html'));
+        await expect(reader.resolveFile('file:///missing.png')).resolves.toBeNull();
+    });
+
+    it('does not read files outside the build directory', async () => {
+        await expect(reader.resolveFile('file:///%2e%2e/secret.png')).resolves.toBeNull();
+    });
+
+    it('does not follow symlinks out of the build directory', async () => {
+        fs.symlinkSync(path.join(tmpDir, 'secret.png'), path.join(rootDir, 'link.png'));
+
+        await expect(reader.resolveFile('file:///link.png')).resolves.toBeNull();
+        await expect(reader.probe('file:///link.png')).resolves.toMatchObject({ statusCode: 404, sizeInBytes: 0 });
+        await expect(reader.download('file:///link.png')).resolves.toBeNull();
+    });
+
+    it('follows symlinks that stay inside the build directory', async () => {
+        fs.symlinkSync(path.join(rootDir, 'about.html'), path.join(rootDir, 'alias.html'));
+
+        await expect(reader.resolveFile('file:///alias.html')).resolves.toBe(path.join(rootDir, 'alias.html'));
+    });
+
+    describe('remote URLs in a local build', () => {
+        it('are not requested and never reported as broken', async () => {
+            const analyzer = new PageImagesAnalyzer({ localFileReader: reader });
+            const html = '<html><head><meta property="og:image" content="https://cdn.example.invalid/og.jpg"></head>'
+                + '<body><img src="https://cdn.example.invalid/photo.jpg" alt="Team photo"></body></html>';
+
+            const page = await analyzer.analyzePage({ url: 'file:///index.html', html });
+
+            expect(page.images.map(image => [image.imageUrl, image.statusCode, image.unchecked])).toEqual([
+                ['https://cdn.example.invalid/photo.jpg', null, true],
+                ['https://cdn.example.invalid/og.jpg', null, true]
+            ]);
+            expect(page.brokenImages).toEqual([]);
+            expect(page.openGraphImage.issues).toEqual([]);
+            await expect(analyzer.downloadImage('https://cdn.example.invalid/photo.jpg')).resolves.toBeNull();
+
+            const report = new BrokenImageReporter().summarize([page]);
+            expect(report.broken_images_count).toBe(0);
+            expect(report.unchecked_images_count).toBe(2);
+        });
+    });
+});
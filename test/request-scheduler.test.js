@@ -0,0 +1,265 @@
+const { RequestScheduler } = require('../src/request-scheduler');
+
+/**
+ * Task that stays in flight until settled from the test
+ */
+function deferredTask(log, name) {
+    let settle;
+    const task = jest.fn(() => {
+        log.push({ name, at: Date.now() });
+        return new Promise(resolve => {
+            settle = resolve;
+        });
+    });
+    return { task, settle: value => settle(value) };
+}
+
+describe('RequestScheduler', () => {
+    beforeEach(() => {
+        jest.useFakeTimers({ now: 0 });
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+        jest.restoreAllMocks();
+    });
+
+    describe('concurrency', () => {
+        it('caps the requests in flight per host', async () => {
+            const scheduler = new RequestScheduler({ maxConcurrencyPerHost: 2 });
+            const log = [];
+            const tasks = [1, 2, 3].map(i => deferredTask(log, `a${i}`));
+            const results = tasks.map(({ task }) => scheduler.schedule('https://a.example/img.png', task));
+
+            await jest.advanceTimersByTimeAsync(0);
+            expect(log.map(entry => entry.name)).toEqual(['a1', 'a2']);
+
+            tasks[0].settle({ status: 200 });
+            await jest.advanceTimersByTimeAsync(0);
+            expect(log.map(entry => entry.name)).toEqual(['a1', 'a2', 'a3']);
+
+            tasks[1].settle({ status: 200 });
+            tasks[2].settle({ status: 200 });
+            await expect(Promise.all(results)).resolves.toHaveLength(3);
+        });
+
+        it('does not hold back other hosts while one host is at its limit', async () => {
+            const scheduler = new RequestScheduler({ maxConcurrencyPerHost: 1 });
+            const log = [];
+            const first = deferredTask(log, 'a1');
+            const second = deferredTask(log, 'a2');
+            const other = deferredTask(log, 'b1');
+
+            scheduler.schedule('https://a.example/1', first.task);
+            scheduler.schedule('https://a.example/2', second.task);
+            scheduler.schedule('https://b.example/1', other.task);
+            await jest.advanceTimersByTimeAsync(0);
+
+            expect(log.map(entry => entry.name)).toEqual(['a1', 'b1']);
+        });
+
+        it('caps the requests in flight across all hosts', async () => {
+            const scheduler = new RequestScheduler({ maxConcurrency: 2, maxConcurrencyPerHost: 4 });
+            const log = [];
+            const hosts = ['a', 'b', 'c'];
+            const tasks = hosts.map(host => deferredTask(log, host));
+            tasks.forEach(({ task }, i) => scheduler.schedule(`https://${hosts[i]}.example/`, task));
+
+            await jest.advanceTimersByTimeAsync(0);
+            expect(log.map(entry => entry.name)).toEqual(['a', 'b']);
+
+            tasks[1].settle({ status: 200 });
+            await jest.advanceTimersByTimeAsync(0);
+            expect(log.map(entry => entry.name)).toEqual(['a', 'b', 'c']);
+        });
+
+        it('runs non-HTTP URLs immediately', async () => {
+            const scheduler = new RequestScheduler({ maxConcurrency: 1 });
+            const log = [];
+            const blocking = deferredTask(log, 'http');
+            scheduler.schedule('https://a.example/', blocking.task);
+
+            await expect(scheduler.schedule('data:image/png;base64,AAAA', () => 'data')).resolves.toBe('data');
+        });
+    });
+
+    describe('rate limiting', () => {
+        it('spaces the requests to a host to maxRequestsPerSecond', async () => {
+            const scheduler = new RequestScheduler({ maxConcurrencyPerHost: 4, maxRequestsPerSecond: 2 });
+            const starts = [];
+            const task = () => {
+                starts.push(Date.now());
+                return Promise.resolve({ status: 200 });
+            };
+
+            const results = [1, 2, 3].map(() => scheduler.schedule('https://a.example/', task));
+            await jest.advanceTimersByTimeAsync(0);
+            expect(starts).toEqual([0]);
+
+            await jest.advanceTimersByTimeAsync(499);
+            expect(starts).toEqual([0]);
+
+            await jest.advanceTimersByTimeAsync(1);
+            expect(starts).toEqual([0, 500]);
+
+            await jest.advanceTimersByTimeAsync(500);
+            expect(starts).toEqual([0, 500, 1000]);
+            await Promise.all(results);
+        });
+
+        it('rate-limits each host separately', async () => {
+            const scheduler = new RequestScheduler({ maxRequestsPerSecond: 1 });
+            const starts = [];
+            const task = host => () => {
+                starts.push([host, Date.now()]);
+                return Promise.resolve({ status: 200 });
+            };
+
+            scheduler.schedule('https://a.example/1', task('a'));
+            scheduler.schedule('https://a.example/2', task('a'));
+            scheduler.schedule('https://b.example/1', task('b'));
+            await jest.advanceTimersByTimeAsync(0);
+            expect(starts).toEqual([['a', 0], ['b', 0]]);
+
+            await jest.advanceTimersByTimeAsync(1000);
+            expect(starts).toEqual([['a', 0], ['b', 0], ['a', 1000]]);
+        });
+    });
+
+    describe('backoff', () => {
+        it('retries 429 and 503 responses with exponential backoff', async () => {
+            const scheduler = new RequestScheduler({ initialBackoffMs: 1000, maxRetries: 3 });
+            const attempts = [];
+            const responses = [{ status: 429 }, { status: 503 }, { status: 200, data: 'ok' }];
+            const result = scheduler.schedule('https://a.example/', () => {
+                attempts.push(Date.now());
+                return Promise.resolve(responses.shift());
+            });
+
+            await jest.advanceTimersByTimeAsync(0);
+            expect(attempts).toEqual([0]);
+
+            await jest.advanceTimersByTimeAsync(999);
+            expect(attempts).toEqual([0]);
+
+            await jest.advanceTimersByTimeAsync(1);
+            expect(attempts).toEqual([0, 1000]);
+
+            await jest.advanceTimersByTimeAsync(2000);
+            expect(attempts).toEqual([0, 1000, 3000]);
+            await expect(result).resolves.toEqual({ status: 200, data: 'ok' });
+        });
+
+        it('retries errors carrying a retryable response and rethrows after maxRetries', async () => {
+            const scheduler = new RequestScheduler({ initialBackoffMs: 100, maxRetries: 2 });
+            const error = Object.assign(new Error('Request failed with status code 503'), { response: { status: 503 } });
+            const task = jest.fn(() => Promise.reject(error));
+
+            const result = scheduler.schedule('https://a.example/', task);
+            result.catch(() => {});
+            await jest.advanceTimersByTimeAsync(100 + 200);
+
+            await expect(result).rejects.toBe(error);
+            expect(task).toHaveBeenCalledTimes(3);
+        });
+
+        it('does not retry other failures', async () => {
+            const scheduler = new RequestScheduler();
+            const task = jest.fn(() => Promise.resolve({ status: 404 }));
+
+            await expect(scheduler.schedule('https://a.example/', task)).resolves.toEqual({ status: 404 });
+            expect(task).toHaveBeenCalledTimes(1);
+        });
+
+        it('caps the backoff at maxBackoffMs', () => {
+            const scheduler = new RequestScheduler({ initialBackoffMs: 1000, maxBackoffMs: 5000 });
+
+            expect(scheduler.getBackoffDelay(0, {})).toBe(1000);
+            expect(scheduler.getBackoffDelay(2, {})).toBe(4000);
+            expect(scheduler.getBackoffDelay(5, {})).toBe(5000);
+        });
+
+        it('pauses the whole host while it backs off', async () => {
+            const scheduler = new RequestScheduler({ initialBackoffMs: 1000 });
+            const starts = [];
+            const responses = [{ status: 429 }, { status: 200 }];
+
+            scheduler.schedule('https://a.example/1', () => {
+                starts.push(['a1', Date.now()]);
+                return Promise.resolve(responses.shift());
+            });
+            await jest.advanceTimersByTimeAsync(0);
+
+            const task = name => () => {
+                starts.push([name, Date.now()]);
+                return Promise.resolve({ status: 200 });
+            };
+            scheduler.schedule('https://a.example/2', task('a2'));
+            scheduler.schedule('https://b.example/1', task('b1'));
+            await jest.advanceTimersByTimeAsync(0);
+            expect(starts).toEqual([['a1', 0], ['b1', 0]]);
+
+            await jest.advanceTimersByTimeAsync(1000);
+            expect(starts).toEqual([['a1', 0], ['b1', 0], ['a1', 1000], ['a2', 1000]]);
+        });
+    });
+
+    describe('Retry-After', () => {
+        it('waits the number of seconds in Retry-After', async () => {
+            const scheduler = new RequestScheduler({ initialBackoffMs: 1000 });
+            const attempts = [];
+            const responses = [{ status: 429, headers: { 'retry-after': '5' } }, { status: 200 }];
+            const result = scheduler.schedule('https://a.example/', () => {
+                attempts.push(Date.now());
+                return Promise.resolve(responses.shift());
+            });
+
+            await jest.advanceTimersByTimeAsync(4999);
+            expect(attempts).toEqual([0]);
+
+            await jest.advanceTimersByTimeAsync(1);
+            expect(attempts).toEqual([0, 5000]);
+            await expect(result).resolves.toEqual({ status: 200 });
+        });
+
+        it('waits until the HTTP date in Retry-After', () => {
+            const scheduler = new RequestScheduler({ maxBackoffMs: 60000 });
+            jest.setSystemTime(new Date('2026-01-01T00:00:00Z'));
+
+            expect(scheduler.getBackoffDelay(0, { headers: { 'retry-after': 'Thu, 01 Jan 2026 00:00:20 GMT' } })).toBe(20000);
+        });
+
+        it('caps Retry-After at maxBackoffMs and ignores dates in the past', () => {
+            const scheduler = new RequestScheduler({ maxBackoffMs: 30000 });
+            jest.setSystemTime(new Date('2026-01-01T00:00:00Z'));
+
+            expect(scheduler.getBackoffDelay(0, { headers: { 'retry-after': '120' } })).toBe(30000);
+            expect(scheduler.getBackoffDelay(0, { headers: { 'retry-after': 'Wed, 31 Dec 2025 23:59:00 GMT' } })).toBe(0);
+        });
+
+        it('falls back to exponential backoff for an invalid Retry-After', () => {
+            const scheduler = new RequestScheduler({ initialBackoffMs: 1000 });
+
+            expect(scheduler.getBackoffDelay(1, { headers: { 'retry-after': 'soon' } })).toBe(2000);
+        });
+    });
+
+    describe('cancel', () => {
+        it('rejects waiting and later requests', async () => {
+            const scheduler = new RequestScheduler({ maxConcurrencyPerHost: 1 });
+            const log = [];
+            const running = deferredTask(log, 'running');
+            const runningResult = scheduler.schedule('https://a.example/1', running.task);
+            const waitingResult = scheduler.schedule('https://a.example/2', () => Promise.resolve({ status: 200 }));
+            await jest.advanceTimersByTimeAsync(0);
+
+            scheduler.cancel();
+            running.settle({ status: 200 });
+
+            await expect(waitingResult).rejects.toThrow('Request cancelled');
+            await expect(scheduler.schedule('https://a.example/3', () => Promise.resolve({ status: 200 }))).rejects.toThrow('Request cancelled');
+            await expect(runningResult).resolves.toEqual({ status: 200 });
+        });
+    });
+});
@@ -0,0 +1,109 @@
+const cheerio = require('cheerio');
+const { ResponsiveImageAnalyzer } = require('../src/responsive-image-analyzer');
+
+const PAGE_URL = 'https://example.com/blog/post';
+
+/**
+ * Analyze the first <img> of an HTML fragment
+ */
+function analyze(html, contentType = 'image/jpeg') {
+    const $ = cheerio.load(html);
+    const $img = $('img').first();
+    const imageUrl = new URL($img.attr('src'), PAGE_URL).href;
+    return new ResponsiveImageAnalyzer().analyzeImage($, $img, PAGE_URL, imageUrl, contentType);
+}
+
+describe('ResponsiveImageAnalyzer', () => {
+    const analyzer = new ResponsiveImageAnalyzer();
+
+    describe('parseSrcset', () => {
+        it.each([
+            ['hero-480.jpg 480w, hero-960.jpg 960w', [{ url: 'hero-480.jpg', descriptor: '480w' }, { url: 'hero-960.jpg', descriptor: '960w' }]],
+            ['logo.png, logo@2x.png 2x', [{ url: 'logo.png', descriptor: '1x' }, { url: 'logo@2x.png', descriptor: '2x' }]],
+            ['  a.jpg   1x  ,b.jpg 2x,  ', [{ url: 'a.jpg', descriptor: '1x' }, { url: 'b.jpg', descriptor: '2x' }]],
+            // Only a trailing comma ends a URL, so a comma without whitespace stays part of it
+            ['a.jpg,b.jpg 2x', [{ url: 'a.jpg,b.jpg', descriptor: '2x' }]],
+            ['/img?w=100,200 100w', [{ url: '/img?w=100,200', descriptor: '100w' }]],
+            ['data:image/png;base64,iVBORw0KGgo= 1x', [{ url: 'data:image/png;base64,iVBORw0KGgo=', descriptor: '1x' }]]
+        ])('parses %p', (srcset, candidates) => {
+            expect(analyzer.parseSrcset(srcset)).toEqual(candidates);
+        });
+
+        it('returns no candidates for a missing srcset', () => {
+            expect(analyzer.parseSrcset(undefined)).toEqual([]);
+            expect(analyzer.parseSrcset('')).toEqual([]);
+        });
+    });
+
+    describe('analyzeImage', () => {
+        it('resolves candidates and keeps the sizes attribute', () => {
+            const responsive = analyze('<img src="hero.jpg" srcset="hero-480.jpg 480w, /img/hero-960.jpg 960w" sizes="(max-width: 600px) 100vw, 50vw">');
+
+            expect(responsive).toMatchObject({
+                sizes: '(max-width: 600px) 100vw, 50vw',
+                candidatesCount: 2,
+                inPicture: false,
+                hasResponsiveVariants: true,
+                hasModernFormatSource: null
+            });
+            expect(responsive.candidates.map(c => c.url)).toEqual(['https://example.com/blog/hero-480.jpg', 'https://example.com/img/hero-960.jpg']);
+        });
+
+        it.each([
+            ['a density descriptor', '<img src="logo.png" srcset="logo.png 1x, logo@2x.png 2x">', true],
+            ['a lazy-loaded data-srcset', '<img src="a.jpg" data-srcset="a-480.jpg 480w">', true],
+            ['only a 1x candidate', '<img src="a.jpg" srcset="a.jpg 1x">', false],
+            ['no srcset', '<img src="a.jpg">', false]
+        ])('decides responsive variants for %s', (name, html, hasResponsiveVariants) => {
+            expect(analyze(html).hasResponsiveVariants).toBe(hasResponsiveVariants);
+        });
+
+        it('treats SVG images as responsive', () => {
+            expect(analyze('<img src="logo.svg">', 'image/svg+xml').hasResponsiveVariants).toBe(true);
+        });
+
+        it('reads <picture> sources with their type and media', () => {
+            const responsive = analyze(`
+                <picture>
+                    <source type="image/avif" srcset="hero.avif">
+                    <source media="(min-width: 800px)" srcset="hero-wide.jpg">
+                    <img src="hero.jpg">
+                </picture>
+            `);
+
+            expect(responsive.inPicture).toBe(true);
+            expect(responsive.pictureSources).toEqual([
+                { type: 'image/avif', media: '', sizes: '' },
+                { type: '', media: '(min-width: 800px)', sizes: '' }
+            ]);
+            expect(responsive.hasResponsiveVariants).toBe(true);
+            expect(responsive.hasModernFormatSource).toBe(true);
+        });
+
+        it.each([
+            ['a modern format type', '<picture><source type="image/webp" srcset="a.webp"><img src="a.jpg"></picture>', true],
+            ['a modern format extension', '<picture><source srcset="a.avif"><img src="a.jpg"></picture>', true],
+            ['only legacy formats', '<picture><source srcset="a.png"><img src="a.jpg"></picture>', false]
+        ])('finds a modern format source in a <picture> with %s', (name, html, hasModernFormatSource) => {
+            expect(analyze(html).hasModernFormatSource).toBe(hasModernFormatSource);
+        });
+    });
+
+    describe('summarize', () => {
+        it('counts images with and without responsive variants and <picture> elements', () => {
+            const responsive = fields => ({ candidatesCount: 0, inPicture: false, hasResponsiveVariants: false, hasModernFormatSource: null, ...fields });
+
+            expect(analyzer.summarize([
+                { images: [{ responsive: responsive({ candidatesCount: 3, hasResponsiveVariants: true }) }, { responsive: responsive() }] },
+                { images: [{ responsive: responsive({ candidatesCount: 1, inPicture: true, hasModernFormatSource: false }) }, { responsive: null }] }
+            ])).toEqual({
+                images_with_responsive_variants: 1,
+                images_without_responsive_variants: 2,
+                images_without_responsive_variants_percentage: 67,
+                total_responsive_candidates: 4,
+                picture_elements: 1,
+                picture_elements_without_modern_format: 1
+            });
+        });
+    });
+});
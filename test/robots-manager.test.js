@@ -0,0 +1,118 @@
+jest.mock('axios');
+
+const axios = require('axios');
+const { RobotsManager } = require('../src/robots-manager');
+
+const ORIGIN = 'https://example.com';
+
+const ROBOTS_TXT = `
+User-agent: *
+Disallow: /private/
+
+User-agent: SEO-Image-Optimization-Checker
+Disallow: /drafts/
+Allow: /drafts/published/
+Crawl-delay: 2
+Sitemap: https://example.com/sitemap.xml
+`;
+
+describe('RobotsManager', () => {
+    beforeEach(() => {
+        axios.get.mockReset();
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+        jest.restoreAllMocks();
+    });
+
+    describe('check', () => {
+        beforeEach(() => {
+            axios.get.mockResolvedValue({ status: 200, data: ROBOTS_TXT });
+        });
+
+        it.each([
+            ['/', true],
+            ['/drafts/post', false],
+            ['/drafts/published/post', true],
+            // Only the crawler's own group applies, not the * group
+            ['/private/page', true]
+        ])('matches %s against the group of the crawler user agent', async (path, allowed) => {
+            await expect(new RobotsManager().check(`${ORIGIN}${path}`)).resolves.toEqual({
+                allowed,
+                reason: allowed ? null : 'disallowed_by_robots_txt'
+            });
+        });
+
+        it('falls back to the * group for other user agents', async () => {
+            const robotsManager = new RobotsManager({ userAgent: 'OtherBot/1.0' });
+
+            await expect(robotsManager.check(`${ORIGIN}/private/page`)).resolves.toEqual({ allowed: false, reason: 'disallowed_by_robots_txt' });
+            await expect(robotsManager.check(`${ORIGIN}/drafts/post`)).resolves.toEqual({ allowed: true, reason: null });
+        });
+
+        it('fetches robots.txt once per origin', async () => {
+            const robotsManager = new RobotsManager();
+
+            await robotsManager.check(`${ORIGIN}/a`);
+            await robotsManager.check(`${ORIGIN}/b`);
+            await robotsManager.check('https://cdn.example.com/c');
+
+            expect(axios.get.mock.calls.map(([url]) => url)).toEqual([`${ORIGIN}/robots.txt`, 'https://cdn.example.com/robots.txt']);
+        });
+
+        it('reads the declared sitemaps', async () => {
+            await expect(new RobotsManager().getSitemaps(`${ORIGIN}/`)).resolves.toEqual([`${ORIGIN}/sitemap.xml`]);
+        });
+    });
+
+    describe('unavailable robots.txt', () => {
+        it.each([404, 410, 403])('allows every path when robots.txt answers %i', async status => {
+            axios.get.mockResolvedValue({ status, data: '' });
+
+            await expect(new RobotsManager().check(`${ORIGIN}/private/page`)).resolves.toEqual({ allowed: true, reason: null });
+        });
+
+        it('allows every path when robots.txt redirects more than 5 times', async () => {
+            axios.get.mockRejectedValue(Object.assign(new Error('Maximum number of redirects exceeded'), { code: 'ERR_FR_TOO_MANY_REDIRECTS' }));
+
+            await expect(new RobotsManager().check(`${ORIGIN}/page`)).resolves.toEqual({ allowed: true, reason: null });
+        });
+
+        it.each([500, 503])('disallows every path when robots.txt answers %i', async status => {
+            axios.get.mockResolvedValue({ status, data: '' });
+
+            await expect(new RobotsManager().check(`${ORIGIN}/page`)).resolves.toEqual({ allowed: false, reason: 'robots_txt_unavailable' });
+        });
+
+        it('disallows every path when robots.txt cannot be reached', async () => {
+            axios.get.mockRejectedValue(Object.assign(new Error('getaddrinfo ENOTFOUND example.com'), { code: 'ENOTFOUND' }));
+
+            await expect(new RobotsManager().check(`${ORIGIN}/page`)).resolves.toEqual({ allowed: false, reason: 'robots_txt_unavailable' });
+        });
+    });
+
+    describe('Crawl-delay', () => {
+        it('reads the Crawl-delay of the crawler group', async () => {
+            axios.get.mockResolvedValue({ status: 200, data: ROBOTS_TXT });
+
+            await expect(new RobotsManager().getCrawlDelay(`${ORIGIN}/`)).resolves.toBe(2);
+            await expect(new RobotsManager({ userAgent: 'OtherBot/1.0' }).getCrawlDelay(`${ORIGIN}/`)).resolves.toBe(0);
+        });
+
+        it('spaces requests to the origin by the Crawl-delay', async () => {
+            jest.useFakeTimers({ now: 10000 });
+            axios.get.mockResolvedValue({ status: 200, data: ROBOTS_TXT });
+            const robotsManager = new RobotsManager();
+            const requestTimes = [];
+
+            const requests = [1, 2, 3].map(() => robotsManager.waitForCrawlDelay(`${ORIGIN}/`).then(() => requestTimes.push(Date.now())));
+            await jest.advanceTimersByTimeAsync(4000);
+            await Promise.all(requests);
+
+            expect(requestTimes).toEqual([10000, 12000, 14000]);
+        });
+    });
+});
@@ -0,0 +1,139 @@
+jest.mock('axios');
+
+const axios = require('axios');
+const zlib = require('zlib');
+const { SitemapDiscovery } = require('../src/sitemap-discovery');
+
+const ORIGIN = 'https://example.com';
+
+function urlset(entries) {
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9" xmlns:image="http://www.google.com/schemas/sitemap-image/1.1">
+${entries.map(({ loc, images = [] }) => `<url><loc>${loc}</loc>${images.map(image => `<image:image><image:loc>${image}</image:loc></image:image>`).join('')}</url>`).join('\n')}
+</urlset>`;
+}
+
+function sitemapIndex(locs) {
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<sitemapindex xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+${locs.map(loc => `<sitemap><loc>${loc}</loc></sitemap>`).join('\n')}
+</sitemapindex>`;
+}
+
+/**
+ * Discovery whose sitemaps are served from a map of URL to XML
+ */
+function discoveryFor(sitemaps, options = {}) {
+    const discovery = new SitemapDiscovery(options);
+    discovery.fetchSitemap = jest.fn(async sitemapUrl => {
+        if (!(sitemapUrl in sitemaps)) throw new Error('Request failed with status code 404');
+        return sitemaps[sitemapUrl];
+    });
+    return discovery;
+}
+
+describe('SitemapDiscovery', () => {
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    describe('parseSitemap', () => {
+        it('reads page and image locations of a urlset', () => {
+            const sitemap = new SitemapDiscovery().parseSitemap(urlset([
+                { loc: ` ${ORIGIN}/a `, images: [`${ORIGIN}/a-1.jpg`, `${ORIGIN}/a-2.jpg`] },
+                { loc: `${ORIGIN}/b` }
+            ]));
+
+            expect(sitemap).toEqual({
+                type: 'urlset',
+                locs: [`${ORIGIN}/a`, `${ORIGIN}/b`],
+                imageLocs: [`${ORIGIN}/a-1.jpg`, `${ORIGIN}/a-2.jpg`]
+            });
+        });
+
+        it('reads the sitemap locations of a sitemap index', () => {
+            expect(new SitemapDiscovery().parseSitemap(sitemapIndex([`${ORIGIN}/pages.xml`, `${ORIGIN}/posts.xml.gz`]))).toEqual({
+                type: 'index',
+                locs: [`${ORIGIN}/pages.xml`, `${ORIGIN}/posts.xml.gz`],
+                imageLocs: []
+            });
+        });
+    });
+
+    describe('fetchSitemap', () => {
+        beforeEach(() => {
+            axios.get.mockReset();
+        });
+
+        it('decompresses gzipped sitemaps', async () => {
+            const xml = urlset([{ loc: `${ORIGIN}/a` }]);
+            axios.get.mockResolvedValue({ status: 200, data: zlib.gzipSync(xml) });
+
+            await expect(new SitemapDiscovery().fetchSitemap(`${ORIGIN}/sitemap.xml.gz`)).resolves.toBe(xml);
+        });
+
+        it('limits the sitemap download to 50 MB', async () => {
+            axios.get.mockResolvedValue({ status: 200, data: Buffer.from(urlset([])) });
+
+            await new SitemapDiscovery().fetchSitemap(`${ORIGIN}/sitemap.xml`);
+
+            expect(axios.get.mock.calls[0][1]).toMatchObject({ maxContentLength: 50 * 1024 * 1024, maxBodyLength: 50 * 1024 * 1024 });
+        });
+
+        it('skips gzipped sitemaps that decompress past 50 MB', async () => {
+            axios.get.mockResolvedValue({ status: 200, data: zlib.gzipSync(Buffer.alloc(50 * 1024 * 1024 + 1)) });
+            const discovery = new SitemapDiscovery();
+
+            await expect(discovery.fetchSitemap(`${ORIGIN}/sitemap.xml.gz`)).rejects.toThrow('Cannot create a Buffer larger than');
+            await expect(discovery.discover(ORIGIN)).resolves.toEqual([]);
+            expect(console.warn).toHaveBeenCalledWith(expect.stringContaining(`Failed to read sitemap ${ORIGIN}/sitemap.xml`));
+        });
+    });
+
+    describe('image discovery', () => {
+        it('keeps collecting image entries past the page URL cap', async () => {
+            const discovery = discoveryFor({
+                [`${ORIGIN}/sitemap.xml`]: sitemapIndex([`${ORIGIN}/pages-1.xml`, `${ORIGIN}/pages-2.xml`]),
+                [`${ORIGIN}/pages-1.xml`]: urlset([
+                    { loc: `${ORIGIN}/a`, images: [`${ORIGIN}/a.jpg`] },
+                    { loc: `${ORIGIN}/b`, images: [`${ORIGIN}/b.jpg`] }
+                ]),
+                [`${ORIGIN}/pages-2.xml`]: urlset([{ loc: `${ORIGIN}/c`, images: [`${ORIGIN}/c.jpg`] }])
+            }, { maxUrls: 1 });
+
+            await expect(discovery.discover(ORIGIN)).resolves.toEqual([`${ORIGIN}/a`]);
+            await expect(discovery.discoverImages(ORIGIN)).resolves.toEqual({
+                imageUrls: new Set([`${ORIGIN}/a.jpg`, `${ORIGIN}/b.jpg`, `${ORIGIN}/c.jpg`]),
+                sitemapsRead: 3,
+                partial: false
+            });
+        });
+
+        it('reports a partial read when sitemaps are left unread', async () => {
+            const discovery = discoveryFor({
+                [`${ORIGIN}/sitemap.xml`]: sitemapIndex([`${ORIGIN}/pages-1.xml`, `${ORIGIN}/pages-2.xml`]),
+                [`${ORIGIN}/pages-1.xml`]: urlset([{ loc: `${ORIGIN}/a`, images: [`${ORIGIN}/a.jpg`] }]),
+                [`${ORIGIN}/pages-2.xml`]: urlset([{ loc: `${ORIGIN}/b`, images: [`${ORIGIN}/b.jpg`] }])
+            }, { maxSitemaps: 2 });
+
+            const { imageUrls, partial } = await discovery.discoverImages(ORIGIN);
+
+            expect(imageUrls).toEqual(new Set([`${ORIGIN}/a.jpg`]));
+            expect(partial).toBe(true);
+        });
+
+        it('reads the sitemaps once for page and image discovery', async () => {
+            const discovery = discoveryFor({ [`${ORIGIN}/sitemap.xml`]: urlset([{ loc: `${ORIGIN}/a`, images: [`${ORIGIN}/a.jpg`] }]) });
+
+            await discovery.discover(ORIGIN);
+            await discovery.discoverImages(ORIGIN);
+
+            expect(discovery.fetchSitemap).toHaveBeenCalledTimes(1);
+        });
+    });
+});